@@ -0,0 +1,273 @@
+/**
+ * Chart Accessibility module
+ * Colorblind-safe palette with patterned fills, screen-reader descriptions of the charted data
+ * and keyboard navigation across a chart's bars or points
+ */
+
+// Okabe-Ito palette, distinguishable with the common forms of color blindness
+const COLORBLIND_PALETTE = ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'];
+
+// Fill patterns layered over the palette, so 8 colors x 4 patterns covers every team
+const FILL_PATTERNS = ['solid', 'diagonal', 'dots', 'cross'];
+
+// Size (px) of one repeating pattern tile
+const PATTERN_TILE_SIZE = 10;
+
+/**
+ * Get a team's colorblind-safe color and fill pattern
+ * Teams are numbered in team ID order, so every team keeps the same style on every chart
+ * @param {Object} team - Registry team (see resolveTeam)
+ * @returns {Object} - `{ color, pattern }`; unknown teams get a plain gray
+ */
+function getColorblindStyle(team) {
+    const index = Object.keys(MLB_TEAMS).map(Number).sort((a, b) => a - b).indexOf(team.id);
+    if (index === -1) {
+        return { color: '#999999', pattern: 'solid' };
+    }
+
+    return {
+        color: COLORBLIND_PALETTE[index % COLORBLIND_PALETTE.length],
+        pattern: FILL_PATTERNS[Math.floor(index / COLORBLIND_PALETTE.length) % FILL_PATTERNS.length]
+    };
+}
+
+/**
+ * Draw one tile of a fill pattern
+ * @param {string} color - Background color (hex or rgba)
+ * @param {string} pattern - One of FILL_PATTERNS
+ * @returns {HTMLCanvasElement|null} - Tile canvas, or null where canvas isn't available
+ */
+function createPatternTile(color, pattern) {
+    const tile = document.createElement('canvas');
+    tile.width = PATTERN_TILE_SIZE;
+    tile.height = PATTERN_TILE_SIZE;
+    const ctx = tile.getContext && tile.getContext('2d');
+    if (!ctx) return null;
+
+    const size = PATTERN_TILE_SIZE;
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, size, size);
+
+    // Black marks on light colors, white on dark ones
+    ctx.strokeStyle = pickTextColor(color) === '#000000' ? 'rgba(0, 0, 0, 0.6)' : 'rgba(255, 255, 255, 0.7)';
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.lineWidth = 2;
+
+    if (pattern === 'diagonal' || pattern === 'cross') {
+        ctx.beginPath();
+        ctx.moveTo(0, size);
+        ctx.lineTo(size, 0);
+        ctx.stroke();
+    }
+    if (pattern === 'cross') {
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(size, size);
+        ctx.stroke();
+    }
+    if (pattern === 'dots') {
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    return tile;
+}
+
+// Patterns already created, keyed by color and pattern
+const patternCache = new Map();
+
+/**
+ * Get a repeating pattern fill for a chart element
+ * @param {string} color - Background color (hex or rgba)
+ * @param {string} pattern - One of FILL_PATTERNS
+ * @returns {CanvasPattern|string} - Pattern, or the plain color for 'solid' or without canvas support
+ */
+function getPatternFill(color, pattern) {
+    if (pattern === 'solid') return color;
+
+    const key = `${color}|${pattern}`;
+    if (!patternCache.has(key)) {
+        const tile = createPatternTile(color, pattern);
+        const ctx = tile && tile.getContext('2d');
+        patternCache.set(key, (ctx && ctx.createPattern(tile, 'repeat')) || color);
+    }
+    return patternCache.get(key);
+}
+
+/**
+ * Get a CSS background for a legend swatch in a fill pattern
+ * @param {string} color - Background color
+ * @param {string} pattern - One of FILL_PATTERNS
+ * @returns {string} - CSS `background` value
+ */
+function getPatternSwatch(color, pattern) {
+    const tile = pattern === 'solid' ? null : createPatternTile(color, pattern);
+    return tile ? `url(${tile.toDataURL()}) repeat, ${color}` : color;
+}
+
+/**
+ * Keyboard navigation across a chart's elements
+ * Arrow keys move focus between bars (or points), Home/End jump to the ends and Enter/Space
+ * acts like a click on the focused element. Its tooltip is shown and its description announced.
+ */
+class ChartKeyboardNavigator {
+    /**
+     * @param {HTMLCanvasElement} canvas - Chart canvas; made focusable
+     * @param {Object} options - Navigator options
+     * @param {Function} options.getChart - Returns the current Chart.js chart
+     * @param {Function} options.announce - Called with the text to announce for the focused element
+     */
+    constructor(canvas, options) {
+        this.canvas = canvas;
+        this.getChart = options.getChart;
+        this.announce = options.announce;
+
+        // Elements of the current chart: { label, description }, in chart order
+        this.items = [];
+        this.index = -1;
+
+        this.canvas.tabIndex = 0;
+        this.canvas.setAttribute('role', 'img');
+        this.canvas.addEventListener('keydown', event => this.handleKey(event));
+        this.canvas.addEventListener('blur', () => this.clearFocus());
+    }
+
+    /**
+     * Set the elements of a newly drawn chart
+     * @param {Array<Object>} items - `{ label, description }` in chart (data index) order
+     * @param {string} summary - Short description used as the canvas label
+     */
+    setItems(items, summary) {
+        this.items = items;
+        this.index = -1;
+        this.canvas.setAttribute('aria-label', items.length > 0
+            ? `${summary}. Use the arrow keys to step through the chart.`
+            : summary);
+    }
+
+    /**
+     * Handle a key press on the canvas
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKey(event) {
+        if (this.items.length === 0) return;
+
+        const last = this.items.length - 1;
+        const moves = {
+            ArrowRight: Math.min(last, this.index + 1),
+            ArrowDown: Math.min(last, this.index + 1),
+            ArrowLeft: Math.max(0, this.index - 1),
+            ArrowUp: Math.max(0, this.index - 1),
+            Home: 0,
+            End: last
+        };
+
+        if (event.key in moves) {
+            event.preventDefault();
+            this.focusItem(moves[event.key]);
+        } else if ((event.key === 'Enter' || event.key === ' ') && this.index !== -1) {
+            event.preventDefault();
+            const chart = this.getChart();
+            if (chart && chart.options.onClick) {
+                chart.options.onClick(event, [{ datasetIndex: 0, index: this.index }]);
+            }
+        } else if (event.key === 'Escape') {
+            this.clearFocus();
+        }
+    }
+
+    /**
+     * Move focus to an element, show its tooltip and announce it
+     * @param {number} index - Element index
+     */
+    focusItem(index) {
+        this.index = index;
+        const chart = this.getChart();
+
+        if (chart) {
+            // Every data dataset's element at this index (both seasons in a comparison),
+            // leaving out overlays such as the scatter trend line
+            const active = chart.data.datasets
+                .map((dataset, datasetIndex) => ({ dataset, datasetIndex }))
+                .filter(({ dataset }) => (dataset.type || chart.config.type) === chart.config.type)
+                .map(({ datasetIndex }) => ({ datasetIndex, index }));
+            const meta = chart.getDatasetMeta(0);
+            const element = meta && meta.data[index];
+            const position = element ? element.tooltipPosition() : { x: 0, y: 0 };
+
+            chart.setActiveElements(active);
+            chart.tooltip.setActiveElements(active, position);
+            chart.update();
+        }
+
+        const item = this.items[index];
+        this.announce(`${index + 1} of ${this.items.length}: ${item.label}, ${item.description}`);
+    }
+
+    /**
+     * Clear the keyboard focus and hide its tooltip
+     */
+    clearFocus() {
+        if (this.index === -1) return;
+        this.index = -1;
+
+        const chart = this.getChart();
+        if (chart) {
+            chart.setActiveElements([]);
+            chart.tooltip.setActiveElements([], { x: 0, y: 0 });
+            chart.update();
+        }
+    }
+}
+
+/**
+ * Build a visually hidden table listing a chart's data, for screen readers
+ * @param {string} caption - Table caption (what the chart shows)
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cell text per row
+ * @returns {HTMLTableElement} - Table with the `sr-only` class
+ */
+function createDataTable(caption, headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'sr-only';
+
+    const captionElement = document.createElement('caption');
+    captionElement.textContent = caption;
+    table.appendChild(captionElement);
+
+    const headerRow = document.createElement('tr');
+    headers.forEach(header => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = header;
+        headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    rows.forEach(cells => {
+        const row = document.createElement('tr');
+        cells.forEach((cell, index) => {
+            const td = document.createElement(index === 0 ? 'th' : 'td');
+            if (index === 0) td.scope = 'row';
+            td.textContent = cell;
+            row.appendChild(td);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    return table;
+}
+
+// Export as global variables
+window.COLORBLIND_PALETTE = COLORBLIND_PALETTE;
+window.FILL_PATTERNS = FILL_PATTERNS;
+window.getColorblindStyle = getColorblindStyle;
+window.getPatternFill = getPatternFill;
+window.getPatternSwatch = getPatternSwatch;
+window.ChartKeyboardNavigator = ChartKeyboardNavigator;
+window.createDataTable = createDataTable;
@@ -0,0 +1,96 @@
+/**
+ * Adjusted Stats module
+ * Indexed "+" stats (100 = league average) that put hitters from different seasons, and
+ * optionally different home parks, on the same scale
+ */
+
+// Batting park factors by season and registry team ID (100 = neutral, above 100 favors hitters).
+// Rounded multi-year factors for each team's home park; like published tables they cover the
+// player's whole schedule (half home, half away), so they divide an index directly.
+// Seasons missing from the table aren't park-adjusted.
+const PARK_FACTORS = {
+    2023: {
+        108: 101, 109: 101, 110: 97, 111: 104, 112: 99, 113: 105, 114: 98, 115: 112, 116: 98, 117: 99,
+        118: 101, 119: 100, 120: 100, 121: 96, 133: 97, 134: 99, 135: 96, 136: 93, 137: 97, 138: 98,
+        139: 96, 140: 100, 141: 100, 142: 100, 143: 102, 144: 101, 145: 100, 146: 97, 147: 101, 158: 100
+    },
+    2024: {
+        108: 101, 109: 101, 110: 98, 111: 104, 112: 99, 113: 105, 114: 98, 115: 112, 116: 98, 117: 99,
+        118: 101, 119: 100, 120: 100, 121: 96, 133: 97, 134: 99, 135: 96, 136: 93, 137: 97, 138: 98,
+        139: 96, 140: 99, 141: 100, 142: 100, 143: 102, 144: 101, 145: 100, 146: 98, 147: 101, 158: 100
+    },
+    2025: {
+        108: 101, 109: 101, 110: 99, 111: 104, 112: 99, 113: 105, 114: 98, 115: 112, 116: 98, 117: 99,
+        118: 101, 119: 100, 120: 100, 121: 96, 133: 104, 134: 99, 135: 96, 136: 93, 137: 97, 138: 98,
+        139: 99, 140: 99, 141: 100, 142: 100, 143: 102, 144: 101, 145: 100, 146: 98, 147: 101, 158: 100
+    }
+};
+
+// Indexed stats and the league rate each one is measured against (OPS+ combines OBP and SLG)
+const INDEXED_METRICS = {
+    avgPlus: 'avg',
+    obpPlus: 'obp',
+    slgPlus: 'slg',
+    opsPlus: 'ops'
+};
+
+/**
+ * Look up a team's park factor for a season
+ * @param {number} teamId - Registry team ID
+ * @param {number} season - MLB season year
+ * @returns {number|null} - Park factor, or null if the season or team isn't in PARK_FACTORS
+ */
+function getParkFactor(teamId, season) {
+    const factors = PARK_FACTORS[parseInt(season, 10)];
+    return factors && factors[teamId] !== undefined ? factors[teamId] : null;
+}
+
+/**
+ * Add indexed stats to a player (or team) record
+ * Each index is 100 times the player's rate over the league's, so 120 is 20% better than
+ * league average. OPS+ adds the OBP and SLG ratios and subtracts one, as Baseball-Reference does.
+ * @param {Object} record - Record with `avg`, `obp` and `slg`
+ * @param {Object} league - League line for the record's season (`avg`, `obp`, `slg`; see extractLeagueHistory)
+ * @param {number|null} parkFactor - Home park factor to adjust by, or null for no park adjustment
+ * @returns {Object} - New record with `avgPlus`, `obpPlus`, `slgPlus` and `opsPlus`, and the
+ *                     `leagueAverages` and `parkFactor` they were computed with
+ */
+function withAdjustedStats(record, league, parkFactor = null) {
+    const park = parkFactor === null ? 1 : parkFactor / 100;
+    const ratio = key => league && league[key] > 0 && Number.isFinite(record[key]) ? record[key] / league[key] : null;
+    const index = value => value === null ? null : 100 * value / park;
+
+    const obpRatio = ratio('obp');
+    const slgRatio = ratio('slg');
+
+    return {
+        ...record,
+        avgPlus: index(ratio('avg')),
+        obpPlus: index(obpRatio),
+        slgPlus: index(slgRatio),
+        opsPlus: obpRatio === null || slgRatio === null ? null : index(obpRatio + slgRatio - 1),
+        leagueAverages: league ? { avg: league.avg, obp: league.obp, slg: league.slg } : null,
+        parkFactor: parkFactor
+    };
+}
+
+/**
+ * Add indexed stats to every player of a season
+ * @param {Array} players - Player records
+ * @param {Object} league - League line for the season
+ * @param {Object} options - Adjustment options
+ * @param {number} options.season - MLB season year (selects the park factors)
+ * @param {boolean} options.parkAdjusted - Also adjust for each player's home park
+ * @returns {Array} - New records (see withAdjustedStats), in the same order
+ */
+function adjustPlayers(players, league, options = {}) {
+    return players.map(player => withAdjustedStats(player, league,
+        options.parkAdjusted ? getParkFactor(player.teamId, options.season) : null));
+}
+
+// Export as global variables
+window.PARK_FACTORS = PARK_FACTORS;
+window.INDEXED_METRICS = INDEXED_METRICS;
+window.getParkFactor = getParkFactor;
+window.withAdjustedStats = withAdjustedStats;
+window.adjustPlayers = adjustPlayers;
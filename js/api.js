@@ -3,11 +3,84 @@
  * Handles access to MLB player statistics through API
  */
 
+// Players requested per Stats API page, and a cap on pages per leaderboard (3,000 players).
+// The cap only guards against a source that never returns a short page: the teams view sums
+// the whole 'all' pool, and before the universal DH (pitchers batting) that passes 1,000 hitters
+const STATS_PAGE_SIZE = 100;
+const STATS_MAX_PAGES = 30;
+
+// Seasons requested at once when building the league history from live team totals
+const LEAGUE_HISTORY_BATCH_SIZE = 5;
+
+// Timeout and retry settings for Stats API requests (override per client through `fetchPolicy`).
+// Rate limiting (429), server errors (5xx) and timeouts are retried, waiting
+// retryDelayMs, then twice that, and so on (or longer if the server sends Retry-After).
+const DEFAULT_FETCH_POLICY = {
+    timeoutMs: 10000,
+    maxRetries: 3,
+    retryDelayMs: 500
+};
+
+/**
+ * Wait before retrying a request
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Cancels the wait (optional)
+ * @returns {Promise<void>} - Resolves after the delay, rejects if the signal aborts first
+ */
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+/**
+ * Read a Retry-After header
+ * @param {string|null} value - Header value: seconds or an HTTP date
+ * @returns {number} - Delay in milliseconds (0 if missing or unreadable)
+ */
+function parseRetryAfter(value) {
+    if (!value) return 0;
+    
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : 0;
+}
+
 class MlbStatsClient {
     constructor() {
         // MLB Stats API base URL
         this.baseUrl = 'https://statsapi.mlb.com/api';
         this.version = 'v1';
+        
+        // Data sources, tried in per-season priority order
+        this.dataSources = new DataSourceManager();
+        this.dataSources.register(new LiveApiDataSource(this));
+        this.dataSources.register(new LocalFileDataSource('data'));
+        this.dataSources.register(new MockDataSource(this));
+        
+        // Provenance of the most recent batting (or pitching), team games and league average loads for
+        // each season, of each game log, and of the season list and league history (source, label,
+        // loadedAt and fallbacks; see DataSourceManager.load)
+        this.provenanceBySeason = {};
+        this.teamGamesProvenance = {};
+        this.leagueAveragesProvenance = {};
+        this.gameLogProvenance = {};
+        this.seasonsProvenance = null;
+        this.leagueHistoryProvenance = null;
+        
+        // Request timeout and retry settings (see DEFAULT_FETCH_POLICY)
+        this.fetchPolicy = { ...DEFAULT_FETCH_POLICY };
+        
+        // Persistent response cache and in-flight background revalidations
+        this.cache = new ResponseCache();
+        this.revalidating = {};
+        this.revalidateListeners = [];
     }
 
     /**
@@ -31,70 +104,635 @@ class MlbStatsClient {
 
     /**
      * Fetch data from MLB Stats API
+     * Fresh cached responses are returned without a request; stale ones are
+     * returned immediately while a background request refreshes the cache
      * @param {string} url - Full API URL
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request (optional)
      * @returns {Promise<Object>} - Promise resolving to API response
      */
-    async fetchData(url) {
+    async fetchData(url, options = {}) {
+        const cached = this.cache.get(url);
+        
+        if (cached) {
+            if (cached.stale) {
+                this.revalidate(url);
+            }
+            return cached.data;
+        }
+        
+        const data = await this.fetchFromNetwork(url, options);
+        this.cache.set(url, data);
+        return data;
+    }
+
+    /**
+     * Request a URL from the MLB Stats API, bypassing the cache
+     * Retries rate-limited, failed (5xx) and timed-out requests with exponential backoff
+     * @param {string} url - Full API URL
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request, including any wait between retries (optional)
+     * @returns {Promise<Object>} - Promise resolving to API response
+     */
+    async fetchFromNetwork(url, options = {}) {
+        const { maxRetries, retryDelayMs } = this.fetchPolicy;
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.requestOnce(url, options.signal);
+            } catch (error) {
+                const retryable = error.name === 'TimeoutError' || error.status === 429 || error.status >= 500;
+                
+                if (error.name === 'AbortError' || !retryable || attempt >= maxRetries) {
+                    if (error.name !== 'AbortError') {
+                        console.error('Error fetching data from MLB API:', error);
+                    }
+                    throw error;
+                }
+                
+                const delay = Math.max(retryDelayMs * 2 ** attempt, error.retryAfterMs || 0);
+                console.warn(`${error.message}; retrying in ${delay}ms (${attempt + 1} of ${maxRetries}):`, url);
+                await waitForRetry(delay, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Make a single request with the policy's timeout
+     * @param {string} url - Full API URL
+     * @param {AbortSignal} signal - Cancels the request (optional)
+     * @returns {Promise<Object>} - Parsed JSON response. HTTP errors are thrown with `status`
+     *                              (and `retryAfterMs` from Retry-After); timeouts are thrown
+     *                              as a 'TimeoutError'
+     */
+    async requestOnce(url, signal) {
+        const { timeoutMs } = this.fetchPolicy;
+        
+        // One controller for both the caller's cancellation and the timeout
+        const controller = new AbortController();
+        const cancel = () => controller.abort(signal.reason);
+        if (signal?.aborted) {
+            cancel();
+        } else {
+            signal?.addEventListener('abort', cancel, { once: true });
+        }
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+        
         try {
-            const response = await fetch(url);
+            const response = await fetch(url, { signal: controller.signal });
             
             if (!response.ok) {
-                throw new Error(`API error: ${response.status} - ${response.statusText}`);
+                const error = new Error(`API error: ${response.status} - ${response.statusText}`);
+                error.status = response.status;
+                error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+                throw error;
             }
             
             return await response.json();
         } catch (error) {
-            console.error('Error fetching data from MLB API:', error);
+            if (timedOut) {
+                const timeoutError = new Error(`Request timed out after ${timeoutMs / 1000}s`);
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
+            }
             throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', cancel);
         }
     }
 
     /**
-     * Get qualified hitters' batting stats for a season
+     * Refresh a stale cache entry in the background
+     * @param {string} url - Full API URL
+     * @returns {Promise<void>}
+     */
+    revalidate(url) {
+        // Only one refresh per URL at a time
+        if (this.revalidating[url]) {
+            return this.revalidating[url];
+        }
+        
+        this.revalidating[url] = this.fetchFromNetwork(url)
+            .then(data => {
+                this.cache.set(url, data);
+                this.revalidateListeners.forEach(listener => listener(url, data));
+            })
+            .catch(error => {
+                // Keep serving the stale copy
+                console.warn('Background revalidation failed:', url, error);
+            })
+            .finally(() => {
+                delete this.revalidating[url];
+            });
+        
+        return this.revalidating[url];
+    }
+
+    /**
+     * Register a callback for when a stale response has been refreshed
+     * @param {Function} listener - Called with (url, data)
+     */
+    onRevalidate(listener) {
+        this.revalidateListeners.push(listener);
+    }
+
+    /**
+     * Fetch hitters' batting stats for a season from the live API
+     * Pages through the leaderboard with offset/limit and merges the pages into one response
      * @param {number} season - MLB season year
-     * @returns {Promise<Object>} - Promise resolving to batting statistics
+     * @param {Object} options - Request options
+     * @param {string} options.metric - Metric to rank players by (see BATTING_METRICS)
+     * @param {string} options.playerPool - 'qualified' (default) for qualified hitters,
+     *                                      'all' for every hitter with a plate appearance,
+     *                                      'rookies' for rookie hitters
+     * @param {number|null} options.limit - Number of top hitters to fetch, or null for the whole pool
+     * @param {AbortSignal} options.signal - Cancels the request (optional)
+     * @returns {Promise<Object>} - Promise resolving to the API response
      */
-    async getPlayerBattingStats(season) {
-        try {
-            // Use season passed in, default to 2025 if not provided
-            const seasonYear = season || 2025;
+    async fetchLiveBattingStats(season, options = {}) {
+        return this.fetchLiveStats('hitting', season, options);
+    }
+
+    /**
+     * Fetch pitchers' stats for a season from the live API
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @param {string} options.metric - Metric to rank pitchers by (see PITCHING_METRICS)
+     * @param {string} options.playerPool - 'qualified' (default) for qualified pitchers, 'all' for every pitcher
+     * @param {number|null} options.limit - Number of top pitchers to fetch, or null for the whole pool
+     * @param {AbortSignal} options.signal - Cancels the request (optional)
+     * @returns {Promise<Object>} - Promise resolving to the API response
+     */
+    async fetchLivePitchingStats(season, options = {}) {
+        return this.fetchLiveStats('pitching', season, options);
+    }
+
+    /**
+     * Fetch a season stats leaderboard from the live API
+     * Pages through the leaderboard with offset/limit and merges the pages into one response
+     * @param {string} group - 'hitting' or 'pitching'
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options (see fetchLiveBattingStats)
+     * @returns {Promise<Object>} - Promise resolving to the API response
+     */
+    async fetchLiveStats(group, season, options = {}) {
+        const metric = getMetric(options.metric);
+        const limit = options.limit || null;
+        const pages = [];
+        
+        for (let offset = 0; limit === null || offset < limit; offset += STATS_PAGE_SIZE) {
+            const pageSize = limit === null ? STATS_PAGE_SIZE : Math.min(STATS_PAGE_SIZE, limit - offset);
             
-            // MLB Stats API endpoint for qualified hitters' batting stats
+            // MLB Stats API endpoint for season stats, best first by the selected metric
+            // (lowest first for stats like ERA)
             const url = this.buildUrl('stats', {
                 stats: 'season',
-                season: seasonYear,
+                season: season,
                 sportId: 1, // MLB
-                group: 'hitting',
-                playerPool: 'qualified',
-                sort: 'battingAverage',
-                order: 'desc',
-                limit: 30 // Top 30 batters by average
+                group: group,
+                playerPool: PLAYER_POOLS[options.playerPool] ? options.playerPool : 'qualified',
+                sort: metric.apiSort,
+                order: getMetricSortDirection(metric),
+                limit: pageSize,
+                offset: offset
             });
             
-            console.log('Fetching MLB batting stats from: ', url);
-            const data = await this.fetchData(url);
+            console.log(`Fetching MLB ${group} stats from: `, url);
+            const page = await this.fetchData(url, { signal: options.signal });
+            pages.push(page);
+            
+            // A short page is the end of the pool
+            const splits = page && page.stats && page.stats[0] ? page.stats[0].splits || [] : [];
+            if (splits.length < pageSize) {
+                break;
+            }
+            if (pages.length >= STATS_MAX_PAGES) {
+                console.warn(`Stopped paging MLB ${group} stats after ${STATS_MAX_PAGES * STATS_PAGE_SIZE} players`);
+                break;
+            }
+        }
+        
+        return this.mergeStatsPages(pages);
+    }
+
+    /**
+     * Merge paged stats responses into one response
+     * @param {Array<Object>} pages - API responses in page order
+     * @returns {Object} - The first page with every page's splits appended to each stats group
+     */
+    mergeStatsPages(pages) {
+        const [first, ...rest] = pages;
+        if (!first || !Array.isArray(first.stats) || rest.length === 0) {
+            return first;
+        }
+        
+        return {
+            ...first,
+            stats: first.stats.map((group, index) => ({
+                ...group,
+                splits: [
+                    ...(group.splits || []),
+                    ...rest.flatMap(page => (page.stats && page.stats[index] && page.stats[index].splits) || [])
+                ]
+            }))
+        };
+    }
+
+    /**
+     * Check whether a batting response contains any players
+     * @param {Object} data - API response, bundled file or mock data
+     * @returns {boolean} - True if the response has player rows
+     */
+    hasBattingData(data) {
+        if (!data) return false;
+        
+        if (Array.isArray(data.playerBattingStats)) {
+            return data.playerBattingStats.length > 0;
+        }
+        
+        return !!(data.stats && data.stats[0] && data.stats[0].splits && data.stats[0].splits.length > 0);
+    }
+
+    /**
+     * Get hitters' batting stats for a season
+     * Tries each data source in the season's priority order (see DataSourceManager)
+     * and records where the data came from in `provenanceBySeason`
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @param {string} options.metric - Metric to rank players by (see BATTING_METRICS)
+     * @param {string} options.playerPool - 'qualified' (default), 'all' or 'rookies'
+     * @param {number|null} options.limit - Number of top hitters wanted, or null for the whole pool.
+     *                                      Bundled files and mock data may return more or fewer.
+     * @param {AbortSignal} options.signal - Cancels the load (optional)
+     * @returns {Promise<Object>} - Promise resolving to batting statistics
+     */
+    async getPlayerBattingStats(season, options = {}) {
+        // Use season passed in, default to 2025 if not provided
+        const seasonYear = season || 2025;
+        
+        const result = await this.dataSources.load('batting', seasonYear, options, data => this.hasBattingData(data));
+        
+        console.log(`Batting stats for ${seasonYear} loaded from ${result.source} source`);
+        const { data, ...provenance } = result;
+        this.provenanceBySeason[seasonYear] = provenance;
+        
+        return data;
+    }
+
+    /**
+     * Check whether a pitching response contains any pitchers
+     * @param {Object} data - API response, bundled file or mock data
+     * @returns {boolean} - True if the response has pitcher rows
+     */
+    hasPitchingData(data) {
+        if (!data) return false;
+        
+        if (Array.isArray(data.playerPitchingStats)) {
+            return data.playerPitchingStats.length > 0;
+        }
+        
+        return !!(data.stats && data.stats[0] && data.stats[0].splits && data.stats[0].splits.length > 0);
+    }
+
+    /**
+     * Get pitchers' stats for a season
+     * Tries each data source in the season's priority order (see DataSourceManager)
+     * and records where the data came from in `provenanceBySeason`
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @param {string} options.metric - Metric to rank pitchers by (see PITCHING_METRICS)
+     * @param {string} options.playerPool - 'qualified' or 'all'. By default rate stats rank qualified
+     *                                      pitchers and counting stats rank every pitcher, so
+     *                                      relievers make the saves leaderboard
+     * @param {number|null} options.limit - Number of top pitchers wanted, or null for the whole pool
+     * @param {AbortSignal} options.signal - Cancels the load (optional)
+     * @returns {Promise<Object>} - Promise resolving to pitching statistics
+     */
+    async getPlayerPitchingStats(season, options = {}) {
+        const seasonYear = season || 2025;
+        const playerPool = options.playerPool || (getMetric(options.metric).type === 'rate' ? 'qualified' : 'all');
+        
+        const result = await this.dataSources.load('pitching', seasonYear, { ...options, playerPool },
+            data => this.hasPitchingData(data));
+        
+        console.log(`Pitching stats for ${seasonYear} loaded from ${result.source} source`);
+        const { data, ...provenance } = result;
+        this.provenanceBySeason[seasonYear] = provenance;
+        
+        return data;
+    }
+
+    /**
+     * Fetch every team's season hitting totals from the live API (used for games played)
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request (optional)
+     * @returns {Promise<Object>} - Promise resolving to the API response
+     */
+    async fetchLiveTeamGames(season, options = {}) {
+        const url = this.buildUrl('teams/stats', {
+            stats: 'season',
+            group: 'hitting',
+            season: season,
+            sportIds: 1 // MLB
+        });
+        
+        console.log('Fetching MLB team games from: ', url);
+        return this.fetchData(url, { signal: options.signal });
+    }
+
+    /**
+     * Get how many games each team has played in a season, for the qualification line
+     * Tries each data source in the season's priority order (see DataSourceManager)
+     * and records where the data came from in `teamGamesProvenance`
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the load (optional)
+     * @returns {Promise<Object>} - Promise resolving to games played keyed by team ID
+     */
+    async getTeamGames(season, options = {}) {
+        const seasonYear = season || 2025;
+        
+        const result = await this.dataSources.load('teamGames', seasonYear, { signal: options.signal },
+            data => Object.keys(extractTeamGames(data)).length > 0);
+        
+        console.log(`Team games for ${seasonYear} loaded from ${result.source} source`);
+        const { data, ...provenance } = result;
+        this.teamGamesProvenance[seasonYear] = provenance;
+        
+        return extractTeamGames(data);
+    }
+
+    /**
+     * Fetch the list of MLB seasons from the live API
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request (optional)
+     * @returns {Promise<Object>} - Promise resolving to the API response (`{ seasons: [{ seasonId }] }`)
+     */
+    async fetchLiveSeasons(options = {}) {
+        const url = this.buildUrl('seasons/all', {
+            sportId: 1 // MLB
+        });
+        
+        console.log('Fetching MLB seasons from: ', url);
+        return this.fetchData(url, { signal: options.signal });
+    }
+
+    /**
+     * Get the seasons to offer, newest first
+     * Tries the live API first, then a bundled list, then every season since FIRST_SEASON,
+     * and records where the list came from in `seasonsProvenance`
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the load (optional)
+     * @returns {Promise<Array<number>>} - Promise resolving to season years (see extractSeasons)
+     */
+    async getSeasons(options = {}) {
+        const result = await this.dataSources.load('seasons', DataSourceManager.getCurrentSeason(),
+            { signal: options.signal }, data => extractSeasons(data).length > 0);
+        
+        console.log(`Season list loaded from ${result.source} source`);
+        const { data, ...provenance } = result;
+        this.seasonsProvenance = provenance;
+        
+        return extractSeasons(data);
+    }
+
+    /**
+     * Fetch the league's hitting totals for one season from the live API
+     * Only the fields summed into the league line are requested, which keeps the cached responses small
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request (optional)
+     * @returns {Promise<Object|null>} - Promise resolving to the league totals (see sumLeagueTotals)
+     */
+    async fetchLiveLeagueTotals(season, options = {}) {
+        const url = this.buildUrl('teams/stats', {
+            stats: 'season',
+            group: 'hitting',
+            season: season,
+            sportIds: 1, // MLB
+            fields: ['stats', 'splits', 'stat', ...LEAGUE_TOTAL_FIELDS].join(',')
+        });
+        
+        return sumLeagueTotals(await this.fetchData(url, { signal: options.signal }), season);
+    }
+
+    /**
+     * Fetch league totals for many seasons from the live API, a few seasons at a time
+     * A season whose request fails is left out and listed in `missingSeasons`; the load only
+     * fails if every season does
+     * @param {Array<number>} seasons - Season years
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the requests (optional)
+     * @returns {Promise<Object>} - Promise resolving to
+     *                              `{ leagueHistory: [league totals], missingSeasons: [season years] }`
+     */
+    async fetchLiveLeagueHistory(seasons, options = {}) {
+        console.log(`Fetching MLB league totals for ${seasons.length} seasons`);
+        const leagueHistory = [];
+        const missingSeasons = [];
+        const errors = [];
+        
+        for (let start = 0; start < seasons.length; start += LEAGUE_HISTORY_BATCH_SIZE) {
+            const batch = seasons.slice(start, start + LEAGUE_HISTORY_BATCH_SIZE);
+            const results = await Promise.allSettled(batch.map(season => this.fetchLiveLeagueTotals(season, options)));
+            options.signal?.throwIfAborted();
+            
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    if (result.value) leagueHistory.push(result.value);
+                } else {
+                    missingSeasons.push(batch[index]);
+                    errors.push(result.reason);
+                }
+            });
+        }
+        
+        if (missingSeasons.length > 0) {
+            if (missingSeasons.length === seasons.length) throw errors[0];
+            console.warn(`League totals failed to load for ${missingSeasons.length} seasons:`, missingSeasons);
+        }
+        
+        return { leagueHistory, missingSeasons };
+    }
+
+    /**
+     * Get the league-wide batting line for each season
+     * Tries each data source in the newest season's priority order (see DataSourceManager)
+     * and records where the data came from, and any seasons that failed to load, in
+     * `leagueHistoryProvenance`
+     * @param {Array<number>} seasons - Season years to include (see getSeasons)
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the load (optional)
+     * @returns {Promise<Array<Object>>} - Promise resolving to league lines, oldest season first
+     *                                     (see extractLeagueHistory)
+     */
+    async getLeagueHistory(seasons, options = {}) {
+        const wanted = new Set(seasons.map(season => parseInt(season, 10)));
+        const inRange = data => extractLeagueHistory(data).filter(line => wanted.has(line.season));
+        
+        const result = await this.dataSources.load('leagueHistory', Math.max(...wanted),
+            { seasons: [...wanted], signal: options.signal }, data => inRange(data).length > 0);
+        
+        console.log(`League history loaded from ${result.source} source`);
+        const { data, ...provenance } = result;
+        this.leagueHistoryProvenance = { ...provenance, missingSeasons: data.missingSeasons || [] };
+        
+        return inRange(data);
+    }
+
+    /**
+     * Get the league's batting line for one season, for the indexed "+" stats
+     * Tries each data source in the season's priority order (see DataSourceManager)
+     * and records where the data came from in `leagueAveragesProvenance`
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the load (optional)
+     * @returns {Promise<Object>} - Promise resolving to the league line (see extractLeagueHistory)
+     */
+    async getLeagueAverages(season, options = {}) {
+        const seasonYear = parseInt(season, 10) || 2025;
+        const lineFor = data => extractLeagueHistory(data).find(line => line.season === seasonYear) || null;
+        
+        const result = await this.dataSources.load('leagueHistory', seasonYear,
+            { seasons: [seasonYear], signal: options.signal }, data => lineFor(data) !== null);
+        
+        console.log(`League averages for ${seasonYear} loaded from ${result.source} source`);
+        const { data, ...provenance } = result;
+        this.leagueAveragesProvenance[seasonYear] = provenance;
+        
+        return lineFor(data);
+    }
+
+    /**
+     * Fetch a player's game-by-game hitting log from the live API
+     * @param {number} season - MLB season year
+     * @param {number} playerId - MLB player id
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request (optional)
+     * @returns {Promise<Object>} - Promise resolving to the API response
+     */
+    async fetchLiveGameLog(season, playerId, options = {}) {
+        const url = this.buildUrl(`people/${playerId}/stats`, {
+            stats: 'gameLog',
+            group: 'hitting',
+            season: season,
+            sportId: 1 // MLB
+        });
+        
+        console.log('Fetching MLB game log from: ', url);
+        return this.fetchData(url, { signal: options.signal });
+    }
+
+    /**
+     * Check whether a game log response contains any games
+     * @param {Object} data - API response, bundled file or mock data
+     * @returns {boolean} - True if the response has game rows
+     */
+    hasGameLogData(data) {
+        if (!data) return false;
+        
+        if (Array.isArray(data.games)) {
+            return data.games.length > 0;
+        }
+        
+        return !!(data.stats && data.stats[0] && data.stats[0].splits && data.stats[0].splits.length > 0);
+    }
+
+    /**
+     * Get a player's game log for a season
+     * Tries each data source in the season's priority order (see DataSourceManager)
+     * and records where the data came from (see getGameLogProvenance)
+     * @param {Object} player - Player record (needs `id`; mock data also uses the season totals)
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the load (optional)
+     * @returns {Promise<Object>} - Promise resolving to the game log
+     */
+    async getPlayerGameLog(player, season, options = {}) {
+        const seasonYear = season || 2025;
+        
+        const result = await this.dataSources.load('gameLog', seasonYear, { player, signal: options.signal },
+            data => this.hasGameLogData(data));
+        
+        console.log(`Game log for ${player.name} (${seasonYear}) loaded from ${result.source} source`);
+        const { data, ...provenance } = result;
+        this.gameLogProvenance[`${seasonYear}:${player.id}`] = provenance;
+        
+        return data;
+    }
+
+    /**
+     * Get where a player's game log came from
+     * @param {Object} player - Player record (needs `id`)
+     * @param {number} season - MLB season year
+     * @returns {Object|null} - Provenance of the last load (see DataSourceManager.load), or null
+     */
+    getGameLogProvenance(player, season) {
+        return this.gameLogProvenance[`${season || 2025}:${player.id}`] || null;
+    }
+
+    /**
+     * Extract games from a game log response
+     * @param {Object} data - API response, bundled file or mock data
+     * @returns {Array} - Games in date order with numeric batting fields
+     */
+    extractGameLog(data) {
+        const count = value => parseInt(value || 0, 10);
+        const toGame = (date, opponent, isHome, stats) => ({
+            date: date,
+            opponent: opponent || 'Unknown Team',
+            isHome: !!isHome,
+            plateAppearances: count(stats.plateAppearances),
+            atBats: count(stats.atBats),
+            hits: count(stats.hits),
+            doubles: count(stats.doubles),
+            triples: count(stats.triples),
+            homeRuns: count(stats.homeRuns),
+            rbi: count(stats.rbi),
+            baseOnBalls: count(stats.baseOnBalls),
+            strikeOuts: count(stats.strikeOuts)
+        });
+        
+        try {
+            let games = null;
+            
+            if (data.stats && data.stats.length > 0 && data.stats[0].splits) {
+                games = data.stats[0].splits.map(split =>
+                    toGame(split.date, split.opponent?.name, split.isHome, split.stat || {}));
+            } else if (Array.isArray(data.games)) {
+                // Bundled and mock game logs
+                games = data.games.map(game => toGame(game.date, game.opponent, game.isHome, game));
+            }
             
-            // If API call succeeded but no data returned, fall back to mock data
-            if (!data || !data.stats || !data.stats[0] || !data.stats[0].splits || data.stats[0].splits.length === 0) {
-                console.warn('No data returned from API, using mock data');
-                return this.getMockBattingStats(seasonYear);
+            if (!games) {
+                throw new Error('Could not extract game log from response');
             }
             
-            return data;
+            return games.sort((a, b) => a.date.localeCompare(b.date));
             
         } catch (error) {
-            console.error('Error getting batting stats, falling back to mock data:', error);
-            // Fall back to mock data in case of API errors
-            return this.getMockBattingStats(season);
+            console.error('Error extracting game log:', error);
+            return [];
         }
     }
 
     /**
      * Extract batting statistics from API response
      * @param {Object} data - API response
-     * @returns {Array} - Processed batting data for visualization
+     * @param {string} metricKey - Metric to sort players by (see BATTING_METRICS)
+     * @param {number} season - MLB season year, selects the wOBA weights (defaults to the response's season)
+     * @returns {Array} - Processed batting data for visualization, including derived stats
      */
-    extractBattingData(data) {
+    extractBattingData(data, metricKey = DEFAULT_METRIC, season = data.season) {
+        const sortKey = getMetric(metricKey).key;
+        const byMetric = (a, b) => b[sortKey] - a[sortKey];
+        
         try {
             // Try to extract from API response first
             if (data.stats && data.stats.length > 0) {
@@ -105,32 +743,36 @@ class MlbStatsClient {
                         const player = split.player || {};
                         const team = split.team || {};
                         const stats = split.stat || {};
+                        const registryTeam = resolveTeam(team.id, team.name);
                         
-                        return {
+                        return withSabermetrics({
                             id: player.id,
                             name: player.fullName || player.lastName || player.name || 'Unknown Player',
-                            team: team.name || 'Unknown Team',
-                            avg: parseFloat(stats.avg || stats.battingAverage || 0),
-                            atBats: parseInt(stats.atBats || 0, 10),
-                            hits: parseInt(stats.hits || 0, 10),
-                            homeRuns: parseInt(stats.homeRuns || 0, 10),
-                            rbi: parseInt(stats.rbi || 0, 10)
-                        };
-                    }).sort((a, b) => b.avg - a.avg);
+                            // Registry names keep renamed teams (e.g. the A's) consistent across seasons
+                            team: registryTeam.id !== null ? registryTeam.name : (team.name || 'Unknown Team'),
+                            teamId: registryTeam.id,
+                            ...this.parseBattingNumbers({
+                                ...stats,
+                                avg: stats.avg || stats.battingAverage
+                            })
+                        }, season);
+                    }).sort(byMetric);
                 }
             }
             
             // If we can't extract from API response, check if it's our mock data
             if (data.playerBattingStats && Array.isArray(data.playerBattingStats)) {
-                // Ensure numeric values for the mock data too
-                return data.playerBattingStats.map(player => ({
-                    ...player,
-                    avg: parseFloat(player.avg),
-                    atBats: parseInt(player.atBats, 10),
-                    hits: parseInt(player.hits, 10),
-                    homeRuns: parseInt(player.homeRuns, 10),
-                    rbi: parseInt(player.rbi, 10)
-                })).sort((a, b) => b.avg - a.avg);
+                // Ensure numeric values for the mock data too, and resolve teams through the registry
+                return data.playerBattingStats.map(player => {
+                    const registryTeam = resolveTeam(player.teamId, player.team);
+                    
+                    return withSabermetrics({
+                        ...player,
+                        team: registryTeam.id !== null ? registryTeam.name : (player.team || 'Unknown Team'),
+                        teamId: registryTeam.id,
+                        ...this.parseBattingNumbers(player)
+                    }, season);
+                }).sort(byMetric);
             }
             
             throw new Error('Could not extract batting data from response');
@@ -141,13 +783,131 @@ class MlbStatsClient {
         }
     }
 
+    /**
+     * Convert raw batting fields (API strings like ".312" or numbers) to numbers
+     * @param {Object} stats - Raw stat fields
+     * @returns {Object} - Numeric batting fields
+     */
+    parseBattingNumbers(stats) {
+        const rate = value => parseFloat(value || 0);
+        const count = value => parseInt(value || 0, 10);
+        
+        return {
+            avg: rate(stats.avg),
+            obp: rate(stats.obp),
+            slg: rate(stats.slg),
+            ops: rate(stats.ops),
+            plateAppearances: count(stats.plateAppearances),
+            atBats: count(stats.atBats),
+            hits: count(stats.hits),
+            doubles: count(stats.doubles),
+            triples: count(stats.triples),
+            homeRuns: count(stats.homeRuns),
+            rbi: count(stats.rbi),
+            baseOnBalls: count(stats.baseOnBalls),
+            intentionalWalks: count(stats.intentionalWalks),
+            hitByPitch: count(stats.hitByPitch),
+            sacFlies: count(stats.sacFlies),
+            strikeOuts: count(stats.strikeOuts),
+            stolenBases: count(stats.stolenBases)
+        };
+    }
+
+    /**
+     * Extract pitching statistics from API response
+     * @param {Object} data - API response, bundled file or mock data
+     * @param {string} metricKey - Metric to sort pitchers by (see PITCHING_METRICS)
+     * @param {number} season - MLB season year, selects the FIP constant (defaults to the response's season)
+     * @returns {Array} - Processed pitching data for visualization, best first, including FIP
+     */
+    extractPitchingData(data, metricKey = DEFAULT_PITCHING_METRIC, season = data.season) {
+        const metric = getMetric(metricKey);
+        const direction = getMetricSortDirection(metric) === 'asc' ? 1 : -1;
+        const byMetric = (a, b) => direction * (a[metric.key] - b[metric.key]);
+        
+        const toPitcher = (player, team, stats) => {
+            const registryTeam = resolveTeam(team.id, team.name);
+            return withPitchingSabermetrics({
+                id: player.id,
+                name: player.fullName || player.name || 'Unknown Player',
+                team: registryTeam.id !== null ? registryTeam.name : (team.name || 'Unknown Team'),
+                teamId: registryTeam.id,
+                ...this.parsePitchingNumbers(stats)
+            }, season);
+        };
+        
+        try {
+            if (data.stats && data.stats.length > 0) {
+                const pitchingStats = data.stats.find(stat => stat.group?.displayName === 'pitching');
+                
+                if (pitchingStats && pitchingStats.splits && pitchingStats.splits.length > 0) {
+                    return pitchingStats.splits
+                        .map(split => toPitcher(split.player || {}, split.team || {}, split.stat || {}))
+                        .sort(byMetric);
+                }
+            }
+            
+            if (data.playerPitchingStats && Array.isArray(data.playerPitchingStats)) {
+                return data.playerPitchingStats
+                    .map(pitcher => toPitcher(pitcher, { id: pitcher.teamId, name: pitcher.team }, pitcher))
+                    .sort(byMetric);
+            }
+            
+            throw new Error('Could not extract pitching data from response');
+            
+        } catch (error) {
+            console.error('Error extracting pitching data:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Convert raw pitching fields (API strings like "3.45" and "180.1") to numbers
+     * @param {Object} stats - Raw stat fields
+     * @returns {Object} - Numeric pitching fields; innings are in true thirds (180.1 becomes 180.333)
+     */
+    parsePitchingNumbers(stats) {
+        const rate = value => parseFloat(value || 0);
+        const count = value => parseInt(value || 0, 10);
+        
+        // "180.1" means 180 innings and 1 out
+        const [whole, outs] = String(stats.inningsPitched || '0').split('.');
+        const inningsPitched = count(whole) + count(outs) / 3;
+        const strikeOuts = count(stats.strikeOuts);
+        
+        return {
+            era: rate(stats.era),
+            whip: rate(stats.whip),
+            inningsPitched: inningsPitched,
+            gamesPlayed: count(stats.gamesPlayed),
+            gamesStarted: count(stats.gamesStarted),
+            wins: count(stats.wins),
+            losses: count(stats.losses),
+            saves: count(stats.saves),
+            hits: count(stats.hits),
+            earnedRuns: count(stats.earnedRuns),
+            homeRuns: count(stats.homeRuns),
+            baseOnBalls: count(stats.baseOnBalls),
+            hitByPitch: count(stats.hitByPitch),
+            strikeOuts: strikeOuts,
+            strikeoutsPer9: stats.strikeoutsPer9Inn !== undefined
+                ? rate(stats.strikeoutsPer9Inn)
+                : (inningsPitched > 0 ? 9 * strikeOuts / inningsPitched : 0),
+            // Batters faced are a pitcher's plate appearances, so the PA filter applies to pitchers too
+            plateAppearances: count(stats.battersFaced)
+        };
+    }
+
     /**
      * Get mock batting statistics for fallback
      * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @param {string} options.playerPool - 'all' adds generated part-time hitters for every team;
+     *                                      'rookies' returns only some of those part-time hitters
      * @returns {Promise<Object>} - Promise resolving to mock batting statistics
      */
-    getMockBattingStats(season) {
-        return Promise.resolve({
+    getMockBattingStats(season, options = {}) {
+        const stats = {
             "season": season || 2025,
             "playerBattingStats": [
                 {
@@ -157,8 +917,19 @@ class MlbStatsClient {
                     "avg": 0.329,
                     "atBats": 432,
                     "hits": 142,
+                    "doubles": 33,
+                    "triples": 3,
                     "homeRuns": 8,
-                    "rbi": 52
+                    "rbi": 52,
+                    "baseOnBalls": 59,
+                    "strikeOuts": 105,
+                    "stolenBases": 14,
+                    "hitByPitch": 7,
+                    "sacFlies": 6,
+                    "plateAppearances": 504,
+                    "obp": 0.413,
+                    "slg": 0.475,
+                    "ops": 0.888
                 },
                 {
                     "id": 2,
@@ -167,8 +938,19 @@ class MlbStatsClient {
                     "avg": 0.318,
                     "atBats": 408,
                     "hits": 130,
+                    "doubles": 24,
+                    "triples": 5,
                     "homeRuns": 25,
-                    "rbi": 82
+                    "rbi": 82,
+                    "baseOnBalls": 55,
+                    "strikeOuts": 115,
+                    "stolenBases": 20,
+                    "hitByPitch": 8,
+                    "sacFlies": 5,
+                    "plateAppearances": 476,
+                    "obp": 0.405,
+                    "slg": 0.586,
+                    "ops": 0.991
                 },
                 {
                     "id": 3,
@@ -177,8 +959,19 @@ class MlbStatsClient {
                     "avg": 0.317,
                     "atBats": 420,
                     "hits": 133,
+                    "doubles": 26,
+                    "triples": 2,
                     "homeRuns": 30,
-                    "rbi": 93
+                    "rbi": 93,
+                    "baseOnBalls": 48,
+                    "strikeOuts": 97,
+                    "stolenBases": 10,
+                    "hitByPitch": 5,
+                    "sacFlies": 6,
+                    "plateAppearances": 479,
+                    "obp": 0.388,
+                    "slg": 0.602,
+                    "ops": 0.990
                 },
                 {
                     "id": 4,
@@ -187,8 +980,19 @@ class MlbStatsClient {
                     "avg": 0.315,
                     "atBats": 425,
                     "hits": 134,
+                    "doubles": 29,
+                    "triples": 5,
                     "homeRuns": 23,
-                    "rbi": 75
+                    "rbi": 75,
+                    "baseOnBalls": 62,
+                    "strikeOuts": 68,
+                    "stolenBases": 25,
+                    "hitByPitch": 2,
+                    "sacFlies": 7,
+                    "plateAppearances": 496,
+                    "obp": 0.399,
+                    "slg": 0.569,
+                    "ops": 0.968
                 },
                 {
                     "id": 5,
@@ -197,8 +1001,19 @@ class MlbStatsClient {
                     "avg": 0.313,
                     "atBats": 402,
                     "hits": 126,
+                    "doubles": 28,
+                    "triples": 5,
                     "homeRuns": 32,
-                    "rbi": 94
+                    "rbi": 94,
+                    "baseOnBalls": 75,
+                    "strikeOuts": 97,
+                    "stolenBases": 28,
+                    "hitByPitch": 7,
+                    "sacFlies": 4,
+                    "plateAppearances": 488,
+                    "obp": 0.426,
+                    "slg": 0.647,
+                    "ops": 1.073
                 },
                 {
                     "id": 6,
@@ -207,8 +1022,19 @@ class MlbStatsClient {
                     "avg": 0.310,
                     "atBats": 415,
                     "hits": 129,
+                    "doubles": 26,
+                    "triples": 3,
                     "homeRuns": 9,
-                    "rbi": 48
+                    "rbi": 48,
+                    "baseOnBalls": 48,
+                    "strikeOuts": 67,
+                    "stolenBases": 25,
+                    "hitByPitch": 6,
+                    "sacFlies": 4,
+                    "plateAppearances": 473,
+                    "obp": 0.387,
+                    "slg": 0.453,
+                    "ops": 0.840
                 },
                 {
                     "id": 7,
@@ -217,8 +1043,19 @@ class MlbStatsClient {
                     "avg": 0.307,
                     "atBats": 401,
                     "hits": 123,
+                    "doubles": 26,
+                    "triples": 3,
                     "homeRuns": 24,
-                    "rbi": 82
+                    "rbi": 82,
+                    "baseOnBalls": 50,
+                    "strikeOuts": 82,
+                    "stolenBases": 23,
+                    "hitByPitch": 7,
+                    "sacFlies": 6,
+                    "plateAppearances": 464,
+                    "obp": 0.388,
+                    "slg": 0.566,
+                    "ops": 0.954
                 },
                 {
                     "id": 8,
@@ -227,8 +1064,19 @@ class MlbStatsClient {
                     "avg": 0.305,
                     "atBats": 390,
                     "hits": 119,
+                    "doubles": 26,
+                    "triples": 2,
                     "homeRuns": 35,
-                    "rbi": 99
+                    "rbi": 99,
+                    "baseOnBalls": 55,
+                    "strikeOuts": 120,
+                    "stolenBases": 5,
+                    "hitByPitch": 9,
+                    "sacFlies": 5,
+                    "plateAppearances": 459,
+                    "obp": 0.399,
+                    "slg": 0.651,
+                    "ops": 1.050
                 },
                 {
                     "id": 9,
@@ -237,8 +1085,19 @@ class MlbStatsClient {
                     "avg": 0.304,
                     "atBats": 413,
                     "hits": 126,
+                    "doubles": 23,
+                    "triples": 5,
                     "homeRuns": 28,
-                    "rbi": 86
+                    "rbi": 86,
+                    "baseOnBalls": 66,
+                    "strikeOuts": 94,
+                    "stolenBases": 2,
+                    "hitByPitch": 8,
+                    "sacFlies": 5,
+                    "plateAppearances": 492,
+                    "obp": 0.407,
+                    "slg": 0.588,
+                    "ops": 0.995
                 },
                 {
                     "id": 10,
@@ -247,8 +1106,19 @@ class MlbStatsClient {
                     "avg": 0.302,
                     "atBats": 386,
                     "hits": 117,
+                    "doubles": 20,
+                    "triples": 1,
                     "homeRuns": 33,
-                    "rbi": 97
+                    "rbi": 97,
+                    "baseOnBalls": 80,
+                    "strikeOuts": 111,
+                    "stolenBases": 3,
+                    "hitByPitch": 6,
+                    "sacFlies": 4,
+                    "plateAppearances": 476,
+                    "obp": 0.426,
+                    "slg": 0.617,
+                    "ops": 1.043
                 },
                 {
                     "id": 11,
@@ -257,8 +1127,19 @@ class MlbStatsClient {
                     "avg": 0.299,
                     "atBats": 398,
                     "hits": 119,
+                    "doubles": 25,
+                    "triples": 0,
                     "homeRuns": 40,
-                    "rbi": 104
+                    "rbi": 104,
+                    "baseOnBalls": 46,
+                    "strikeOuts": 115,
+                    "stolenBases": 23,
+                    "hitByPitch": 2,
+                    "sacFlies": 4,
+                    "plateAppearances": 450,
+                    "obp": 0.371,
+                    "slg": 0.663,
+                    "ops": 1.034
                 },
                 {
                     "id": 12,
@@ -267,8 +1148,19 @@ class MlbStatsClient {
                     "avg": 0.298,
                     "atBats": 408,
                     "hits": 122,
+                    "doubles": 27,
+                    "triples": 0,
                     "homeRuns": 18,
-                    "rbi": 70
+                    "rbi": 70,
+                    "baseOnBalls": 38,
+                    "strikeOuts": 101,
+                    "stolenBases": 30,
+                    "hitByPitch": 5,
+                    "sacFlies": 7,
+                    "plateAppearances": 458,
+                    "obp": 0.360,
+                    "slg": 0.498,
+                    "ops": 0.858
                 },
                 {
                     "id": 13,
@@ -277,8 +1169,19 @@ class MlbStatsClient {
                     "avg": 0.297,
                     "atBats": 400,
                     "hits": 119,
+                    "doubles": 20,
+                    "triples": 1,
                     "homeRuns": 20,
-                    "rbi": 66
+                    "rbi": 66,
+                    "baseOnBalls": 45,
+                    "strikeOuts": 76,
+                    "stolenBases": 25,
+                    "hitByPitch": 2,
+                    "sacFlies": 5,
+                    "plateAppearances": 452,
+                    "obp": 0.367,
+                    "slg": 0.502,
+                    "ops": 0.869
                 },
                 {
                     "id": 14,
@@ -287,8 +1190,19 @@ class MlbStatsClient {
                     "avg": 0.295,
                     "atBats": 418,
                     "hits": 123,
+                    "doubles": 27,
+                    "triples": 5,
                     "homeRuns": 27,
-                    "rbi": 85
+                    "rbi": 85,
+                    "baseOnBalls": 46,
+                    "strikeOuts": 83,
+                    "stolenBases": 25,
+                    "hitByPitch": 7,
+                    "sacFlies": 4,
+                    "plateAppearances": 475,
+                    "obp": 0.371,
+                    "slg": 0.577,
+                    "ops": 0.948
                 },
                 {
                     "id": 15,
@@ -297,8 +1211,19 @@ class MlbStatsClient {
                     "avg": 0.293,
                     "atBats": 412,
                     "hits": 121,
+                    "doubles": 29,
+                    "triples": 5,
                     "homeRuns": 32,
-                    "rbi": 88
+                    "rbi": 88,
+                    "baseOnBalls": 60,
+                    "strikeOuts": 124,
+                    "stolenBases": 10,
+                    "hitByPitch": 8,
+                    "sacFlies": 2,
+                    "plateAppearances": 482,
+                    "obp": 0.392,
+                    "slg": 0.621,
+                    "ops": 1.013
                 },
                 {
                     "id": 16,
@@ -307,8 +1232,19 @@ class MlbStatsClient {
                     "avg": 0.292,
                     "atBats": 410,
                     "hits": 120,
+                    "doubles": 21,
+                    "triples": 2,
                     "homeRuns": 31,
-                    "rbi": 92
+                    "rbi": 92,
+                    "baseOnBalls": 79,
+                    "strikeOuts": 80,
+                    "stolenBases": 15,
+                    "hitByPitch": 5,
+                    "sacFlies": 3,
+                    "plateAppearances": 497,
+                    "obp": 0.410,
+                    "slg": 0.580,
+                    "ops": 0.990
                 },
                 {
                     "id": 17,
@@ -317,8 +1253,19 @@ class MlbStatsClient {
                     "avg": 0.290,
                     "atBats": 405,
                     "hits": 117,
+                    "doubles": 21,
+                    "triples": 0,
                     "homeRuns": 29,
-                    "rbi": 89
+                    "rbi": 89,
+                    "baseOnBalls": 72,
+                    "strikeOuts": 119,
+                    "stolenBases": 1,
+                    "hitByPitch": 10,
+                    "sacFlies": 3,
+                    "plateAppearances": 490,
+                    "obp": 0.406,
+                    "slg": 0.556,
+                    "ops": 0.962
                 },
                 {
                     "id": 18,
@@ -327,8 +1274,19 @@ class MlbStatsClient {
                     "avg": 0.289,
                     "atBats": 400,
                     "hits": 116,
+                    "doubles": 21,
+                    "triples": 1,
                     "homeRuns": 45,
-                    "rbi": 107
+                    "rbi": 107,
+                    "baseOnBalls": 65,
+                    "strikeOuts": 125,
+                    "stolenBases": 15,
+                    "hitByPitch": 2,
+                    "sacFlies": 3,
+                    "plateAppearances": 470,
+                    "obp": 0.389,
+                    "slg": 0.685,
+                    "ops": 1.074
                 },
                 {
                     "id": 19,
@@ -337,8 +1295,19 @@ class MlbStatsClient {
                     "avg": 0.287,
                     "atBats": 395,
                     "hits": 113,
+                    "doubles": 26,
+                    "triples": 3,
                     "homeRuns": 25,
-                    "rbi": 72
+                    "rbi": 72,
+                    "baseOnBalls": 53,
+                    "strikeOuts": 97,
+                    "stolenBases": 25,
+                    "hitByPitch": 6,
+                    "sacFlies": 6,
+                    "plateAppearances": 460,
+                    "obp": 0.374,
+                    "slg": 0.557,
+                    "ops": 0.931
                 },
                 {
                     "id": 20,
@@ -347,8 +1316,19 @@ class MlbStatsClient {
                     "avg": 0.286,
                     "atBats": 405,
                     "hits": 116,
+                    "doubles": 21,
+                    "triples": 4,
                     "homeRuns": 26,
-                    "rbi": 81
+                    "rbi": 81,
+                    "baseOnBalls": 64,
+                    "strikeOuts": 108,
+                    "stolenBases": 29,
+                    "hitByPitch": 6,
+                    "sacFlies": 7,
+                    "plateAppearances": 482,
+                    "obp": 0.386,
+                    "slg": 0.551,
+                    "ops": 0.937
                 },
                 {
                     "id": 21,
@@ -357,8 +1337,19 @@ class MlbStatsClient {
                     "avg": 0.284,
                     "atBats": 390,
                     "hits": 111,
+                    "doubles": 22,
+                    "triples": 5,
                     "homeRuns": 17,
-                    "rbi": 62
+                    "rbi": 62,
+                    "baseOnBalls": 44,
+                    "strikeOuts": 80,
+                    "stolenBases": 30,
+                    "hitByPitch": 9,
+                    "sacFlies": 3,
+                    "plateAppearances": 446,
+                    "obp": 0.368,
+                    "slg": 0.497,
+                    "ops": 0.865
                 },
                 {
                     "id": 22,
@@ -367,8 +1358,19 @@ class MlbStatsClient {
                     "avg": 0.283,
                     "atBats": 410,
                     "hits": 116,
+                    "doubles": 28,
+                    "triples": 3,
                     "homeRuns": 30,
-                    "rbi": 95
+                    "rbi": 95,
+                    "baseOnBalls": 49,
+                    "strikeOuts": 114,
+                    "stolenBases": 15,
+                    "hitByPitch": 7,
+                    "sacFlies": 6,
+                    "plateAppearances": 472,
+                    "obp": 0.364,
+                    "slg": 0.585,
+                    "ops": 0.949
                 },
                 {
                     "id": 23,
@@ -377,8 +1379,19 @@ class MlbStatsClient {
                     "avg": 0.280,
                     "atBats": 415,
                     "hits": 116,
+                    "doubles": 20,
+                    "triples": 2,
                     "homeRuns": 29,
-                    "rbi": 88
+                    "rbi": 88,
+                    "baseOnBalls": 60,
+                    "strikeOuts": 107,
+                    "stolenBases": 7,
+                    "hitByPitch": 9,
+                    "sacFlies": 2,
+                    "plateAppearances": 486,
+                    "obp": 0.381,
+                    "slg": 0.547,
+                    "ops": 0.928
                 },
                 {
                     "id": 24,
@@ -387,8 +1400,19 @@ class MlbStatsClient {
                     "avg": 0.278,
                     "atBats": 420,
                     "hits": 117,
+                    "doubles": 19,
+                    "triples": 0,
                     "homeRuns": 20,
-                    "rbi": 73
+                    "rbi": 73,
+                    "baseOnBalls": 46,
+                    "strikeOuts": 94,
+                    "stolenBases": 13,
+                    "hitByPitch": 2,
+                    "sacFlies": 6,
+                    "plateAppearances": 474,
+                    "obp": 0.348,
+                    "slg": 0.467,
+                    "ops": 0.815
                 },
                 {
                     "id": 25,
@@ -397,8 +1421,19 @@ class MlbStatsClient {
                     "avg": 0.277,
                     "atBats": 400,
                     "hits": 111,
+                    "doubles": 26,
+                    "triples": 0,
                     "homeRuns": 25,
-                    "rbi": 78
+                    "rbi": 78,
+                    "baseOnBalls": 54,
+                    "strikeOuts": 94,
+                    "stolenBases": 6,
+                    "hitByPitch": 10,
+                    "sacFlies": 7,
+                    "plateAppearances": 471,
+                    "obp": 0.372,
+                    "slg": 0.530,
+                    "ops": 0.902
                 },
                 {
                     "id": 26,
@@ -407,8 +1442,19 @@ class MlbStatsClient {
                     "avg": 0.275,
                     "atBats": 418,
                     "hits": 115,
+                    "doubles": 26,
+                    "triples": 5,
                     "homeRuns": 22,
-                    "rbi": 74
+                    "rbi": 74,
+                    "baseOnBalls": 62,
+                    "strikeOuts": 76,
+                    "stolenBases": 30,
+                    "hitByPitch": 7,
+                    "sacFlies": 6,
+                    "plateAppearances": 493,
+                    "obp": 0.373,
+                    "slg": 0.519,
+                    "ops": 0.892
                 },
                 {
                     "id": 27,
@@ -417,8 +1463,19 @@ class MlbStatsClient {
                     "avg": 0.272,
                     "atBats": 405,
                     "hits": 110,
+                    "doubles": 18,
+                    "triples": 0,
                     "homeRuns": 24,
-                    "rbi": 79
+                    "rbi": 79,
+                    "baseOnBalls": 66,
+                    "strikeOuts": 81,
+                    "stolenBases": 28,
+                    "hitByPitch": 9,
+                    "sacFlies": 3,
+                    "plateAppearances": 483,
+                    "obp": 0.383,
+                    "slg": 0.494,
+                    "ops": 0.877
                 },
                 {
                     "id": 28,
@@ -427,8 +1484,19 @@ class MlbStatsClient {
                     "avg": 0.270,
                     "atBats": 392,
                     "hits": 106,
+                    "doubles": 19,
+                    "triples": 4,
                     "homeRuns": 32,
-                    "rbi": 89
+                    "rbi": 89,
+                    "baseOnBalls": 62,
+                    "strikeOuts": 82,
+                    "stolenBases": 12,
+                    "hitByPitch": 10,
+                    "sacFlies": 3,
+                    "plateAppearances": 467,
+                    "obp": 0.381,
+                    "slg": 0.584,
+                    "ops": 0.965
                 },
                 {
                     "id": 29,
@@ -437,8 +1505,19 @@ class MlbStatsClient {
                     "avg": 0.268,
                     "atBats": 410,
                     "hits": 110,
+                    "doubles": 18,
+                    "triples": 5,
                     "homeRuns": 35,
-                    "rbi": 90
+                    "rbi": 90,
+                    "baseOnBalls": 78,
+                    "strikeOuts": 106,
+                    "stolenBases": 15,
+                    "hitByPitch": 9,
+                    "sacFlies": 3,
+                    "plateAppearances": 500,
+                    "obp": 0.394,
+                    "slg": 0.593,
+                    "ops": 0.987
                 },
                 {
                     "id": 30,
@@ -447,10 +1526,923 @@ class MlbStatsClient {
                     "avg": 0.265,
                     "atBats": 408,
                     "hits": 108,
+                    "doubles": 21,
+                    "triples": 5,
+                    "homeRuns": 23,
+                    "rbi": 77,
+                    "baseOnBalls": 54,
+                    "strikeOuts": 106,
+                    "stolenBases": 4,
+                    "hitByPitch": 7,
+                    "sacFlies": 7,
+                    "plateAppearances": 476,
+                    "obp": 0.355,
+                    "slg": 0.510,
+                    "ops": 0.865
+                }
+            ]
+        };
+        
+        if (options.playerPool === 'all') {
+            stats.playerBattingStats = stats.playerBattingStats.concat(this.getMockDepthHitters(stats.season));
+        } else if (options.playerPool === 'rookies') {
+            // The first two part-time hitters on each team stand in for its rookies
+            stats.playerBattingStats = this.getMockDepthHitters(stats.season).filter((hitter, index) => index % 9 < 2);
+        }
+        
+        return Promise.resolve(stats);
+    }
+
+    /**
+     * Get mock pitching statistics for fallback
+     * Starters and closers with fictional lines from the same partial-season snapshot as the batting data
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @param {string} options.playerPool - 'all' adds the closers; otherwise only the starters,
+     *                                      who all pitched enough innings to qualify
+     * @returns {Promise<Object>} - Promise resolving to mock pitching statistics
+     */
+    getMockPitchingStats(season, options = {}) {
+        const stats = {
+            "season": season || 2025,
+            "playerPitchingStats": [
+                {
+                    "id": 101,
+                    "name": "Tarik Skubal",
+                    "team": "Detroit Tigers",
+                    "gamesPlayed": 26,
+                    "gamesStarted": 26,
+                    "wins": 15,
+                    "losses": 6,
+                    "saves": 0,
+                    "inningsPitched": "165.0",
+                    "hits": 117,
+                    "earnedRuns": 51,
+                    "homeRuns": 22,
+                    "baseOnBalls": 54,
+                    "hitByPitch": 10,
+                    "strikeOuts": 194,
+                    "battersFaced": 676,
+                    "era": 2.78,
+                    "whip": 1.04,
+                    "strikeoutsPer9Inn": 10.58
+                },
+                {
+                    "id": 102,
+                    "name": "Paul Skenes",
+                    "team": "Pittsburgh Pirates",
+                    "gamesPlayed": 25,
+                    "gamesStarted": 25,
+                    "wins": 10,
+                    "losses": 10,
+                    "saves": 0,
+                    "inningsPitched": "170.2",
+                    "hits": 132,
+                    "earnedRuns": 49,
+                    "homeRuns": 20,
+                    "baseOnBalls": 34,
+                    "hitByPitch": 10,
+                    "strikeOuts": 202,
+                    "battersFaced": 688,
+                    "era": 2.58,
+                    "whip": 0.97,
+                    "strikeoutsPer9Inn": 10.65
+                },
+                {
+                    "id": 103,
+                    "name": "Zack Wheeler",
+                    "team": "Philadelphia Phillies",
+                    "gamesPlayed": 25,
+                    "gamesStarted": 25,
+                    "wins": 8,
+                    "losses": 9,
+                    "saves": 0,
+                    "inningsPitched": "183.2",
+                    "hits": 165,
+                    "earnedRuns": 86,
+                    "homeRuns": 17,
+                    "baseOnBalls": 44,
+                    "hitByPitch": 12,
+                    "strikeOuts": 209,
+                    "battersFaced": 772,
+                    "era": 4.21,
+                    "whip": 1.14,
+                    "strikeoutsPer9Inn": 10.24
+                },
+                {
+                    "id": 104,
+                    "name": "Chris Sale",
+                    "team": "Atlanta Braves",
+                    "gamesPlayed": 29,
+                    "gamesStarted": 29,
+                    "wins": 12,
+                    "losses": 6,
+                    "saves": 0,
+                    "inningsPitched": "159.1",
+                    "hits": 120,
+                    "earnedRuns": 50,
+                    "homeRuns": 16,
+                    "baseOnBalls": 40,
+                    "hitByPitch": 10,
+                    "strikeOuts": 169,
+                    "battersFaced": 648,
+                    "era": 2.82,
+                    "whip": 1.0,
+                    "strikeoutsPer9Inn": 9.55
+                },
+                {
+                    "id": 105,
+                    "name": "Logan Webb",
+                    "team": "San Francisco Giants",
+                    "gamesPlayed": 28,
+                    "gamesStarted": 28,
+                    "wins": 10,
+                    "losses": 8,
+                    "saves": 0,
+                    "inningsPitched": "175.2",
+                    "hits": 147,
+                    "earnedRuns": 65,
+                    "homeRuns": 20,
+                    "baseOnBalls": 46,
+                    "hitByPitch": 4,
+                    "strikeOuts": 196,
+                    "battersFaced": 724,
+                    "era": 3.33,
+                    "whip": 1.1,
+                    "strikeoutsPer9Inn": 10.04
+                },
+                {
+                    "id": 106,
+                    "name": "Garrett Crochet",
+                    "team": "Boston Red Sox",
+                    "gamesPlayed": 29,
+                    "gamesStarted": 29,
+                    "wins": 9,
+                    "losses": 11,
+                    "saves": 0,
+                    "inningsPitched": "177.0",
+                    "hits": 167,
+                    "earnedRuns": 64,
+                    "homeRuns": 26,
+                    "baseOnBalls": 48,
+                    "hitByPitch": 7,
+                    "strikeOuts": 181,
+                    "battersFaced": 753,
+                    "era": 3.25,
+                    "whip": 1.21,
+                    "strikeoutsPer9Inn": 9.2
+                },
+                {
+                    "id": 107,
+                    "name": "Yoshinobu Yamamoto",
+                    "team": "Los Angeles Dodgers",
+                    "gamesPlayed": 28,
+                    "gamesStarted": 28,
+                    "wins": 15,
+                    "losses": 7,
+                    "saves": 0,
+                    "inningsPitched": "150.0",
+                    "hits": 118,
+                    "earnedRuns": 43,
+                    "homeRuns": 14,
+                    "baseOnBalls": 44,
+                    "hitByPitch": 6,
+                    "strikeOuts": 141,
+                    "battersFaced": 618,
+                    "era": 2.58,
+                    "whip": 1.08,
+                    "strikeoutsPer9Inn": 8.46
+                },
+                {
+                    "id": 108,
+                    "name": "Hunter Brown",
+                    "team": "Houston Astros",
+                    "gamesPlayed": 25,
+                    "gamesStarted": 25,
+                    "wins": 10,
+                    "losses": 7,
+                    "saves": 0,
+                    "inningsPitched": "154.2",
+                    "hits": 113,
+                    "earnedRuns": 59,
+                    "homeRuns": 12,
+                    "baseOnBalls": 32,
+                    "hitByPitch": 5,
+                    "strikeOuts": 179,
+                    "battersFaced": 614,
+                    "era": 3.43,
+                    "whip": 0.94,
+                    "strikeoutsPer9Inn": 10.42
+                },
+                {
+                    "id": 109,
+                    "name": "Logan Gilbert",
+                    "team": "Seattle Mariners",
+                    "gamesPlayed": 25,
+                    "gamesStarted": 25,
+                    "wins": 16,
+                    "losses": 6,
+                    "saves": 0,
+                    "inningsPitched": "157.1",
+                    "hits": 139,
+                    "earnedRuns": 62,
+                    "homeRuns": 17,
+                    "baseOnBalls": 59,
+                    "hitByPitch": 9,
+                    "strikeOuts": 177,
+                    "battersFaced": 679,
+                    "era": 3.55,
+                    "whip": 1.26,
+                    "strikeoutsPer9Inn": 10.12
+                },
+                {
+                    "id": 110,
+                    "name": "Cole Ragans",
+                    "team": "Kansas City Royals",
+                    "gamesPlayed": 27,
+                    "gamesStarted": 27,
+                    "wins": 12,
+                    "losses": 5,
+                    "saves": 0,
+                    "inningsPitched": "157.2",
+                    "hits": 116,
+                    "earnedRuns": 64,
+                    "homeRuns": 15,
+                    "baseOnBalls": 45,
+                    "hitByPitch": 8,
+                    "strikeOuts": 138,
+                    "battersFaced": 642,
+                    "era": 3.65,
+                    "whip": 1.02,
+                    "strikeoutsPer9Inn": 7.88
+                },
+                {
+                    "id": 111,
+                    "name": "Max Fried",
+                    "team": "New York Yankees",
+                    "gamesPlayed": 28,
+                    "gamesStarted": 28,
+                    "wins": 8,
+                    "losses": 5,
+                    "saves": 0,
+                    "inningsPitched": "167.0",
+                    "hits": 126,
+                    "earnedRuns": 75,
+                    "homeRuns": 14,
+                    "baseOnBalls": 43,
+                    "hitByPitch": 5,
+                    "strikeOuts": 217,
+                    "battersFaced": 675,
+                    "era": 4.04,
+                    "whip": 1.01,
+                    "strikeoutsPer9Inn": 11.69
+                },
+                {
+                    "id": 112,
+                    "name": "Jacob deGrom",
+                    "team": "Texas Rangers",
+                    "gamesPlayed": 26,
+                    "gamesStarted": 26,
+                    "wins": 9,
+                    "losses": 11,
+                    "saves": 0,
+                    "inningsPitched": "151.1",
+                    "hits": 125,
+                    "earnedRuns": 43,
+                    "homeRuns": 22,
+                    "baseOnBalls": 40,
+                    "hitByPitch": 4,
+                    "strikeOuts": 173,
+                    "battersFaced": 623,
+                    "era": 2.56,
+                    "whip": 1.09,
+                    "strikeoutsPer9Inn": 10.29
+                },
+                {
+                    "id": 113,
+                    "name": "Dylan Cease",
+                    "team": "San Diego Padres",
+                    "gamesPlayed": 26,
+                    "gamesStarted": 26,
+                    "wins": 8,
+                    "losses": 7,
+                    "saves": 0,
+                    "inningsPitched": "174.2",
+                    "hits": 154,
+                    "earnedRuns": 62,
                     "homeRuns": 23,
-                    "rbi": 77
+                    "baseOnBalls": 49,
+                    "hitByPitch": 7,
+                    "strikeOuts": 167,
+                    "battersFaced": 734,
+                    "era": 3.19,
+                    "whip": 1.16,
+                    "strikeoutsPer9Inn": 8.6
+                },
+                {
+                    "id": 114,
+                    "name": "Freddy Peralta",
+                    "team": "Milwaukee Brewers",
+                    "gamesPlayed": 26,
+                    "gamesStarted": 26,
+                    "wins": 12,
+                    "losses": 5,
+                    "saves": 0,
+                    "inningsPitched": "164.0",
+                    "hits": 127,
+                    "earnedRuns": 41,
+                    "homeRuns": 24,
+                    "baseOnBalls": 49,
+                    "hitByPitch": 5,
+                    "strikeOuts": 210,
+                    "battersFaced": 673,
+                    "era": 2.25,
+                    "whip": 1.07,
+                    "strikeoutsPer9Inn": 11.52
+                },
+                {
+                    "id": 115,
+                    "name": "Kevin Gausman",
+                    "team": "Toronto Blue Jays",
+                    "gamesPlayed": 26,
+                    "gamesStarted": 26,
+                    "wins": 15,
+                    "losses": 4,
+                    "saves": 0,
+                    "inningsPitched": "167.0",
+                    "hits": 135,
+                    "earnedRuns": 67,
+                    "homeRuns": 22,
+                    "baseOnBalls": 56,
+                    "hitByPitch": 5,
+                    "strikeOuts": 165,
+                    "battersFaced": 697,
+                    "era": 3.61,
+                    "whip": 1.14,
+                    "strikeoutsPer9Inn": 8.89
+                },
+                {
+                    "id": 116,
+                    "name": "Sonny Gray",
+                    "team": "St. Louis Cardinals",
+                    "gamesPlayed": 28,
+                    "gamesStarted": 28,
+                    "wins": 10,
+                    "losses": 9,
+                    "saves": 0,
+                    "inningsPitched": "184.1",
+                    "hits": 146,
+                    "earnedRuns": 73,
+                    "homeRuns": 12,
+                    "baseOnBalls": 65,
+                    "hitByPitch": 11,
+                    "strikeOuts": 188,
+                    "battersFaced": 775,
+                    "era": 3.56,
+                    "whip": 1.14,
+                    "strikeoutsPer9Inn": 9.18
+                },
+                {
+                    "id": 117,
+                    "name": "Pablo López",
+                    "team": "Minnesota Twins",
+                    "gamesPlayed": 26,
+                    "gamesStarted": 26,
+                    "wins": 13,
+                    "losses": 8,
+                    "saves": 0,
+                    "inningsPitched": "185.2",
+                    "hits": 136,
+                    "earnedRuns": 82,
+                    "homeRuns": 17,
+                    "baseOnBalls": 53,
+                    "hitByPitch": 6,
+                    "strikeOuts": 231,
+                    "battersFaced": 752,
+                    "era": 3.97,
+                    "whip": 1.02,
+                    "strikeoutsPer9Inn": 11.2
+                },
+                {
+                    "id": 118,
+                    "name": "Shota Imanaga",
+                    "team": "Chicago Cubs",
+                    "gamesPlayed": 29,
+                    "gamesStarted": 29,
+                    "wins": 15,
+                    "losses": 6,
+                    "saves": 0,
+                    "inningsPitched": "181.2",
+                    "hits": 162,
+                    "earnedRuns": 61,
+                    "homeRuns": 25,
+                    "baseOnBalls": 41,
+                    "hitByPitch": 7,
+                    "strikeOuts": 236,
+                    "battersFaced": 755,
+                    "era": 3.02,
+                    "whip": 1.12,
+                    "strikeoutsPer9Inn": 11.69
+                },
+                {
+                    "id": 119,
+                    "name": "Hunter Greene",
+                    "team": "Cincinnati Reds",
+                    "gamesPlayed": 29,
+                    "gamesStarted": 29,
+                    "wins": 10,
+                    "losses": 5,
+                    "saves": 0,
+                    "inningsPitched": "162.2",
+                    "hits": 154,
+                    "earnedRuns": 46,
+                    "homeRuns": 18,
+                    "baseOnBalls": 42,
+                    "hitByPitch": 5,
+                    "strikeOuts": 145,
+                    "battersFaced": 689,
+                    "era": 2.55,
+                    "whip": 1.2,
+                    "strikeoutsPer9Inn": 8.02
+                },
+                {
+                    "id": 120,
+                    "name": "Tanner Bibee",
+                    "team": "Cleveland Guardians",
+                    "gamesPlayed": 29,
+                    "gamesStarted": 29,
+                    "wins": 8,
+                    "losses": 9,
+                    "saves": 0,
+                    "inningsPitched": "173.2",
+                    "hits": 157,
+                    "earnedRuns": 76,
+                    "homeRuns": 22,
+                    "baseOnBalls": 34,
+                    "hitByPitch": 11,
+                    "strikeOuts": 210,
+                    "battersFaced": 723,
+                    "era": 3.94,
+                    "whip": 1.1,
+                    "strikeoutsPer9Inn": 10.88
+                },
+                {
+                    "id": 121,
+                    "name": "Emmanuel Clase",
+                    "team": "Cleveland Guardians",
+                    "gamesPlayed": 55,
+                    "gamesStarted": 0,
+                    "wins": 3,
+                    "losses": 5,
+                    "saves": 29,
+                    "inningsPitched": "61.0",
+                    "hits": 51,
+                    "earnedRuns": 19,
+                    "homeRuns": 7,
+                    "baseOnBalls": 15,
+                    "hitByPitch": 4,
+                    "strikeOuts": 73,
+                    "battersFaced": 253,
+                    "era": 2.8,
+                    "whip": 1.08,
+                    "strikeoutsPer9Inn": 10.77
+                },
+                {
+                    "id": 122,
+                    "name": "Josh Hader",
+                    "team": "Houston Astros",
+                    "gamesPlayed": 59,
+                    "gamesStarted": 0,
+                    "wins": 2,
+                    "losses": 5,
+                    "saves": 25,
+                    "inningsPitched": "62.2",
+                    "hits": 44,
+                    "earnedRuns": 26,
+                    "homeRuns": 5,
+                    "baseOnBalls": 16,
+                    "hitByPitch": 2,
+                    "strikeOuts": 84,
+                    "battersFaced": 250,
+                    "era": 3.73,
+                    "whip": 0.96,
+                    "strikeoutsPer9Inn": 12.06
+                },
+                {
+                    "id": 123,
+                    "name": "Edwin Díaz",
+                    "team": "New York Mets",
+                    "gamesPlayed": 58,
+                    "gamesStarted": 0,
+                    "wins": 1,
+                    "losses": 4,
+                    "saves": 27,
+                    "inningsPitched": "52.1",
+                    "hits": 42,
+                    "earnedRuns": 11,
+                    "homeRuns": 5,
+                    "baseOnBalls": 19,
+                    "hitByPitch": 2,
+                    "strikeOuts": 74,
+                    "battersFaced": 220,
+                    "era": 1.89,
+                    "whip": 1.17,
+                    "strikeoutsPer9Inn": 12.73
+                },
+                {
+                    "id": 124,
+                    "name": "Robert Suarez",
+                    "team": "San Diego Padres",
+                    "gamesPlayed": 60,
+                    "gamesStarted": 0,
+                    "wins": 5,
+                    "losses": 3,
+                    "saves": 31,
+                    "inningsPitched": "56.0",
+                    "hits": 40,
+                    "earnedRuns": 22,
+                    "homeRuns": 6,
+                    "baseOnBalls": 15,
+                    "hitByPitch": 2,
+                    "strikeOuts": 82,
+                    "battersFaced": 225,
+                    "era": 3.54,
+                    "whip": 0.98,
+                    "strikeoutsPer9Inn": 13.18
+                },
+                {
+                    "id": 125,
+                    "name": "Ryan Helsley",
+                    "team": "St. Louis Cardinals",
+                    "gamesPlayed": 58,
+                    "gamesStarted": 0,
+                    "wins": 1,
+                    "losses": 3,
+                    "saves": 38,
+                    "inningsPitched": "60.0",
+                    "hits": 54,
+                    "earnedRuns": 18,
+                    "homeRuns": 6,
+                    "baseOnBalls": 21,
+                    "hitByPitch": 2,
+                    "strikeOuts": 90,
+                    "battersFaced": 257,
+                    "era": 2.7,
+                    "whip": 1.25,
+                    "strikeoutsPer9Inn": 13.5
+                },
+                {
+                    "id": 126,
+                    "name": "Andrés Muñoz",
+                    "team": "Seattle Mariners",
+                    "gamesPlayed": 55,
+                    "gamesStarted": 0,
+                    "wins": 4,
+                    "losses": 2,
+                    "saves": 30,
+                    "inningsPitched": "62.1",
+                    "hits": 44,
+                    "earnedRuns": 22,
+                    "homeRuns": 7,
+                    "baseOnBalls": 19,
+                    "hitByPitch": 3,
+                    "strikeOuts": 91,
+                    "battersFaced": 253,
+                    "era": 3.18,
+                    "whip": 1.01,
+                    "strikeoutsPer9Inn": 13.14
+                },
+                {
+                    "id": 127,
+                    "name": "Raisel Iglesias",
+                    "team": "Atlanta Braves",
+                    "gamesPlayed": 64,
+                    "gamesStarted": 0,
+                    "wins": 3,
+                    "losses": 1,
+                    "saves": 30,
+                    "inningsPitched": "59.1",
+                    "hits": 42,
+                    "earnedRuns": 19,
+                    "homeRuns": 8,
+                    "baseOnBalls": 13,
+                    "hitByPitch": 4,
+                    "strikeOuts": 87,
+                    "battersFaced": 237,
+                    "era": 2.88,
+                    "whip": 0.93,
+                    "strikeoutsPer9Inn": 13.2
+                },
+                {
+                    "id": 128,
+                    "name": "Jhoan Duran",
+                    "team": "Minnesota Twins",
+                    "gamesPlayed": 64,
+                    "gamesStarted": 0,
+                    "wins": 1,
+                    "losses": 2,
+                    "saves": 28,
+                    "inningsPitched": "56.2",
+                    "hits": 53,
+                    "earnedRuns": 15,
+                    "homeRuns": 7,
+                    "baseOnBalls": 14,
+                    "hitByPitch": 2,
+                    "strikeOuts": 75,
+                    "battersFaced": 239,
+                    "era": 2.38,
+                    "whip": 1.18,
+                    "strikeoutsPer9Inn": 11.91
+                },
+                {
+                    "id": 129,
+                    "name": "Carlos Estévez",
+                    "team": "Kansas City Royals",
+                    "gamesPlayed": 60,
+                    "gamesStarted": 0,
+                    "wins": 4,
+                    "losses": 4,
+                    "saves": 29,
+                    "inningsPitched": "59.2",
+                    "hits": 54,
+                    "earnedRuns": 14,
+                    "homeRuns": 8,
+                    "baseOnBalls": 21,
+                    "hitByPitch": 2,
+                    "strikeOuts": 78,
+                    "battersFaced": 256,
+                    "era": 2.11,
+                    "whip": 1.26,
+                    "strikeoutsPer9Inn": 11.77
+                },
+                {
+                    "id": 130,
+                    "name": "Kenley Jansen",
+                    "team": "Los Angeles Angels",
+                    "gamesPlayed": 62,
+                    "gamesStarted": 0,
+                    "wins": 5,
+                    "losses": 1,
+                    "saves": 33,
+                    "inningsPitched": "56.2",
+                    "hits": 51,
+                    "earnedRuns": 15,
+                    "homeRuns": 5,
+                    "baseOnBalls": 13,
+                    "hitByPitch": 3,
+                    "strikeOuts": 75,
+                    "battersFaced": 237,
+                    "era": 2.38,
+                    "whip": 1.13,
+                    "strikeoutsPer9Inn": 11.91
                 }
             ]
+        };
+        
+        if (options.playerPool !== 'all') {
+            stats.playerPitchingStats = stats.playerPitchingStats.filter(pitcher => pitcher.gamesStarted > 0);
+        }
+        
+        return Promise.resolve(stats);
+    }
+
+    /**
+     * Create a small deterministic PRNG (mulberry32) for mock data
+     * @param {number} seed - Seed value; the same seed always gives the same sequence
+     * @returns {Function} - Returns a number in [0, 1) on each call
+     */
+    createMockRandom(seed) {
+        let state = seed | 0;
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Generate part-time hitters for every team, so the 'all' player pool fills out rosters
+     * @param {number} season - MLB season year (seeds the generator)
+     * @returns {Array} - Mock player records with consistent counts and rate stats
+     */
+    getMockDepthHitters(season) {
+        const random = this.createMockRandom(parseInt(season, 10) || 2025);
+        const pick = items => items[Math.floor(random() * items.length)];
+        const round3 = value => Math.round(value * 1000) / 1000;
+        
+        const firstNames = ['Alex', 'Ben', 'Carlos', 'Danny', 'Eli', 'Frank', 'Gabe', 'Hector', 'Isaac', 'Jake',
+            'Kyle', 'Luis', 'Matt', 'Nick', 'Oscar', 'Pablo', 'Ryan', 'Sam', 'Tyler', 'Victor', 'Will', 'Zach'];
+        const lastNames = ['Alvarez', 'Brooks', 'Castillo', 'Diaz', 'Ellis', 'Flores', 'Garcia', 'Hayes', 'Iglesias',
+            'Jensen', 'Kelly', 'Lopez', 'Miller', 'Nunez', 'Ortiz', 'Perez', 'Quinn', 'Reyes', 'Santos', 'Turner',
+            'Underwood', 'Vargas', 'Walker', 'Young'];
+        
+        const teams = Object.values(MLB_TEAMS).map(team => team.name);
+        const hitters = [];
+        
+        teams.forEach(team => {
+            for (let i = 0; i < 9; i++) {
+                const plateAppearances = 60 + Math.floor(random() * 440);
+                const baseOnBalls = Math.round(plateAppearances * (0.05 + random() * 0.06));
+                const hitByPitch = Math.round(plateAppearances * 0.01 * random() * 2);
+                const sacFlies = Math.round(plateAppearances * 0.008);
+                const atBats = plateAppearances - baseOnBalls - hitByPitch - sacFlies;
+                
+                // Batting average around .245 (sum of uniforms keeps it near the middle)
+                const avg = 0.195 + (random() + random()) * 0.05;
+                const hits = Math.round(atBats * avg);
+                const homeRuns = Math.min(hits, Math.round(atBats * (0.01 + random() * 0.035)));
+                const doubles = Math.min(hits - homeRuns, Math.round(hits * (0.15 + random() * 0.1)));
+                const triples = Math.min(hits - homeRuns - doubles, Math.round(hits * random() * 0.03));
+                const totalBases = hits + doubles + 2 * triples + 3 * homeRuns;
+                
+                const obp = (hits + baseOnBalls + hitByPitch) / (atBats + baseOnBalls + hitByPitch + sacFlies);
+                const slg = totalBases / atBats;
+                
+                hitters.push({
+                    id: 10000 + hitters.length,
+                    name: `${pick(firstNames)} ${pick(lastNames)}`,
+                    team: team,
+                    avg: round3(hits / atBats),
+                    atBats: atBats,
+                    hits: hits,
+                    doubles: doubles,
+                    triples: triples,
+                    homeRuns: homeRuns,
+                    rbi: Math.round(homeRuns * 2 + hits * 0.25),
+                    baseOnBalls: baseOnBalls,
+                    strikeOuts: Math.round(plateAppearances * (0.17 + random() * 0.12)),
+                    stolenBases: Math.round(plateAppearances * 0.03 * random()),
+                    hitByPitch: hitByPitch,
+                    sacFlies: sacFlies,
+                    plateAppearances: plateAppearances,
+                    obp: round3(obp),
+                    slg: round3(slg),
+                    ops: round3(obp + slg)
+                });
+            }
+        });
+        
+        return hitters;
+    }
+
+    /**
+     * Get the built-in season list for fallback: every season since FIRST_SEASON
+     * @returns {Promise<Object>} - Promise resolving to { seasons: [{ seasonId }] }, like the Stats API
+     */
+    getMockSeasons() {
+        const seasons = getAllSeasons().map(season => ({ seasonId: String(season) }));
+        return Promise.resolve({ seasons });
+    }
+
+    /**
+     * Generate mock league totals for fallback
+     * The league line follows the broad shape of baseball history (a low deadball era, the
+     * high-offense 1930s, the 1968 low, the steroid-era high), but the numbers are fictional.
+     * The same season always produces the same totals.
+     * @param {Array<number>} seasons - Season years
+     * @returns {Promise<Object>} - Promise resolving to { leagueHistory: [league totals] }
+     */
+    getMockLeagueHistory(seasons) {
+        // [season, AVG, OBP - AVG, SLG - AVG], interpolated between these points
+        const anchors = [
+            [1901, 0.265, 0.065, 0.075],
+            [1915, 0.248, 0.068, 0.072],
+            [1925, 0.285, 0.070, 0.110],
+            [1930, 0.296, 0.070, 0.125],
+            [1945, 0.260, 0.075, 0.100],
+            [1956, 0.258, 0.078, 0.135],
+            [1968, 0.237, 0.062, 0.103],
+            [1977, 0.264, 0.068, 0.120],
+            [1988, 0.254, 0.065, 0.130],
+            [2000, 0.270, 0.075, 0.167],
+            [2014, 0.251, 0.063, 0.135],
+            [2019, 0.252, 0.071, 0.183],
+            [2022, 0.243, 0.069, 0.152],
+            [2030, 0.246, 0.070, 0.160]
+        ];
+        const interpolate = (season, column) => {
+            const after = anchors.findIndex(anchor => anchor[0] >= season);
+            if (after <= 0) return anchors[Math.max(after, 0)][column];
+            const [startSeason] = anchors[after - 1];
+            const share = (season - startSeason) / (anchors[after][0] - startSeason);
+            return anchors[after - 1][column] + (anchors[after][column] - anchors[after - 1][column]) * share;
+        };
+        
+        const leagueHistory = seasons.map(season => {
+            const random = this.createMockRandom(season * 104729);
+            const jitter = () => (random() - 0.5) * 0.006;
+            const avg = interpolate(season, 1) + jitter();
+            const onBaseGap = interpolate(season, 2) + jitter() / 2;
+            const isolatedPower = interpolate(season, 3) + jitter();
+            
+            // Teams and games per season grew with expansion; about 38 plate appearances per team game
+            const teams = season < 1961 ? 16 : season < 1977 ? 22 : season < 1993 ? 26 : 30;
+            const plateAppearances = Math.round(teams * (season < 1961 ? 154 : 162) * 38);
+            const hitByPitch = Math.round(plateAppearances * 0.008);
+            const sacFlies = Math.round(plateAppearances * 0.007);
+            const baseOnBalls = Math.round(plateAppearances * (onBaseGap * 1.2));
+            const atBats = plateAppearances - baseOnBalls - hitByPitch - sacFlies;
+            const hits = Math.round(atBats * avg);
+            
+            return {
+                season,
+                plateAppearances,
+                atBats,
+                hits,
+                baseOnBalls,
+                hitByPitch,
+                sacFlies,
+                totalBases: Math.round(atBats * (avg + isolatedPower))
+            };
+        });
+        
+        return Promise.resolve({ leagueHistory });
+    }
+
+    /**
+     * Get mock games played for fallback
+     * The mock batting lines are a partial-season snapshot, so every team has played 144 games
+     * @param {number} season - MLB season year
+     * @returns {Promise<Object>} - Promise resolving to { season, teamGames: [{ teamId, team, gamesPlayed }] }
+     */
+    getMockTeamGames(season) {
+        return Promise.resolve({
+            season: season || 2025,
+            teamGames: Object.values(MLB_TEAMS).map(team => ({ teamId: team.id, team: team.name, gamesPlayed: 144 }))
+        });
+    }
+
+    /**
+     * Generate a mock game log for fallback
+     * Spreads the player's season totals over a schedule of games. The same player
+     * and season always produce the same log, so the fixture is stable between loads.
+     * @param {number} season - MLB season year
+     * @param {Object} player - Player record with season totals
+     * @returns {Promise<Object>} - Promise resolving to { season, playerId, games }
+     */
+    getMockGameLog(season, player) {
+        const seasonYear = parseInt(season, 10) || 2025;
+        
+        // Seeded from the player and season
+        const random = this.createMockRandom((player.id || 0) * 7919 + seasonYear);
+        const pick = items => items[Math.floor(random() * items.length)];
+        
+        // Roughly 3.9 at-bats per game, at most a full schedule
+        const atBats = player.atBats || 0;
+        const gameCount = Math.max(1, Math.min(162, Math.round(atBats / 3.9)));
+        
+        const games = [];
+        const playerTeam = resolveTeam(player.teamId, player.team);
+        const opponents = Object.values(MLB_TEAMS).filter(team => team !== playerTeam).map(team => team.name);
+        const openingDay = new Date(Date.UTC(seasonYear, 2, 27));
+        let day = 0;
+        
+        for (let i = 0; i < gameCount; i++) {
+            // About one off day a week
+            day += random() < 0.15 ? 2 : 1;
+            const date = new Date(openingDay.getTime() + day * 86400000);
+            games.push({
+                date: date.toISOString().slice(0, 10),
+                opponent: pick(opponents),
+                isHome: random() < 0.5,
+                atBats: 0, hits: 0, doubles: 0, triples: 0, homeRuns: 0,
+                rbi: 0, baseOnBalls: 0, strikeOuts: 0, plateAppearances: 0
+            });
+        }
+        
+        // Hand out a season total one at a time to random games that can take it
+        const distribute = (field, total, canTake) => {
+            for (let i = 0; i < total; i++) {
+                const candidates = games.filter(canTake);
+                if (candidates.length === 0) return;
+                pick(candidates)[field]++;
+            }
+        };
+        
+        // Every game gets a base number of at-bats, the remainder is spread randomly
+        const baseAtBats = Math.max(0, Math.floor(atBats / gameCount) - 1);
+        games.forEach(game => { game.atBats = baseAtBats; });
+        distribute('atBats', atBats - baseAtBats * gameCount, game => game.atBats < 6);
+        
+        const extraBaseHits = game => game.doubles + game.triples + game.homeRuns;
+        distribute('hits', player.hits || 0, game => game.hits < game.atBats);
+        distribute('homeRuns', player.homeRuns || 0, game => extraBaseHits(game) < game.hits);
+        distribute('doubles', player.doubles || 0, game => extraBaseHits(game) < game.hits);
+        distribute('triples', player.triples || 0, game => extraBaseHits(game) < game.hits);
+        distribute('strikeOuts', player.strikeOuts || 0, game => game.strikeOuts < game.atBats - game.hits);
+        distribute('baseOnBalls', player.baseOnBalls || 0, () => true);
+        
+        // Every home run drives in at least the batter, the rest go to games with hits
+        games.forEach(game => { game.rbi = game.homeRuns; });
+        distribute('rbi', Math.max(0, (player.rbi || 0) - (player.homeRuns || 0)), game => game.hits > 0 && game.rbi < 8);
+        
+        games.forEach(game => { game.plateAppearances = game.atBats + game.baseOnBalls; });
+        
+        return Promise.resolve({
+            season: seasonYear,
+            playerId: player.id,
+            games: games
         });
     }
 }
@@ -5,10 +5,219 @@
 
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize components
-    const visualizer = new BattingVisualizer('visualization-container');
+    const detailPanel = new PlayerDetailPanel('player-detail', mlbStatsClient, {
+        onClose: () => {
+            selectedPlayerId = null;
+            updateUrl();
+        }
+    });
+    // The colorblind-safe palette is a display preference, kept between visits
+    const PALETTE_STORAGE_KEY = 'mlb-viz-palette';
+    const savedPalette = (() => {
+        try {
+            return localStorage.getItem(PALETTE_STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    })();
+    
+    const visualizer = new BattingVisualizer('visualization-container', {
+        palette: savedPalette || 'team',
+        // Clicking a bar opens that player's game log
+        onPlayerSelect: player => openPlayerDetail(player),
+        onSortChange: () => updateUrl(),
+        // Exports are tagged with what's on screen and where the data came from
+        getExportMetadata: () => ({
+            season: currentComparison
+                ? `${currentComparison.olderSeason} vs ${currentComparison.newerSeason}`
+                : currentSeason,
+            view: currentComparison ? 'comparison' : currentView,
+            metric: getMetric(metricSelect.value).label,
+            metricKey: metricSelect.value,
+            source: currentProvenance.map(({ provenance }) => provenance.source).join(' / ')
+        })
+    });
     const fetchButton = document.getElementById('fetch-data');
     const seasonSelect = document.getElementById('season-select');
+    const statGroupSelect = document.getElementById('stat-group');
+    const viewSelect = document.getElementById('view-select');
+    const metricSelect = document.getElementById('metric-select');
+    const leaderboardSizeSelect = document.getElementById('leaderboard-size');
+    const poolControls = document.getElementById('pool-controls');
+    const playerPoolSelect = document.getElementById('player-pool');
+    const qualifyingPaInput = document.getElementById('qualifying-pa');
+    const compareSelect = document.getElementById('compare-select');
+    const compareDisplaySelect = document.getElementById('compare-display');
+    const scatterControls = document.getElementById('scatter-controls');
+    const xMetricSelect = document.getElementById('x-metric-select');
+    const sizeMetricSelect = document.getElementById('size-metric-select');
+    const trendLineToggle = document.getElementById('trend-line-toggle');
+    const intervalControl = document.getElementById('interval-control');
+    const intervalToggle = document.getElementById('interval-toggle');
+    const parkAdjustControl = document.getElementById('park-adjust-control');
+    const parkAdjustToggle = document.getElementById('park-adjust-toggle');
+    const colorblindToggle = document.getElementById('colorblind-toggle');
+    const distributionControls = document.getElementById('distribution-controls');
+    const binCountInput = document.getElementById('bin-count');
+    const binCountOutput = document.getElementById('bin-count-output');
+    const boxPlotGroupSelect = document.getElementById('box-plot-group');
     const loadingElement = document.getElementById('loading');
+    const dataWarning = document.getElementById('data-warning');
+    const cacheButton = document.getElementById('toggle-cache');
+    const cachePanel = document.getElementById('cache-panel');
+    const clearCacheButton = document.getElementById('clear-cache');
+    
+    // Most recently loaded dataset, before filtering, its season, view
+    // ('players', 'teams', 'scatter' or 'distribution') and stat group ('hitting' or 'pitching')
+    let currentData = [];
+    let currentSeason = null;
+    let currentView = 'players';
+    let currentStatGroup = 'hitting';
+    
+    // Loaded season comparison ({ olderSeason, newerSeason, older, newer }), or null
+    let currentComparison = null;
+    
+    // Every season offered (newest first) and the league line for each, loaded for the history view
+    let availableSeasons = [];
+    let currentHistory = [];
+    
+    // Where each loaded season's data came from: { season, provenance } in chart order
+    let currentProvenance = [];
+    
+    // Player pool and qualification line of the loaded data ({ pool, minPlateAppearances, teamGames })
+    let currentQualification = null;
+    
+    // Player whose game log is open, kept in the URL
+    let selectedPlayerId = null;
+    
+    // Sort and selected player from a link, applied once its data has loaded (see applyViewState)
+    let pendingState = null;
+    
+    // Controller for the load in flight; a newer selection cancels it
+    let loadController = null;
+    
+    // Time of the last history entry; rapid changes (typing, dragging a slider) replace it instead
+    let lastHistoryPush = 0;
+    const HISTORY_COALESCE_MS = 1000;
+    
+    // Pending redraw for refreshed cache entries; a page of refreshes within the delay redraws once
+    let backgroundRefreshTimer = null;
+    const BACKGROUND_REFRESH_DELAY_MS = 250;
+    const filterBar = new FilterBar('filter-bar', handleViewChange);
+    
+    /**
+     * Create a dropdown option for a metric
+     * @param {Object} metric - Metric definition
+     * @param {boolean} selected - Whether the option starts selected
+     * @returns {HTMLOptionElement} - Option element
+     */
+    function createMetricOption(metric, selected) {
+        const option = document.createElement('option');
+        option.value = metric.key;
+        option.textContent = `${metric.label} (${metric.shortLabel})`;
+        option.selected = selected;
+        return option;
+    }
+    
+    /**
+     * Switch the controls between hitting and pitching
+     * The metric dropdown is refilled with the group's default metric selected.
+     * Pitchers only have the players view, so the other views are disabled while pitching
+     * @param {string} group - 'hitting' or 'pitching'
+     */
+    function setStatGroup(group) {
+        const statGroup = STAT_GROUPS[group] ? group : 'hitting';
+        const { metrics, defaultMetric } = STAT_GROUPS[statGroup];
+        statGroupSelect.value = statGroup;
+        
+        // Fill the metric dropdown from the group's metric definitions
+        metricSelect.innerHTML = '';
+        Object.values(metrics).forEach(metric => {
+            metricSelect.appendChild(createMetricOption(metric, metric.key === defaultMetric));
+        });
+        
+        Array.from(viewSelect.options).forEach(option => {
+            option.disabled = statGroup === 'pitching' && option.value !== 'players';
+        });
+        if (viewSelect.selectedOptions[0].disabled) {
+            viewSelect.value = 'players';
+        }
+    }
+    
+    setStatGroup('hitting');
+    
+    // The scatter view plots the selected metric against an x-axis metric, optionally sized by a third
+    Object.values(BATTING_METRICS).forEach(metric => {
+        const option = createMetricOption(metric, false);
+        
+        const xOption = option.cloneNode(true);
+        xOption.selected = metric.key === 'homeRuns';
+        xMetricSelect.appendChild(xOption);
+        
+        const sizeOption = option.cloneNode(true);
+        sizeOption.selected = false;
+        sizeMetricSelect.appendChild(sizeOption);
+    });
+    
+    // Fill the player pool dropdown
+    Object.entries(PLAYER_POOLS).forEach(([pool, label]) => {
+        const option = document.createElement('option');
+        option.value = pool;
+        option.textContent = label;
+        option.defaultSelected = pool === 'qualified';
+        playerPoolSelect.appendChild(option);
+    });
+    
+    colorblindToggle.checked = savedPalette === 'colorblind';
+    
+    /**
+     * Fill the season dropdown with the given seasons, newest first, and offer each one as a
+     * comparison season
+     * Keeps the chosen seasons when they're still on the list
+     * @param {Array<number>} seasons - Season years, newest first
+     */
+    function fillSeasons(seasons) {
+        const season = seasonSelect.value;
+        const compareSeason = compareSelect.value;
+        availableSeasons = seasons;
+        
+        seasonSelect.innerHTML = '';
+        Array.from(compareSelect.options).filter(option => option.value !== '').forEach(option => option.remove());
+        seasons.forEach((year, index) => {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = year;
+            option.defaultSelected = index === 0;
+            seasonSelect.appendChild(option);
+            
+            const compareOption = document.createElement('option');
+            compareOption.value = year;
+            compareOption.textContent = `vs ${year}`;
+            compareSelect.appendChild(compareOption);
+        });
+        
+        setSelectValue(seasonSelect, season);
+        setSelectValue(compareSelect, compareSeason);
+    }
+    
+    /**
+     * Load the season list and swap it in for the built-in one
+     * The view is reloaded only if a season it shows has dropped off the list
+     * @returns {Promise<void>} - Resolves once the list is in (or has failed to load)
+     */
+    async function loadSeasons() {
+        try {
+            const seasons = await mlbStatsClient.getSeasons();
+            const shown = [seasonSelect.value, compareSelect.value];
+            fillSeasons(seasons);
+            if (seasonSelect.value !== shown[0] || compareSelect.value !== shown[1]) {
+                fetchAndVisualizeData({ background: true });
+            }
+        } catch (error) {
+            // The built-in list still covers every season
+            console.error('Error loading the season list:', error);
+        }
+    }
     
     /**
      * Toggle the loading indicator
@@ -24,55 +233,917 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     /**
-     * Fetch batting statistics and update visualization
+     * Open the game log panel for a player
+     * @param {Object} player - Player record; comparison rows are the later season's records
      */
-    async function fetchAndVisualizeData() {
-        const season = seasonSelect.value;
+    function openPlayerDetail(player) {
+        // Game logs are hitting logs
+        if (currentStatGroup === 'pitching') return;
+        
+        const season = currentComparison ? currentComparison.newerSeason : currentSeason;
+        selectedPlayerId = player.id;
+        detailPanel.show(player, parseInt(season, 10));
+        updateUrl();
+    }
+    
+    /**
+     * Get the custom qualification threshold
+     * @returns {number|null} - Plate appearances entered, or null for 3.1 PA per team game
+     */
+    function getCustomQualifyingPa() {
+        const value = parseInt(qualifyingPaInput.value, 10);
+        return value > 0 ? value : null;
+    }
+    
+    /**
+     * Collect the loaded view state for the URL
+     * @returns {Object} - View state (see decodeViewState)
+     */
+    function getViewState() {
+        const isLeaderboard = currentView === 'players' || currentView === 'scatter';
+        const hasPool = isLeaderboard && currentStatGroup === 'hitting';
+        const state = {
+            season: currentSeason,
+            stats: currentStatGroup === 'pitching' ? currentStatGroup : null,
+            metric: metricSelect.value,
+            view: currentView,
+            top: isLeaderboard ? leaderboardSizeSelect.value : null,
+            pool: hasPool && playerPoolSelect.value !== 'qualified' ? playerPoolSelect.value : null,
+            qualifyingPa: hasPool ? getCustomQualifyingPa() : null,
+            compare: currentComparison ? compareSelect.value : null,
+            display: compareDisplaySelect.value,
+            filters: filterBar.getFilters(),
+            sort: visualizer.getSortKeys(),
+            player: selectedPlayerId,
+            park: currentStatGroup === 'hitting' && currentView !== 'history' && parkAdjustToggle.checked
+        };
+        
+        // View options are only kept for the view that uses them
+        if (currentView === 'scatter' && !currentComparison) {
+            state.x = xMetricSelect.value;
+            state.size = sizeMetricSelect.value;
+            state.trend = trendLineToggle.checked;
+        } else if (currentView === 'distribution') {
+            state.bins = binCountInput.value;
+            state.group = boxPlotGroupSelect.value;
+        } else if (currentView === 'players' && currentStatGroup === 'hitting' && !currentComparison) {
+            state.ci = intervalToggle.checked;
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Set a select's value if it has a matching option
+     * @param {HTMLSelectElement} select - Select element
+     * @param {*} value - Option value
+     */
+    function setSelectValue(select, value) {
+        if (value !== undefined && Array.from(select.options).some(option => option.value === String(value))) {
+            select.value = String(value);
+        }
+    }
+    
+    /**
+     * Get the value a select starts with in the page markup
+     * @param {HTMLSelectElement} select - Select element
+     * @returns {string} - Value of the option marked `selected` in the HTML (or the first option)
+     */
+    function getDefaultValue(select) {
+        const option = Array.from(select.options).find(item => item.defaultSelected) || select.options[0];
+        return option.value;
+    }
+    
+    /**
+     * Put a view state (from the URL) into the controls
+     * Sort and the selected player need the data, so they're applied after the next load
+     * @param {Object} state - View state (see decodeViewState); missing fields get their defaults,
+     *                         except the season, which stays as selected
+     */
+    function applyViewState(state) {
+        setSelectValue(seasonSelect, state.season);
+        // The stat group decides which metrics and views there are
+        setStatGroup(state.stats || 'hitting');
+        setSelectValue(metricSelect, state.metric || STAT_GROUPS[statGroupSelect.value].defaultMetric);
+        setSelectValue(viewSelect, state.view || 'players');
+        setSelectValue(leaderboardSizeSelect, state.top || getDefaultValue(leaderboardSizeSelect));
+        setSelectValue(playerPoolSelect, state.pool || getDefaultValue(playerPoolSelect));
+        qualifyingPaInput.value = state.qualifyingPa || '';
+        setSelectValue(compareSelect, state.compare || '');
+        setSelectValue(compareDisplaySelect, state.display || getDefaultValue(compareDisplaySelect));
+        setSelectValue(xMetricSelect, state.x || 'homeRuns');
+        setSelectValue(sizeMetricSelect, state.size || '');
+        setSelectValue(boxPlotGroupSelect, state.group || getDefaultValue(boxPlotGroupSelect));
+        trendLineToggle.checked = Boolean(state.trend);
+        intervalToggle.checked = Boolean(state.ci);
+        parkAdjustToggle.checked = Boolean(state.park);
+        binCountInput.value = state.bins || binCountInput.defaultValue;
+        binCountOutput.textContent = binCountInput.value;
+        
+        filterBar.setFilters(state.filters || DEFAULT_FILTERS);
+        pendingState = { sort: state.sort || null, player: state.player || null };
+    }
+    
+    /**
+     * Restore the sort and selected player held back by applyViewState
+     */
+    function applyPendingState() {
+        const { sort, player } = pendingState;
+        
+        if (sort) {
+            visualizer.setSortKeys(sort);
+        }
+        
+        const players = currentComparison ? currentComparison.newer : currentData;
+        const selected = players.find(item => item.id === player);
+        if (selected) {
+            openPlayerDetail(selected);
+        }
+        
+        pendingState = null;
+    }
+    
+    /**
+     * Write the loaded view state to the URL
+     * A new history entry is added unless the last one was added moments ago
+     * @param {Object} options - Update options
+     * @param {boolean} options.replace - Always replace the current entry
+     */
+    function updateUrl(options = {}) {
+        // Wait for a restored link to finish loading so its intermediate states aren't recorded
+        if (pendingState || currentSeason === null) return;
+        
+        const query = encodeViewState(getViewState());
+        if (`?${query}` === window.location.search) return;
+        
+        const url = `${window.location.pathname}?${query}${window.location.hash}`;
+        if (options.replace) {
+            history.replaceState(null, '', url);
+            return;
+        }
+        
+        const now = Date.now();
+        if (now - lastHistoryPush < HISTORY_COALESCE_MS) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+        lastHistoryPush = now;
+    }
+    
+    /**
+     * Split a Stats API URL into its endpoint and season
+     * @param {string} url - Full API URL (see MlbStatsClient.buildUrl)
+     * @returns {Object} - `endpoint` (e.g. 'stats' or 'people/660271/stats') and `season` (null if none)
+     */
+    function parseApiUrl(url) {
+        const parsed = new URL(url);
+        const season = parseInt(parsed.searchParams.get('season'), 10);
+        return {
+            endpoint: parsed.pathname.replace(/^\/api\/v[^/]+\//, ''),
+            season: Number.isFinite(season) ? season : null
+        };
+    }
+    
+    /**
+     * Whether a refreshed API response feeds the chart on screen
+     * Leaderboards, team games and league averages count for the seasons shown; the league
+     * history is built from every season's team totals
+     * @param {string} endpoint - API endpoint (see parseApiUrl)
+     * @param {number|null} season - Season the response is for
+     * @returns {boolean} - True if the chart should be redrawn
+     */
+    function isShownData(endpoint, season) {
+        if (currentSeason === null || (endpoint !== 'stats' && endpoint !== 'teams/stats')) return false;
+        if (currentView === 'history') return endpoint === 'teams/stats';
         
+        const seasons = currentComparison
+            ? [currentComparison.olderSeason, currentComparison.newerSeason]
+            : [currentSeason];
+        return seasons.some(year => parseInt(year, 10) === season);
+    }
+    
+    /**
+     * Redraw the data on screen once the background refreshes arriving together are in
+     * Waits for any load in flight, which may have read the stale copies, to finish first
+     */
+    function scheduleBackgroundRefresh() {
+        clearTimeout(backgroundRefreshTimer);
+        backgroundRefreshTimer = setTimeout(() => {
+            if (loadController) {
+                scheduleBackgroundRefresh();
+                return;
+            }
+            fetchAndVisualizeData({ background: true });
+        }, BACKGROUND_REFRESH_DELAY_MS);
+    }
+    
+    /**
+     * Close the detail panel and show the loading indicator for a new load
+     * A background refresh of the data on screen leaves both alone
+     * @param {boolean} background - Whether this is a background refresh
+     */
+    function beginLoad(background) {
+        if (background) return;
+        detailPanel.hide();
+        selectedPlayerId = null;
         toggleLoading(true);
+    }
+    
+    /**
+     * Fetch batting or pitching statistics and update visualization
+     * @param {Object} options - Load options (event listeners pass their event, which has none of them)
+     * @param {boolean} options.background - Redraw the data on screen after a cache refresh: the detail
+     *                                       panel stays open and no history entry is added
+     */
+    async function fetchAndVisualizeData(options = {}) {
+        const background = options.background === true;
+        
+        // Only the latest selection gets rendered
+        if (loadController) {
+            loadController.abort();
+        }
+        const controller = new AbortController();
+        const { signal } = controller;
+        loadController = controller;
+        
+        const season = seasonSelect.value;
+        const statGroup = statGroupSelect.value;
+        const metric = metricSelect.value;
+        const view = viewSelect.value;
+        
+        if (statGroup === 'pitching') {
+            return loadPitchingData(season, metric, signal, controller, background);
+        }
+        if (view === 'history') {
+            return loadLeagueHistory(season, signal, controller, background);
+        }
+        
+        // Team totals and distributions need every hitter; the other views show a leaderboard
+        // of the top hitters in the chosen pool (null for all of them)
+        const isLeaderboard = view === 'players' || view === 'scatter';
+        const pool = isLeaderboard ? playerPoolSelect.value : 'all';
+        const minPlateAppearances = isLeaderboard ? getCustomQualifyingPa() : null;
+        
+        // A custom threshold redraws the qualified pool, so it starts from every hitter
+        const customQualified = pool === 'qualified' && minPlateAppearances !== null;
+        const playerPool = customQualified ? 'all' : pool;
+        const leaderboardSize = isLeaderboard && leaderboardSizeSelect.value !== 'all'
+            ? parseInt(leaderboardSizeSelect.value, 10)
+            : null;
+        
+        // Only the players view has a season comparison
+        const compareSeason = view === 'players' ? compareSelect.value : '';
+        const comparing = compareSeason !== '' && compareSeason !== season;
+        
+        // The source ranks derived stats (BABIP, wOBA, OPS+, ...) by a stand-in stat, so their
+        // leaderboards start from every hitter in the pool and are ranked here
+        const parkAdjusted = parkAdjustToggle.checked;
+        const rankedLocally = Boolean(getMetric(metric).derived);
+        // A comparison joins both seasons' whole pools and trims only the chart
+        const limit = customQualified || rankedLocally || comparing ? null : leaderboardSize;
+        
+        // The source's qualified pool is already qualified; anything else is measured against
+        // the custom threshold or 3.1 PA per team game, which needs each team's games played
+        const needsTeamGames = playerPool !== 'qualified' && minPlateAppearances === null;
+        
+        compareSelect.classList.toggle('hidden', view !== 'players');
+        metricSelect.classList.remove('hidden');
+        leaderboardSizeSelect.classList.toggle('hidden', !isLeaderboard);
+        poolControls.classList.toggle('hidden', !isLeaderboard);
+        scatterControls.classList.toggle('hidden', view !== 'scatter');
+        distributionControls.classList.toggle('hidden', view !== 'distribution');
+        compareDisplaySelect.classList.toggle('hidden', !comparing);
+        // Error bars are drawn in the players view, for stats that are a share of trials
+        intervalControl.classList.toggle('hidden', view !== 'players' || comparing);
+        intervalToggle.disabled = !PROPORTION_COUNTS[metric];
+        parkAdjustControl.classList.remove('hidden');
+        visualizer.setStatGroup(statGroup);
+        beginLoad(background);
         
         try {
-            // Fetch player batting statistics
-            const response = await mlbStatsClient.getPlayerBattingStats(season);
-            const data = mlbStatsClient.extractBattingData(response);
+            // Fetch player batting statistics ranked by the selected metric, and the league
+            // averages the indexed "+" stats are measured against
+            const [response, compareResponse, teamGames, compareTeamGames, league, compareLeague] = await Promise.all([
+                mlbStatsClient.getPlayerBattingStats(season, { metric, playerPool, limit, signal }),
+                comparing ? mlbStatsClient.getPlayerBattingStats(compareSeason, { metric, playerPool, limit, signal }) : null,
+                needsTeamGames ? mlbStatsClient.getTeamGames(season, { signal }) : null,
+                needsTeamGames && comparing ? mlbStatsClient.getTeamGames(compareSeason, { signal }) : null,
+                mlbStatsClient.getLeagueAverages(season, { signal }),
+                comparing ? mlbStatsClient.getLeagueAverages(compareSeason, { signal }) : null
+            ]);
             
-            // Update visualization with fetched data
-            visualizer.updateVisualization(data);
+            // Responses served from the cache don't notice a cancellation
+            signal.throwIfAborted();
             
-            // Log data for debugging
-            console.log('Batting Average Data:', data);
+            // Add the indexed stats; an indexed metric is ranked by its raw stat at the source,
+            // so re-rank before trimming.
+            // Mark hitters below the qualification line; the qualified pool drops them.
+            // Bundled files and mock data aren't paged, so trim them to the leaderboard size too;
+            // a comparison keeps the whole pool
+            const toLeaderboard = (data, games, leagueLine, year) => {
+                const adjusted = adjustPlayers(data, leagueLine, { season: year, parkAdjusted });
+                if (INDEXED_METRICS[metric]) {
+                    adjusted.sort((a, b) => b[metric] - a[metric]);
+                }
+                const marked = markQualification(adjusted, playerPool === 'qualified' ? null : { minPlateAppearances, teamGames: games });
+                const players = pool === 'qualified' ? marked.filter(player => player.qualified) : marked;
+                return leaderboardSize === null || comparing ? players : players.slice(0, leaderboardSize);
+            };
+            currentData = toLeaderboard(mlbStatsClient.extractBattingData(response, metric, season), teamGames, league, season);
+            currentSeason = season;
+            currentView = view;
+            currentStatGroup = statGroup;
+            currentQualification = { pool, minPlateAppearances, teamGames };
             
-            // Display stats in the stats-info section
-            updateStatsInfo(data);
+            if (comparing) {
+                const compareData = toLeaderboard(mlbStatsClient.extractBattingData(compareResponse, metric, compareSeason),
+                    compareTeamGames, compareLeague, compareSeason);
+                const primaryIsNewer = parseInt(season, 10) > parseInt(compareSeason, 10);
+                currentComparison = {
+                    olderSeason: primaryIsNewer ? compareSeason : season,
+                    newerSeason: primaryIsNewer ? season : compareSeason,
+                    older: primaryIsNewer ? compareData : currentData,
+                    newer: primaryIsNewer ? currentData : compareData,
+                    chartSize: leaderboardSize
+                };
+            } else {
+                currentComparison = null;
+            }
+            
+            // Log data for debugging
+            console.log('Batting Average Data:', currentData);
+            showLoadedData(background);
             
         } catch (error) {
-            console.error('Error fetching data:', error);
+            showLoadError(error);
+        } finally {
+            if (loadController === controller) {
+                loadController = null;
+                toggleLoading(false);
+            }
+        }
+    }
+    
+    /**
+     * Fetch pitching statistics and update visualization
+     * Pitchers are shown as a leaderboard in the players view, without a season comparison
+     * @param {string} season - Season to load
+     * @param {string} metric - Metric to rank pitchers by (see PITCHING_METRICS)
+     * @param {AbortSignal} signal - Cancels the load
+     * @param {AbortController} controller - Controller of this load
+     * @param {boolean} background - Whether this is a background refresh (see fetchAndVisualizeData)
+     */
+    async function loadPitchingData(season, metric, signal, controller, background) {
+        const leaderboardSize = leaderboardSizeSelect.value !== 'all'
+            ? parseInt(leaderboardSizeSelect.value, 10)
+            : null;
+        
+        compareSelect.classList.add('hidden');
+        compareDisplaySelect.classList.add('hidden');
+        metricSelect.classList.remove('hidden');
+        leaderboardSizeSelect.classList.remove('hidden');
+        poolControls.classList.add('hidden');
+        scatterControls.classList.add('hidden');
+        distributionControls.classList.add('hidden');
+        intervalControl.classList.add('hidden');
+        parkAdjustControl.classList.add('hidden');
+        visualizer.setStatGroup('pitching');
+        beginLoad(background);
+        
+        try {
+            // FIP can't be ranked by the source (it ranks ERA instead), so its leaderboard starts
+            // from every qualified pitcher and is ranked here
+            const limit = getMetric(metric).derived ? null : leaderboardSize;
+            const response = await mlbStatsClient.getPlayerPitchingStats(season, { metric, limit, signal });
+            signal.throwIfAborted();
             
-            // Show error in visualization
-            visualizer.clearObjects();
+            // Rate stats rank the source's qualified pitchers and counting stats rank all of them
+            // (see getPlayerPitchingStats), so there's no qualification line to draw
+            const pitchers = markQualification(mlbStatsClient.extractPitchingData(response, metric, season), null);
+            currentData = leaderboardSize === null ? pitchers : pitchers.slice(0, leaderboardSize);
+            currentSeason = season;
+            currentView = 'players';
+            currentStatGroup = 'pitching';
+            currentComparison = null;
+            currentQualification = null;
+            showLoadedData(background);
             
-            const errorMessage = document.createElement('div');
-            errorMessage.className = 'error-message';
-            errorMessage.textContent = `Error loading data: ${error.message}`;
+        } catch (error) {
+            showLoadError(error);
+        } finally {
+            if (loadController === controller) {
+                loadController = null;
+                toggleLoading(false);
+            }
+        }
+    }
+    
+    /**
+     * Fetch the league line for every season and chart it, marking the selected season
+     * @param {string} season - Season to mark
+     * @param {AbortSignal} signal - Cancels the load
+     * @param {AbortController} controller - Controller of this load
+     * @param {boolean} background - Whether this is a background refresh (see fetchAndVisualizeData)
+     */
+    async function loadLeagueHistory(season, signal, controller, background) {
+        // The history always charts AVG, OBP and SLG for the whole league
+        [metricSelect, compareSelect, compareDisplaySelect, leaderboardSizeSelect, poolControls,
+            scatterControls, distributionControls, intervalControl, parkAdjustControl].forEach(element => element.classList.add('hidden'));
+        beginLoad(background);
+        
+        try {
+            currentHistory = await mlbStatsClient.getLeagueHistory(availableSeasons, { signal });
+            signal.throwIfAborted();
             
-            const container = document.getElementById('visualization-container');
-            container.innerHTML = '';
-            container.appendChild(errorMessage);
+            currentData = [];
+            currentSeason = season;
+            currentView = 'history';
+            currentStatGroup = 'hitting';
+            currentComparison = null;
+            currentQualification = null;
+            showLoadedData(background);
             
+        } catch (error) {
+            showLoadError(error);
         } finally {
-            toggleLoading(false);
+            if (loadController === controller) {
+                loadController = null;
+                toggleLoading(false);
+            }
+        }
+    }
+    
+    /**
+     * Render a newly loaded dataset and record it in the URL
+     * @param {boolean} background - Whether this is a background refresh, which replaces the
+     *                               current history entry rather than adding one
+     */
+    function showLoadedData(background = false) {
+        // Tag the chart and stats with where each season's data came from
+        const seasons = currentComparison
+            ? [currentComparison.olderSeason, currentComparison.newerSeason]
+            : [currentSeason];
+        currentProvenance = currentView === 'history'
+            ? [{ season: 'League history', provenance: mlbStatsClient.leagueHistoryProvenance }]
+            : seasons.map(year => ({ season: year, provenance: mlbStatsClient.provenanceBySeason[year] }));
+        
+        // The + stats' league averages are listed too when they came from somewhere else
+        if (currentView !== 'history' && currentStatGroup === 'hitting') {
+            seasons.forEach(year => {
+                const provenance = mlbStatsClient.leagueAveragesProvenance[year];
+                if (provenance && provenance.source !== mlbStatsClient.provenanceBySeason[year].source) {
+                    currentProvenance.push({ season: `${year} league averages`, provenance });
+                }
+            });
+        }
+        visualizer.setProvenance(currentProvenance);
+        updateDataWarning();
+        
+        // Refresh filter options for the new dataset, then render
+        filterBar.setPlayers(currentData);
+        renderCurrentData();
+        
+        // A restored link or a background refresh replaces its own history entry; anything else adds one
+        if (pendingState) {
+            applyPendingState();
+            updateUrl({ replace: true });
+        } else {
+            updateUrl({ replace: background });
+        }
+    }
+    
+    /**
+     * Show a failed load in place of the chart
+     * @param {Error} error - Load error
+     */
+    function showLoadError(error) {
+        // Superseded by a newer selection, which will render instead
+        if (error.name === 'AbortError') return;
+        
+        console.error('Error fetching data:', error);
+        pendingState = null;
+        currentProvenance = [];
+        updateDataWarning();
+        
+        // Show error in visualization
+        visualizer.clearObjects();
+        
+        const errorMessage = document.createElement('div');
+        errorMessage.className = 'error-message';
+        errorMessage.textContent = `Error loading data: ${error.message}`;
+        
+        const container = document.getElementById('visualization-container');
+        container.innerHTML = '';
+        container.appendChild(errorMessage);
+    }
+    
+    /**
+     * Apply the current filters to the loaded dataset and update the chart, table and stats
+     */
+    function renderCurrentData() {
+        // The league history has no players to filter
+        if (currentView === 'history') {
+            visualizer.updateHistory(currentHistory, { season: currentSeason });
+            updateStatsInfo(currentData);
+            return;
+        }
+        
+        const filters = filterBar.getFilters();
+        const data = applyPlayerFilters(currentData, filters);
+        
+        // Search matches are highlighted in the chart rather than removed
+        const highlight = filters.search.trim() !== ''
+            ? player => matchesPlayerSearch(player, filters.search)
+            : null;
+        
+        if (currentComparison) {
+            const metric = metricSelect.value;
+            const older = applyPlayerFilters(currentComparison.older, filters);
+            const newer = applyPlayerFilters(currentComparison.newer, filters);
+            const rows = joinSeasons(older, newer, metric);
+            
+            visualizer.updateComparison(rows, metric, {
+                olderSeason: currentComparison.olderSeason,
+                newerSeason: currentComparison.newerSeason,
+                display: compareDisplaySelect.value,
+                limit: currentComparison.chartSize,
+                highlight
+            });
+            updateStatsInfo(data, {
+                ...currentComparison,
+                metric: getMetric(metric),
+                playerCount: rows.length,
+                ...summarizeComparison(rows, older, newer, metric)
+            });
+            return;
         }
+        
+        if (currentView === 'scatter') {
+            visualizer.updateScatter(data, {
+                xMetric: xMetricSelect.value,
+                yMetric: metricSelect.value,
+                sizeMetric: sizeMetricSelect.value || null,
+                trendLine: trendLineToggle.checked,
+                season: currentSeason,
+                highlight
+            });
+            updateStatsInfo(data);
+            return;
+        }
+        
+        if (currentView === 'distribution') {
+            visualizer.updateDistribution(data, metricSelect.value, {
+                bins: parseInt(binCountInput.value, 10),
+                groupBy: boxPlotGroupSelect.value,
+                season: currentSeason,
+                highlight
+            });
+            updateStatsInfo(data);
+            return;
+        }
+        
+        if (currentView === 'teams') {
+            visualizer.updateTeams(data, metricSelect.value, { season: currentSeason, highlight });
+            updateStatsInfo(data);
+            return;
+        }
+        
+        visualizer.updateVisualization(data, metricSelect.value, {
+            season: currentSeason,
+            intervals: intervalToggle.checked,
+            highlight
+        });
+        updateStatsInfo(data);
+    }
+    
+    /**
+     * Show or hide the warning banner for fictional sample data
+     */
+    function updateDataWarning() {
+        const fictional = currentProvenance.filter(({ provenance }) => isFictionalData(provenance));
+        dataWarning.classList.toggle('hidden', fictional.length === 0);
+        dataWarning.innerHTML = '';
+        if (fictional.length === 0) return;
+        
+        const seasons = fictional.map(({ season }) => season).join(' and ');
+        const message = document.createElement('strong');
+        message.textContent = `The ${seasons} numbers shown are built-in sample data, not real MLB statistics. ` +
+            'Do not present or share them as real.';
+        
+        // Say why the real sources weren't used
+        const reasons = document.createElement('ul');
+        fictional.forEach(({ season, provenance }) => {
+            describeFallbacks(provenance).forEach(reason => {
+                const item = document.createElement('li');
+                item.textContent = `${season} - ${reason}`;
+                reasons.appendChild(item);
+            });
+        });
+        
+        dataWarning.append(message, reasons);
+    }
+    
+    /**
+     * Build the data source section of the stats panel
+     * @returns {string} - HTML
+     */
+    function renderProvenanceSummary() {
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+        
+        const items = currentProvenance.map(({ season, provenance }) => {
+            const fallbacks = describeFallbacks(provenance);
+            const missing = describeMissingSeasons(provenance);
+            return `
+                <li>
+                    <strong>${season}:</strong>
+                    <span class="${isFictionalData(provenance) ? 'fictional' : ''}">${escape(describeProvenance(provenance))}</span>
+                    ${fallbacks.length > 0 ? `<br><small>Skipped: ${fallbacks.map(escape).join('; ')}</small>` : ''}
+                    ${missing ? `<br><small>${escape(missing)}</small>` : ''}
+                </li>`;
+        }).join('');
+        
+        return `
+            <h3>Data Source</h3>
+            <ul class="provenance-list">${items}</ul>
+        `;
+    }
+    
+    /**
+     * Describe the qualification line of the loaded data for the stats panel
+     * @param {Array} data - Players on screen
+     * @returns {string} - e.g. "3.1 PA per team game (446-502 PA), 12 hitters below it"
+     */
+    function describeQualificationLine(data) {
+        const { minPlateAppearances, teamGames } = currentQualification;
+        const belowCount = data.filter(player => player.qualified === false).length;
+        const below = `, ${belowCount} ${belowCount === 1 ? 'hitter' : 'hitters'} below it`;
+        
+        if (minPlateAppearances !== null) {
+            return `${minPlateAppearances} PA (custom)${below}`;
+        }
+        if (!teamGames) {
+            return `${PA_PER_TEAM_GAME} PA per team game`;
+        }
+        
+        // Teams that have played different numbers of games have different lines
+        const lines = Object.values(teamGames).map(getQualifyingPlateAppearances);
+        const low = Math.min(...lines);
+        const high = Math.max(...lines);
+        const range = low === high ? `${low} PA` : `${low}-${high} PA`;
+        const provenance = mlbStatsClient.teamGamesProvenance[currentSeason];
+        const source = provenance && isFictionalData(provenance) ? ', from sample games played' : '';
+        return `${PA_PER_TEAM_GAME} PA per team game (${range}${source})${below}`;
+    }
+    
+    /**
+     * Re-render after a filter or view option change and record it in the URL
+     */
+    function handleViewChange() {
+        renderCurrentData();
+        updateUrl();
+    }
+    
+    /**
+     * Build the season comparison section of the stats panel
+     * @param {Object} comparison - Seasons, metric, player count and summarizeComparison() output
+     * @returns {string} - HTML
+     */
+    function renderComparisonSummary(comparison) {
+        const { metric, olderSeason, newerSeason, average } = comparison;
+        const moverList = rows => rows.length === 0
+            ? '<li>None</li>'
+            : rows.map(row => `
+                <li>${row.name} (${row.team}): ${formatMetricValue(metric, row.compareOlder)} → ${formatMetricValue(metric, row.compareNewer)}
+                    <strong>${formatMetricDelta(metric, row.compareDelta)}</strong></li>`).join('');
+        
+        return `
+            <h2>${metric.label}: ${olderSeason} vs ${newerSeason}</h2>
+            <div class="stats-grid">
+                <div class="stat-item">
+                    <h3>League Average Shift</h3>
+                    <p>${formatMetricValue(metric, average.older)} → ${formatMetricValue(metric, average.newer)}
+                        (${formatMetricDelta(metric, average.shift)})</p>
+                </div>
+                <div class="stat-item">
+                    <h3>Qualified Both Seasons</h3>
+                    <p>${comparison.playerCount} players</p>
+                </div>
+            </div>
+            <div class="movers">
+                <div>
+                    <h3>Biggest Risers</h3>
+                    <ol>${moverList(comparison.risers)}</ol>
+                </div>
+                <div>
+                    <h3>Biggest Fallers</h3>
+                    <ol>${moverList(comparison.fallers)}</ol>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Add the stats panel's CSS to the page, once
+     */
+    function addStatsStyles() {
+        if (!document.getElementById('stats-grid-style')) {
+            const style = document.createElement('style');
+            style.id = 'stats-grid-style';
+            style.textContent = `
+                .stats-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                    gap: 15px;
+                    margin: 20px 0;
+                }
+                .stat-item {
+                    background-color: var(--chart-background);
+                    padding: 15px;
+                    border-radius: 8px;
+                    box-shadow: 0 1px 3px var(--shadow);
+                    text-align: center;
+                }
+                .stat-item h3 {
+                    margin-top: 0;
+                    color: var(--heading);
+                }
+                .movers {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+                    gap: 15px;
+                    margin-bottom: 20px;
+                }
+                .movers h3 {
+                    color: var(--heading);
+                }
+                .movers ol {
+                    padding-left: 20px;
+                }
+                .weirdness-note {
+                    background-color: var(--note-background);
+                    padding: 12px;
+                    border-radius: 8px;
+                    font-style: italic;
+                }
+                .error-message {
+                    color: var(--error);
+                    padding: 20px;
+                    text-align: center;
+                    font-weight: bold;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+    }
+    
+    /**
+     * Build the stats panel for a pitching leaderboard
+     * @param {Array} data - Pitchers on screen
+     * @returns {string} - HTML
+     */
+    function renderPitchingSummary(data) {
+        const format = (key, value) => formatMetricValue(PITCHING_METRICS[key], value);
+        // Leader among pitchers that have the stat (FIP needs the season's constant, ERA innings),
+        // or null if none do
+        const best = (key, lowerIsBetter) => data
+            .filter(pitcher => Number.isFinite(pitcher[key]))
+            .reduce((prev, current) =>
+                prev === null || (lowerIsBetter ? current[key] < prev[key] : current[key] > prev[key]) ? current : prev, null);
+        const describeLeader = (key, pitcher) => pitcher ? `${format(key, pitcher[key])} (${pitcher.name})` : '-';
+        
+        // League rates are weighted by innings, as the official ones are
+        const innings = data.reduce((sum, pitcher) => sum + pitcher.inningsPitched, 0);
+        const total = key => data.reduce((sum, pitcher) => sum + pitcher[key], 0);
+        const leagueEra = innings > 0 ? 9 * total('earnedRuns') / innings : null;
+        const leagueWhip = innings > 0 ? (total('baseOnBalls') + total('hits')) / innings : null;
+        
+        const bestEra = best('era', true);
+        const bestFip = best('fip', true);
+        const mostStrikeouts = best('strikeOuts', false);
+        const mostSaves = best('saves', false);
+        
+        return `
+            <h2>Pitching Statistics for ${currentSeason} Season</h2>
+            <p>These statistics cover the ${data.length} MLB pitchers on the leaderboard for the ${currentSeason} season.</p>
+            
+            <div class="stats-grid">
+                <div class="stat-item">
+                    <h3>ERA / WHIP</h3>
+                    <p>${format('era', leagueEra)} / ${format('whip', leagueWhip)}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>Best ERA</h3>
+                    <p>${describeLeader('era', bestEra)}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>Best FIP</h3>
+                    <p>${describeLeader('fip', bestFip)}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>Most Strikeouts</h3>
+                    <p>${mostStrikeouts ? `${mostStrikeouts.strikeOuts} (${mostStrikeouts.name})` : '-'}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>Saves Leader</h3>
+                    <p>${mostSaves && mostSaves.saves > 0 ? `${mostSaves.saves} (${mostSaves.name})` : 'None'}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>Innings Pitched</h3>
+                    <p>${format('inningsPitched', innings)} in total</p>
+                </div>
+            </div>
+            
+            ${renderProvenanceSummary()}
+        `;
+    }
+    
+    /**
+     * Build the stats panel for the league history
+     * @param {Array} history - League lines, oldest season first
+     * @returns {string} - HTML
+     */
+    function renderHistorySummary(history) {
+        if (history.length === 0) {
+            return `<h2>No League History Available</h2>${renderProvenanceSummary()}`;
+        }
+        
+        const [avg, obp, slg] = LEAGUE_HISTORY_METRICS.map(key => getMetric(key));
+        const format = (metric, line) => formatMetricValue(metric, line[metric.key]);
+        const extreme = (key, highest) => history.reduce((prev, current) =>
+            (highest ? current[key] > prev[key] : current[key] < prev[key]) ? current : prev);
+        const highestAvg = extreme('avg', true);
+        const lowestAvg = extreme('avg', false);
+        const highestSlg = extreme('slg', true);
+        const selected = history.find(line => String(line.season) === String(currentSeason));
+        const selectedEra = selected ? getEra(selected.season) : null;
+        
+        // Each era's league line, averaged over its seasons
+        const eraItems = ERA_BANDS.map(era => {
+            const lines = history.filter(line => getEra(line.season) === era);
+            if (lines.length === 0) return '';
+            const mean = key => lines.reduce((sum, line) => sum + line[key], 0) / lines.length;
+            return `
+                <div class="stat-item">
+                    <h3>${era.label} Era (${era.start}-${era.end === null ? 'present' : era.end})</h3>
+                    <p>${[avg, obp, slg].map(metric => formatMetricValue(metric, mean(metric.key))).join(' / ')}</p>
+                </div>`;
+        }).join('');
+        
+        return `
+            <h2>League Batting, ${history[0].season}-${history[history.length - 1].season}</h2>
+            <p>League-wide AVG / OBP / SLG for each of the ${history.length} seasons, from every team's hitting totals.</p>
+            
+            <div class="stats-grid">
+                ${selected ? `
+                <div class="stat-item">
+                    <h3>${selected.season}${selectedEra ? ` (${selectedEra.label} Era)` : ''}</h3>
+                    <p>${format(avg, selected)} / ${format(obp, selected)} / ${format(slg, selected)}</p>
+                </div>` : ''}
+                <div class="stat-item">
+                    <h3>Highest AVG</h3>
+                    <p>${format(avg, highestAvg)} (${highestAvg.season})</p>
+                </div>
+                <div class="stat-item">
+                    <h3>Lowest AVG</h3>
+                    <p>${format(avg, lowestAvg)} (${lowestAvg.season})</p>
+                </div>
+                <div class="stat-item">
+                    <h3>Highest SLG</h3>
+                    <p>${format(slg, highestSlg)} (${highestSlg.season})</p>
+                </div>
+                ${eraItems}
+            </div>
+            
+            ${renderProvenanceSummary()}
+        `;
     }
     
     /**
      * Update stats information panel with calculated insights
      * @param {Array} data - Batting average data
+     * @param {Object} comparison - Season comparison summary to add to the panel (optional)
      */
-    function updateStatsInfo(data) {
+    function updateStatsInfo(data, comparison = null) {
         const statsInfo = document.getElementById('stats-info');
+        addStatsStyles();
+        
+        if (currentView === 'history') {
+            statsInfo.innerHTML = renderHistorySummary(currentHistory);
+            return;
+        }
         
         if (!data || data.length === 0) {
-            statsInfo.innerHTML = '<h2>No Batting Data Available</h2>';
+            const group = currentStatGroup === 'pitching' ? 'Pitching' : 'Batting';
+            statsInfo.innerHTML = `<h2>No ${group} Data Available</h2>${renderProvenanceSummary()}`;
+            return;
+        }
+        
+        if (currentStatGroup === 'pitching') {
+            statsInfo.innerHTML = renderPitchingSummary(data);
             return;
         }
         
@@ -88,6 +1159,17 @@ document.addEventListener('DOMContentLoaded', () => {
         const worstBatter = data.reduce((prev, current) => 
             (prev.avg < current.avg) ? prev : current);
         
+        // Derived stats averaged over players that have them
+        const meanOf = key => {
+            const values = data.map(player => player[key]).filter(value => Number.isFinite(value));
+            return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        };
+        // Leader among hitters that have a wOBA
+        const wobaPlayers = data.filter(player => Number.isFinite(player.woba));
+        const bestWoba = wobaPlayers.length > 0
+            ? wobaPlayers.reduce((prev, current) => (current.woba > prev.woba) ? current : prev)
+            : null;
+        
         // Count players in different batting average ranges
         const eliteBatters = data.filter(player => player.avg >= 0.300).length;
         const goodBatters = data.filter(player => player.avg >= 0.280 && player.avg < 0.300).length;
@@ -95,8 +1177,9 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Format statistics for display
         statsInfo.innerHTML = `
-            <h2>Batting Average Statistics for 2025 Season</h2>
-            <p>These statistics show the batting averages of top MLB players for the 2025 season.</p>
+            ${comparison ? renderComparisonSummary(comparison) : ''}
+            <h2>Batting Average Statistics for ${currentSeason} Season</h2>
+            <p>These statistics show the batting averages of top MLB players for the ${currentSeason} season.</p>
             
             <div class="stats-grid">
                 <div class="stat-item">
@@ -111,12 +1194,32 @@ document.addEventListener('DOMContentLoaded', () => {
                     <h3>Elite Batters</h3>
                     <p>${eliteBatters} players hitting .300+</p>
                 </div>
+                <div class="stat-item">
+                    <h3>Best wOBA</h3>
+                    <p>${bestWoba
+                        ? `${formatMetricValue(BATTING_METRICS.woba, bestWoba.woba)} (${bestWoba.name})`
+                        : '-'}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>Average ISO / BABIP</h3>
+                    <p>${formatMetricValue(BATTING_METRICS.iso, meanOf('iso'))} / ${formatMetricValue(BATTING_METRICS.babip, meanOf('babip'))}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>Average BB% / K%</h3>
+                    <p>${formatMetricValue(BATTING_METRICS.walkRate, meanOf('walkRate'))} / ${formatMetricValue(BATTING_METRICS.strikeoutRate, meanOf('strikeoutRate'))}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>${PLAYER_POOLS[currentQualification.pool]}: Qualification Line</h3>
+                    <p>${describeQualificationLine(data)}</p>
+                </div>
                 <div class="stat-item">
                     <h3>Team Representation</h3>
                     <p>${new Set(data.map(player => player.team)).size} teams have top hitters</p>
                 </div>
             </div>
             
+            ${renderProvenanceSummary()}
+            
             <p class="weirdness-note">
                 Fun Fact: Batting average was the primary offensive statistic in baseball for many decades,
                 though modern analytics often favor OPS (On-base Plus Slugging) as a better indicator of 
@@ -124,49 +1227,149 @@ document.addEventListener('DOMContentLoaded', () => {
                 modern baseball.
             </p>
         `;
+    }
+    
+    /**
+     * Format a millisecond duration as a short human-readable age
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} - e.g. "45s", "12m", "3h", "2d"
+     */
+    function formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+        if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+        return `${Math.round(seconds / 86400)}d`;
+    }
+    
+    /**
+     * Render the list of cached API responses
+     */
+    function updateCachePanel() {
+        const entriesElement = document.getElementById('cache-entries');
+        const entries = mlbStatsClient.cache.entries();
         
-        // Add some CSS for the stats grid
-        if (!document.getElementById('stats-grid-style')) {
-            const style = document.createElement('style');
-            style.id = 'stats-grid-style';
-            style.textContent = `
-                .stats-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-                    gap: 15px;
-                    margin: 20px 0;
-                }
-                .stat-item {
-                    background-color: #f8f8f8;
-                    padding: 15px;
-                    border-radius: 8px;
-                    box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-                    text-align: center;
-                }
-                .stat-item h3 {
-                    margin-top: 0;
-                    color: #041e42;
-                }
-                .weirdness-note {
-                    background-color: #fffacd;
-                    padding: 12px;
-                    border-radius: 8px;
-                    font-style: italic;
-                }
-                .error-message {
-                    color: #d32f2f;
-                    padding: 20px;
-                    text-align: center;
-                    font-weight: bold;
-                }
-            `;
-            document.head.appendChild(style);
+        if (entries.length === 0) {
+            entriesElement.innerHTML = '<p>The cache is empty.</p>';
+            return;
         }
+        
+        const now = Date.now();
+        const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+        
+        const table = document.createElement('table');
+        table.innerHTML = '<thead><tr><th>Request</th><th>Age</th><th>Expires</th><th>Size</th></tr></thead>';
+        
+        const tbody = document.createElement('tbody');
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            
+            const urlCell = document.createElement('td');
+            urlCell.textContent = entry.url;
+            urlCell.className = 'cache-url';
+            
+            const ageCell = document.createElement('td');
+            ageCell.textContent = formatDuration(now - entry.storedAt);
+            
+            const expiresCell = document.createElement('td');
+            if (entry.expiresAt === null) {
+                expiresCell.textContent = 'Never';
+            } else if (entry.stale) {
+                expiresCell.textContent = 'Stale';
+            } else {
+                expiresCell.textContent = `in ${formatDuration(entry.expiresAt - now)}`;
+            }
+            
+            const sizeCell = document.createElement('td');
+            sizeCell.textContent = `${(entry.size / 1024).toFixed(1)} KB`;
+            
+            row.append(urlCell, ageCell, expiresCell, sizeCell);
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        
+        const summary = document.createElement('p');
+        summary.textContent = `${entries.length} responses, ${(totalSize / 1024).toFixed(1)} KB total`;
+        
+        entriesElement.innerHTML = '';
+        entriesElement.appendChild(summary);
+        entriesElement.appendChild(table);
     }
     
     // Event listeners
     fetchButton.addEventListener('click', fetchAndVisualizeData);
+    statGroupSelect.addEventListener('change', () => {
+        setStatGroup(statGroupSelect.value);
+        fetchAndVisualizeData();
+    });
+    metricSelect.addEventListener('change', fetchAndVisualizeData);
+    viewSelect.addEventListener('change', fetchAndVisualizeData);
+    leaderboardSizeSelect.addEventListener('change', fetchAndVisualizeData);
+    playerPoolSelect.addEventListener('change', fetchAndVisualizeData);
+    qualifyingPaInput.addEventListener('change', fetchAndVisualizeData);
+    compareSelect.addEventListener('change', fetchAndVisualizeData);
+    compareDisplaySelect.addEventListener('change', handleViewChange);
+    xMetricSelect.addEventListener('change', handleViewChange);
+    sizeMetricSelect.addEventListener('change', handleViewChange);
+    trendLineToggle.addEventListener('change', handleViewChange);
+    intervalToggle.addEventListener('change', handleViewChange);
+    parkAdjustToggle.addEventListener('change', fetchAndVisualizeData);
+    boxPlotGroupSelect.addEventListener('change', handleViewChange);
+    binCountInput.addEventListener('input', () => {
+        binCountOutput.textContent = binCountInput.value;
+        handleViewChange();
+    });
+    
+    colorblindToggle.addEventListener('change', () => {
+        const palette = colorblindToggle.checked ? 'colorblind' : 'team';
+        visualizer.setPalette(palette);
+        try {
+            localStorage.setItem(PALETTE_STORAGE_KEY, palette);
+        } catch (error) {
+            console.warn('Could not save the palette preference:', error);
+        }
+    });
+    
+    cacheButton.addEventListener('click', () => {
+        cachePanel.classList.toggle('hidden');
+        if (!cachePanel.classList.contains('hidden')) {
+            updateCachePanel();
+        }
+    });
+    
+    clearCacheButton.addEventListener('click', () => {
+        mlbStatsClient.cache.clear();
+        updateCachePanel();
+    });
+    
+    // Re-render when a stale response shown from the cache has been refreshed, if it's on screen
+    mlbStatsClient.onRevalidate(url => {
+        const { endpoint, season } = parseApiUrl(url);
+        const gameLog = endpoint.match(/^people\/(\d+)\/stats$/);
+        
+        if (gameLog) {
+            if (detailPanel.isShowing(parseInt(gameLog[1], 10), season)) {
+                detailPanel.refresh();
+            }
+        } else if (isShownData(endpoint, season)) {
+            scheduleBackgroundRefresh();
+        }
+        
+        if (!cachePanel.classList.contains('hidden')) {
+            updateCachePanel();
+        }
+    });
+    
+    // Back/forward restores the view recorded in that history entry
+    window.addEventListener('popstate', () => {
+        applyViewState(decodeViewState(window.location.search));
+        fetchAndVisualizeData();
+    });
     
-    // Auto-fetch data when the page loads
+    // Auto-fetch data when the page loads, starting from the view in the URL (if any); every
+    // season is offered until the season list comes in
+    fillSeasons(getAllSeasons());
+    applyViewState(decodeViewState(window.location.search));
     fetchAndVisualizeData();
+    loadSeasons();
 });
@@ -0,0 +1,176 @@
+/**
+ * Response Cache module
+ * Persists MLB Stats API responses in localStorage, keyed by full request URL
+ */
+
+// Time-to-live for current-season responses, per API endpoint (milliseconds).
+// Responses for completed seasons never expire.
+const CACHE_TTL = {
+    'stats': 5 * 60 * 1000,
+    'default': 60 * 60 * 1000
+};
+
+class ResponseCache {
+    constructor(prefix = 'mlb-viz-cache:') {
+        this.prefix = prefix;
+        this.storage = this.getStorage();
+    }
+
+    /**
+     * Get localStorage if it is available (it can be disabled or blocked)
+     * @returns {Storage|null} - Storage object or null
+     */
+    getStorage() {
+        try {
+            const storage = window.localStorage;
+            const testKey = `${this.prefix}__test__`;
+            storage.setItem(testKey, '1');
+            storage.removeItem(testKey);
+            return storage;
+        } catch (error) {
+            console.warn('localStorage unavailable, response cache disabled:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Work out how long a response for a URL stays fresh
+     * @param {string} url - Full API URL
+     * @returns {number} - TTL in milliseconds (Infinity for completed seasons)
+     */
+    getTtl(url) {
+        const parsed = new URL(url);
+        const season = parseInt(parsed.searchParams.get('season'), 10);
+
+        // Completed seasons will never change
+        if (season && season < DataSourceManager.getCurrentSeason()) {
+            return Infinity;
+        }
+
+        // Endpoint is the path after the API version, e.g. "stats"
+        const endpoint = parsed.pathname.split('/').slice(3).join('/');
+        return CACHE_TTL[endpoint] !== undefined ? CACHE_TTL[endpoint] : CACHE_TTL.default;
+    }
+
+    /**
+     * Read a cached response
+     * @param {string} url - Full API URL
+     * @returns {Object|null} - Object with `data`, `storedAt` and `stale`, or null on a miss
+     */
+    get(url) {
+        if (!this.storage) return null;
+
+        try {
+            const raw = this.storage.getItem(this.prefix + url);
+            if (!raw) return null;
+
+            const entry = JSON.parse(raw);
+            const expiresAt = entry.expiresAt === null ? Infinity : entry.expiresAt;
+
+            return {
+                data: entry.data,
+                storedAt: entry.storedAt,
+                stale: Date.now() >= expiresAt
+            };
+        } catch (error) {
+            console.warn('Discarding unreadable cache entry:', url, error);
+            this.storage.removeItem(this.prefix + url);
+            return null;
+        }
+    }
+
+    /**
+     * Store a response
+     * @param {string} url - Full API URL
+     * @param {Object} data - Parsed response body
+     */
+    set(url, data) {
+        if (!this.storage) return;
+
+        const now = Date.now();
+        const ttl = this.getTtl(url);
+        const value = JSON.stringify({
+            url: url,
+            data: data,
+            storedAt: now,
+            // JSON has no Infinity, so null marks a response that never expires
+            expiresAt: ttl === Infinity ? null : now + ttl
+        });
+
+        try {
+            this.storage.setItem(this.prefix + url, value);
+        } catch (error) {
+            // Most likely the storage quota; drop the oldest entries and retry once
+            console.warn('Cache write failed, evicting old entries:', error);
+            this.evictOldest(Math.max(1, Math.ceil(this.keys().length / 2)));
+
+            try {
+                this.storage.setItem(this.prefix + url, value);
+            } catch (retryError) {
+                console.warn('Response not cached:', retryError);
+            }
+        }
+    }
+
+    /**
+     * Get all storage keys belonging to this cache
+     * @returns {Array<string>} - Storage keys
+     */
+    keys() {
+        if (!this.storage) return [];
+
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Describe all cache entries, newest first
+     * @returns {Array<Object>} - Entries with url, storedAt, expiresAt, size and stale
+     */
+    entries() {
+        const now = Date.now();
+
+        return this.keys().map(key => {
+            const raw = this.storage.getItem(key) || '';
+            try {
+                const entry = JSON.parse(raw);
+                return {
+                    url: entry.url,
+                    storedAt: entry.storedAt,
+                    expiresAt: entry.expiresAt,
+                    size: raw.length,
+                    stale: entry.expiresAt !== null && now >= entry.expiresAt
+                };
+            } catch (error) {
+                return { url: key.slice(this.prefix.length), storedAt: 0, expiresAt: 0, size: raw.length, stale: true };
+            }
+        }).sort((a, b) => b.storedAt - a.storedAt);
+    }
+
+    /**
+     * Remove the oldest entries
+     * @param {number} count - Number of entries to remove
+     */
+    evictOldest(count) {
+        this.entries()
+            .slice(-count)
+            .forEach(entry => this.storage.removeItem(this.prefix + entry.url));
+    }
+
+    /**
+     * Remove every cached response
+     */
+    clear() {
+        this.keys().forEach(key => this.storage.removeItem(key));
+    }
+}
+
+// Export as global variables
+window.CACHE_TTL = CACHE_TTL;
+window.ResponseCache = ResponseCache;
@@ -0,0 +1,94 @@
+/**
+ * Season Comparison module
+ * Joins two seasons of player data and summarizes the change in a metric
+ */
+
+/**
+ * Normalize a player name for matching across datasets
+ * @param {string} name - Player name
+ * @returns {string} - Lowercase name without accents or punctuation
+ */
+function normalizePlayerName(name) {
+    return (name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9 ]/gi, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Pair up players who appear in both seasons
+ * Players are matched by id when the names agree (mock and bundled data reuse
+ * small ids for different players), otherwise by name.
+ * @param {Array} olderPlayers - Players from the earlier season
+ * @param {Array} newerPlayers - Players from the later season
+ * @param {string} metricKey - Metric to compare (see BATTING_METRICS)
+ * @returns {Array} - One row per player in both seasons: the later season's record plus
+ *                    `compareOlder`, `compareNewer` and `compareDelta` (newer minus older)
+ */
+function joinSeasons(olderPlayers, newerPlayers, metricKey) {
+    const metric = getMetric(metricKey);
+    const olderById = new Map();
+    const olderByName = new Map();
+
+    olderPlayers.forEach(player => {
+        if (player.id !== undefined && player.id !== null) {
+            olderById.set(player.id, player);
+        }
+        olderByName.set(normalizePlayerName(player.name), player);
+    });
+
+    return newerPlayers.reduce((rows, player) => {
+        const name = normalizePlayerName(player.name);
+        const byId = olderById.get(player.id);
+        const older = (byId && normalizePlayerName(byId.name) === name) ? byId : olderByName.get(name);
+
+        if (older && Number.isFinite(older[metric.key]) && Number.isFinite(player[metric.key])) {
+            rows.push({
+                ...player,
+                previous: older,
+                compareOlder: older[metric.key],
+                compareNewer: player[metric.key],
+                compareDelta: player[metric.key] - older[metric.key]
+            });
+        }
+        return rows;
+    }, []);
+}
+
+/**
+ * Summarize a season comparison
+ * @param {Array} rows - Joined rows from joinSeasons
+ * @param {Array} olderPlayers - All players from the earlier season
+ * @param {Array} newerPlayers - All players from the later season
+ * @param {string} metricKey - Metric being compared
+ * @param {number} count - Number of risers and fallers to list
+ * @returns {Object} - `risers`, `fallers` and `average` ({ older, newer, shift })
+ */
+function summarizeComparison(rows, olderPlayers, newerPlayers, metricKey, count = 5) {
+    const metric = getMetric(metricKey);
+    const mean = players => {
+        const values = players.map(player => player[metric.key]).filter(value => Number.isFinite(value));
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    };
+
+    const byDelta = [...rows].sort((a, b) => b.compareDelta - a.compareDelta);
+    const olderAverage = mean(olderPlayers);
+    const newerAverage = mean(newerPlayers);
+
+    return {
+        risers: byDelta.filter(row => row.compareDelta > 0).slice(0, count),
+        fallers: byDelta.filter(row => row.compareDelta < 0).reverse().slice(0, count),
+        average: {
+            older: olderAverage,
+            newer: newerAverage,
+            shift: (olderAverage !== null && newerAverage !== null) ? newerAverage - olderAverage : null
+        }
+    };
+}
+
+// Export as global variables
+window.normalizePlayerName = normalizePlayerName;
+window.joinSeasons = joinSeasons;
+window.summarizeComparison = summarizeComparison;
@@ -0,0 +1,267 @@
+/**
+ * MLB Data Sources module
+ * Interchangeable providers for season data (live API, bundled files, mock)
+ * and the per-season priority order used to pick between them
+ */
+
+/**
+ * Live MLB Stats API source
+ */
+class LiveApiDataSource {
+    constructor(client) {
+        this.name = 'live';
+        this.label = 'MLB Stats API';
+        this.client = client;
+    }
+
+    /**
+     * Load a dataset from the Stats API
+     * @param {string} kind - Dataset kind (e.g. 'batting')
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options (e.g. `metric`, `signal`)
+     * @returns {Promise<Object|null>} - API response, or null if the kind is unsupported
+     */
+    async load(kind, season, options = {}) {
+        switch (kind) {
+            case 'batting':
+                return this.client.fetchLiveBattingStats(season, options);
+            case 'pitching':
+                return this.client.fetchLivePitchingStats(season, options);
+            case 'teamGames':
+                return this.client.fetchLiveTeamGames(season, { signal: options.signal });
+            case 'gameLog':
+                return this.client.fetchLiveGameLog(season, options.player.id, { signal: options.signal });
+            case 'seasons':
+                return this.client.fetchLiveSeasons({ signal: options.signal });
+            case 'leagueHistory':
+                return this.client.fetchLiveLeagueHistory(options.seasons, { signal: options.signal });
+            default:
+                return null;
+        }
+    }
+}
+
+/**
+ * Bundled season files in the data/ directory
+ */
+class LocalFileDataSource {
+    constructor(basePath = 'data') {
+        this.name = 'local';
+        this.label = 'Bundled season file';
+        this.basePath = basePath;
+
+        // File name templates per dataset kind ({pool} is '_all' or '_rookies' for those player pools)
+        this.files = {
+            batting: 'batting_stats_{season}{pool}.json',
+            pitching: 'pitching_stats_{season}{pool}.json',
+            teamGames: 'team_games_{season}.json',
+            gameLog: 'game_log_{season}_{playerId}.json',
+            seasons: 'seasons.json',
+            leagueHistory: 'league_history.json'
+        };
+    }
+
+    /**
+     * Build the path of a bundled file
+     * @param {string} kind - Dataset kind
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options (`player` fills in {playerId}, `playerPool` fills in {pool})
+     * @returns {string|null} - Relative file path, or null if the kind has no file
+     */
+    getPath(kind, season, options = {}) {
+        const template = this.files[kind];
+        if (!template) return null;
+
+        const file = template
+            .replace('{season}', season)
+            .replace('{pool}', options.playerPool === 'all' || options.playerPool === 'rookies' ? `_${options.playerPool}` : '')
+            .replace('{playerId}', options.player ? options.player.id : '');
+        return `${this.basePath}/${file}`;
+    }
+
+    /**
+     * Load a dataset from a bundled file
+     * @param {string} kind - Dataset kind
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options (`signal` cancels the request)
+     * @returns {Promise<Object|null>} - File contents, or null if no file exists for the season
+     */
+    async load(kind, season, options = {}) {
+        const path = this.getPath(kind, season, options);
+        if (!path) return null;
+
+        const response = await fetch(path, { signal: options.signal });
+
+        // A missing file just means this season isn't bundled
+        if (response.status === 404) return null;
+
+        if (!response.ok) {
+            throw new Error(`Local file error: ${response.status} - ${response.statusText}`);
+        }
+
+        return await response.json();
+    }
+}
+
+/**
+ * Built-in mock data, used as the last resort
+ */
+class MockDataSource {
+    constructor(client) {
+        this.name = 'mock';
+        this.label = 'Built-in sample data';
+        this.client = client;
+    }
+
+    /**
+     * Load a mock dataset
+     * @param {string} kind - Dataset kind
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options
+     * @returns {Promise<Object|null>} - Mock data, or null if the kind is unsupported
+     */
+    async load(kind, season, options = {}) {
+        switch (kind) {
+            case 'batting':
+                return this.client.getMockBattingStats(season, options);
+            case 'pitching':
+                return this.client.getMockPitchingStats(season, options);
+            case 'teamGames':
+                return this.client.getMockTeamGames(season);
+            case 'gameLog':
+                return this.client.getMockGameLog(season, options.player);
+            case 'seasons':
+                return this.client.getMockSeasons();
+            case 'leagueHistory':
+                return this.client.getMockLeagueHistory(options.seasons);
+            default:
+                return null;
+        }
+    }
+}
+
+/**
+ * Picks a data source for each request based on a per-season priority order
+ */
+class DataSourceManager {
+    constructor() {
+        this.sources = {};
+
+        // Default order: hit the network for the current season only,
+        // prefer reproducible bundled files for completed seasons
+        this.defaultPriority = {
+            current: ['live', 'local', 'mock'],
+            past: ['local', 'live', 'mock']
+        };
+
+        // Per-season overrides, keyed by season year
+        this.seasonPriority = {};
+    }
+
+    /**
+     * Get the season currently in progress (or most recently started)
+     * @returns {number} - Season year
+     */
+    static getCurrentSeason() {
+        const now = new Date();
+        // The regular season starts in late March, so January and February
+        // still belong to the previous season
+        return now.getMonth() < 2 ? now.getFullYear() - 1 : now.getFullYear();
+    }
+
+    /**
+     * Register a data source
+     * @param {Object} source - Source with a unique `name` and a `load(kind, season, options)` method
+     */
+    register(source) {
+        this.sources[source.name] = source;
+    }
+
+    /**
+     * Pin the source order for a season
+     * @param {number} season - MLB season year
+     * @param {Array<string>|null} order - Source names in priority order, or null to restore the default
+     */
+    setPriority(season, order) {
+        if (!order) {
+            delete this.seasonPriority[season];
+            return;
+        }
+
+        const unknown = order.filter(name => !this.sources[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown data source(s): ${unknown.join(', ')}`);
+        }
+
+        this.seasonPriority[season] = [...order];
+    }
+
+    /**
+     * Get the source order for a season
+     * @param {number} season - MLB season year
+     * @returns {Array<string>} - Source names in priority order
+     */
+    getPriority(season) {
+        const year = parseInt(season, 10);
+
+        if (this.seasonPriority[year]) {
+            return this.seasonPriority[year];
+        }
+
+        return year >= DataSourceManager.getCurrentSeason()
+            ? this.defaultPriority.current
+            : this.defaultPriority.past;
+    }
+
+    /**
+     * Load a dataset from the first source that can provide it
+     * A cancelled load stops here rather than falling through to the next source
+     * @param {string} kind - Dataset kind (e.g. 'batting')
+     * @param {number} season - MLB season year
+     * @param {Object} options - Request options passed through to each source
+     *                           (`options.signal` cancels the load)
+     * @param {Function} isUsable - Returns true if a loaded dataset has usable content
+     * @returns {Promise<Object>} - Object with `data` and its provenance: `source` (source name),
+     *                              `label`, `loadedAt` (timestamp) and `fallbacks` (the sources
+     *                              tried first, as `{ source, label, reason }`)
+     */
+    async load(kind, season, options = {}, isUsable = data => !!data) {
+        const errors = [];
+        const fallbacks = [];
+
+        for (const name of this.getPriority(season)) {
+            const source = this.sources[name];
+            if (!source) continue;
+
+            options.signal?.throwIfAborted();
+
+            try {
+                const data = await source.load(kind, season, options);
+
+                if (data && isUsable(data)) {
+                    return { source: name, label: source.label, loadedAt: Date.now(), fallbacks, data };
+                }
+
+                console.warn(`No ${kind} data for ${season} from ${name} source`);
+                fallbacks.push({ source: name, label: source.label, reason: `No ${kind} data for ${season}` });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                console.error(`Error loading ${kind} data for ${season} from ${name} source:`, error);
+                errors.push(error);
+                fallbacks.push({ source: name, label: source.label, reason: error.message });
+            }
+        }
+
+        const error = new Error(`No data source could provide ${kind} data for ${season}`);
+        error.causes = errors;
+        throw error;
+    }
+}
+
+// Export as global variables
+window.LiveApiDataSource = LiveApiDataSource;
+window.LocalFileDataSource = LocalFileDataSource;
+window.MockDataSource = MockDataSource;
+window.DataSourceManager = DataSourceManager;
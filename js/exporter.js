@@ -0,0 +1,312 @@
+/**
+ * Export module
+ * Downloads the current chart as PNG (or a PNG wrapped in SVG) and the current table rows
+ * as CSV or JSON, each tagged with season, data source and export time
+ */
+
+// Resolutions offered for image exports, as multiples of the on-screen size
+const EXPORT_SCALES = [1, 2, 3];
+
+/**
+ * Describe export metadata as "Label: value" lines
+ * @param {Object} metadata - Export metadata (season, source, exportedAt, ...)
+ * @returns {Array<string>} - One line per field that has a value
+ */
+function describeExportMetadata(metadata) {
+    const labels = {
+        season: 'Season',
+        view: 'View',
+        metric: 'Metric',
+        source: 'Data source',
+        exportedAt: 'Exported'
+    };
+
+    return Object.keys(labels)
+        .filter(key => metadata[key] !== undefined && metadata[key] !== null && metadata[key] !== '')
+        .map(key => `${labels[key]}: ${metadata[key]}`);
+}
+
+/**
+ * Get the raw (unformatted) value of a table cell for export
+ * @param {Object} player - Player record
+ * @param {Object} column - Table column definition
+ * @param {number} rank - Row position in the current sort
+ * @returns {string|number} - Cell value; non-integers are rounded to 4 decimals
+ */
+function getExportValue(player, column, rank) {
+    if (column.type === 'rank') return rank;
+
+    const value = player[column.key];
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        return Math.round(value * 10000) / 10000;
+    }
+    return value;
+}
+
+/**
+ * Build a CSV file of player rows
+ * Metadata is written first as "#" comment lines
+ * @param {Array} players - Player records in display order
+ * @param {Array<Object>} columns - Table column definitions to include
+ * @param {Object} metadata - Export metadata
+ * @returns {string} - CSV text
+ */
+function playersToCsv(players, columns, metadata) {
+    const escape = value => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = describeExportMetadata(metadata).map(line => `# ${line}`);
+    lines.push(columns.map(column => escape(column.label)).join(','));
+    players.forEach((player, index) => {
+        lines.push(columns.map(column => escape(getExportValue(player, column, index + 1))).join(','));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a JSON file of player rows
+ * @param {Array} players - Player records in display order
+ * @param {Array<Object>} columns - Table column definitions to include
+ * @param {Object} metadata - Export metadata
+ * @returns {string} - JSON text with `metadata` and `players` (keyed by column key)
+ */
+function playersToJson(players, columns, metadata) {
+    return JSON.stringify({
+        metadata: metadata,
+        players: players.map((player, index) => {
+            const row = {};
+            columns.forEach(column => {
+                row[column.key] = getExportValue(player, column, index + 1);
+            });
+            return row;
+        })
+    }, null, 2);
+}
+
+/**
+ * Draw a chart onto a new canvas at a higher resolution, on the theme's background,
+ * with the export metadata written underneath
+ * @param {Chart} chart - Chart.js chart
+ * @param {number} scale - Resolution multiplier (see EXPORT_SCALES)
+ * @param {Object} metadata - Export metadata
+ * @returns {HTMLCanvasElement} - Canvas holding the exported image
+ */
+function renderChartImage(chart, scale, metadata) {
+    // Re-render the chart at the export resolution rather than stretching the screen pixels
+    const originalRatio = chart.options.devicePixelRatio;
+    chart.options.devicePixelRatio = scale;
+    chart.resize();
+
+    const footerHeight = 24 * scale;
+    const image = document.createElement('canvas');
+    image.width = chart.canvas.width;
+    image.height = chart.canvas.height + footerHeight;
+
+    // Paint the chart's theme background so its text stays legible in the dark theme
+    const theme = getThemeColors(chart.canvas);
+    const ctx = image.getContext('2d');
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, image.width, image.height);
+    ctx.drawImage(chart.canvas, 0, 0);
+
+    ctx.fillStyle = theme.text;
+    ctx.font = `${11 * scale}px Arial`;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(describeExportMetadata(metadata).join('  |  '), 8 * scale, chart.canvas.height + footerHeight / 2);
+
+    chart.options.devicePixelRatio = originalRatio;
+    chart.resize();
+
+    return image;
+}
+
+/**
+ * Wrap a PNG image in an SVG document
+ * Chart.js draws to a canvas, so the SVG embeds the rendered image rather than vector shapes;
+ * it's for tools that only accept SVG. Metadata goes in the <title> and <desc>.
+ * @param {string} pngDataUrl - PNG image as a data URL
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} metadata - Export metadata
+ * @returns {string} - SVG text
+ */
+function wrapImageInSvg(pngDataUrl, width, height, metadata) {
+    const escape = text => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `  <title>${escape(`MLB ${metadata.metric || ''} ${metadata.season || ''}`.replace(/\s+/g, ' ').trim())}</title>`,
+        `  <desc>${escape(describeExportMetadata(metadata).join('; '))}</desc>`,
+        `  <image width="${width}" height="${height}" href="${pngDataUrl}"/>`,
+        '</svg>'
+    ].join('\n') + '\n';
+}
+
+/**
+ * Save content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+class ExportMenu {
+    /**
+     * @param {Object} options - Menu options
+     * @param {Function} options.getChart - Returns the Chart.js chart to export (or null)
+     * @param {Function} options.getRows - Returns { players, columns } for the table export
+     * @param {Function} options.getMetadata - Returns export metadata (season, source, view, metric)
+     */
+    constructor(options) {
+        this.getChart = options.getChart;
+        this.getRows = options.getRows;
+        this.getMetadata = options.getMetadata;
+
+        this.element = document.createElement('details');
+        this.element.className = 'export-menu';
+        this.render();
+    }
+
+    /**
+     * Build the menu
+     */
+    render() {
+        const summary = document.createElement('summary');
+        summary.textContent = 'Export';
+
+        const panel = document.createElement('div');
+        panel.className = 'export-menu-panel';
+
+        this.scaleSelect = document.createElement('select');
+        this.scaleSelect.setAttribute('aria-label', 'Image resolution');
+        EXPORT_SCALES.forEach(scale => {
+            const option = document.createElement('option');
+            option.value = scale;
+            option.textContent = `${scale}x resolution`;
+            this.scaleSelect.appendChild(option);
+        });
+        this.scaleSelect.value = 2;
+
+        panel.append(
+            this.scaleSelect,
+            this.createButton('PNG image', () => this.exportImage('png')),
+            this.createButton('PNG wrapped in SVG', () => this.exportImage('svg')),
+            this.createButton('Table as CSV', () => this.exportRows('csv')),
+            this.createButton('Table as JSON', () => this.exportRows('json'))
+        );
+
+        this.element.append(summary, panel);
+    }
+
+    /**
+     * Create a menu button
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLElement} - Button element
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'secondary';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            onClick();
+            this.element.open = false;
+        });
+        return button;
+    }
+
+    /**
+     * Get metadata for an export, stamped with the current time
+     * @returns {Object} - Export metadata
+     */
+    buildMetadata() {
+        return {
+            ...this.getMetadata(),
+            exportedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Build a file name from the metadata
+     * @param {Object} metadata - Export metadata
+     * @param {string} extension - File extension
+     * @returns {string} - e.g. "mlb-players-avg-2025.csv" or "mlb-comparison-avg-2024-vs-2025.csv"
+     */
+    getFilename(metadata, extension) {
+        const parts = ['mlb', metadata.view, metadata.metricKey, metadata.season]
+            .filter(part => part)
+            .map(part => String(part).replace(/[^a-z0-9]+/gi, '-'));
+        return `${parts.join('-')}.${extension}`;
+    }
+
+    /**
+     * Download the chart as PNG or SVG
+     * @param {string} format - 'png' or 'svg'
+     */
+    exportImage(format) {
+        const chart = this.getChart();
+        if (!chart) return;
+
+        const metadata = this.buildMetadata();
+        const image = renderChartImage(chart, parseInt(this.scaleSelect.value, 10), metadata);
+        const dataUrl = image.toDataURL('image/png');
+
+        if (format === 'svg') {
+            downloadFile(this.getFilename(metadata, 'svg'),
+                wrapImageInSvg(dataUrl, image.width, image.height, metadata), 'image/svg+xml');
+            return;
+        }
+
+        // Data URLs can be downloaded directly
+        const link = document.createElement('a');
+        link.href = dataUrl;
+        link.download = this.getFilename(metadata, 'png');
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /**
+     * Download the table rows as CSV or JSON
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportRows(format) {
+        const { players, columns } = this.getRows();
+        const metadata = this.buildMetadata();
+
+        if (format === 'json') {
+            downloadFile(this.getFilename(metadata, 'json'), playersToJson(players, columns, metadata), 'application/json');
+        } else {
+            downloadFile(this.getFilename(metadata, 'csv'), playersToCsv(players, columns, metadata), 'text/csv');
+        }
+    }
+}
+
+// Export as global variables
+window.EXPORT_SCALES = EXPORT_SCALES;
+window.playersToCsv = playersToCsv;
+window.playersToJson = playersToJson;
+window.wrapImageInSvg = wrapImageInSvg;
+window.ExportMenu = ExportMenu;
@@ -0,0 +1,259 @@
+/**
+ * Player Filters module
+ * Filter bar UI (player search, team, league, division, minimum PA)
+ * and the functions that apply the filters to player data
+ */
+
+const DEFAULT_FILTERS = {
+    search: '',
+    teams: [],
+    leagues: [],
+    divisions: [],
+    minPlateAppearances: 0
+};
+
+/**
+ * Check whether a player's name matches a search string
+ * @param {Object} player - Player record
+ * @param {string} search - Search text (case and accent insensitive)
+ * @returns {boolean} - True if the search is empty or matches the name
+ */
+function matchesPlayerSearch(player, search) {
+    const normalize = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    const query = normalize(search || '');
+    return query === '' || normalize(player.name).includes(query);
+}
+
+/**
+ * Apply team, league, division and minimum PA filters
+ * The player search is not applied here; it highlights rather than removes (see matchesPlayerSearch)
+ * @param {Array} players - Player records
+ * @param {Object} filters - Filter state (see DEFAULT_FILTERS)
+ * @returns {Array} - Players passing every filter, in their original order
+ */
+function applyPlayerFilters(players, filters) {
+    return players.filter(player => {
+        const { league, division } = resolveTeam(player.teamId, player.team);
+
+        if (filters.teams.length > 0 && !filters.teams.includes(player.team)) return false;
+        if (filters.leagues.length > 0 && !filters.leagues.includes(league)) return false;
+        if (filters.divisions.length > 0 && !filters.divisions.includes(division)) return false;
+
+        // Older data without plate appearances falls back to at-bats
+        const plateAppearances = player.plateAppearances || player.atBats;
+        return plateAppearances >= filters.minPlateAppearances;
+    });
+}
+
+class FilterBar {
+    /**
+     * @param {string} containerId - Element to build the filter bar in
+     * @param {Function} onChange - Called with the new filter state whenever a filter changes
+     */
+    constructor(containerId, onChange) {
+        this.container = document.getElementById(containerId);
+        this.onChange = onChange;
+        this.filters = { ...DEFAULT_FILTERS };
+
+        this.render();
+    }
+
+    /**
+     * Build the filter controls
+     */
+    render() {
+        this.container.innerHTML = '';
+
+        // Type-ahead player search
+        const searchGroup = this.createGroup('Player');
+        this.searchInput = document.createElement('input');
+        this.searchInput.type = 'search';
+        this.searchInput.placeholder = 'Search players...';
+        this.searchInput.setAttribute('list', `${this.container.id}-player-names`);
+        this.searchInput.addEventListener('input', () => this.update({ search: this.searchInput.value }));
+        this.playerNames = document.createElement('datalist');
+        this.playerNames.id = `${this.container.id}-player-names`;
+        searchGroup.append(this.searchInput, this.playerNames);
+
+        // Multi-select team filter
+        const teamGroup = this.createGroup('Teams');
+        this.teamSelect = document.createElement('select');
+        this.teamSelect.multiple = true;
+        this.teamSelect.size = 4;
+        this.teamSelect.addEventListener('change', () => {
+            const teams = Array.from(this.teamSelect.selectedOptions).map(option => option.value);
+            this.update({ teams });
+        });
+        teamGroup.appendChild(this.teamSelect);
+
+        // League and division toggles
+        const leagueGroup = this.createGroup('League');
+        ['AL', 'NL'].forEach(league => {
+            leagueGroup.appendChild(this.createToggle(league, league, 'leagues'));
+        });
+
+        const divisionGroup = this.createGroup('Division');
+        Object.keys(MLB_DIVISIONS).forEach(division => {
+            divisionGroup.appendChild(this.createToggle(division, division, 'divisions'));
+        });
+
+        // Minimum plate appearances slider
+        const paGroup = this.createGroup('Min PA');
+        this.paSlider = document.createElement('input');
+        this.paSlider.type = 'range';
+        this.paSlider.min = 0;
+        this.paSlider.max = 700;
+        this.paSlider.step = 10;
+        this.paSlider.value = 0;
+        this.paOutput = document.createElement('output');
+        this.paOutput.textContent = '0';
+        this.paSlider.addEventListener('input', () => {
+            this.paOutput.textContent = this.paSlider.value;
+            this.update({ minPlateAppearances: parseInt(this.paSlider.value, 10) });
+        });
+        paGroup.append(this.paSlider, this.paOutput);
+
+        // Reset
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'secondary';
+        clearButton.textContent = 'Clear Filters';
+        clearButton.addEventListener('click', () => this.reset());
+
+        this.container.appendChild(clearButton);
+    }
+
+    /**
+     * Create a labelled group in the filter bar
+     * @param {string} labelText - Group label
+     * @returns {HTMLElement} - Group element
+     */
+    createGroup(labelText) {
+        const group = document.createElement('div');
+        group.className = 'filter-group';
+
+        const label = document.createElement('span');
+        label.className = 'filter-label';
+        label.textContent = labelText;
+
+        group.appendChild(label);
+        this.container.appendChild(group);
+        return group;
+    }
+
+    /**
+     * Create a checkbox toggle that adds/removes a value in a list filter
+     * @param {string} labelText - Toggle label
+     * @param {string} value - Value added to the filter list when checked
+     * @param {string} filterKey - Filter list to update ('leagues' or 'divisions')
+     * @returns {HTMLElement} - Label element wrapping the checkbox
+     */
+    createToggle(labelText, value, filterKey) {
+        const label = document.createElement('label');
+        label.className = 'filter-toggle';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.dataset.filter = filterKey;
+        checkbox.addEventListener('change', () => {
+            const values = this.filters[filterKey].filter(item => item !== value);
+            if (checkbox.checked) {
+                values.push(value);
+            }
+            this.update({ [filterKey]: values });
+        });
+
+        label.append(checkbox, document.createTextNode(` ${labelText}`));
+        return label;
+    }
+
+    /**
+     * Refresh the search suggestions, team list and PA range for a new dataset
+     * Team selections that are still present are kept
+     * @param {Array} players - Player records
+     */
+    setPlayers(players) {
+        this.playerNames.innerHTML = '';
+        players.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player.name;
+            this.playerNames.appendChild(option);
+        });
+
+        const teams = [...new Set(players.map(player => player.team))].sort();
+        this.teamSelect.innerHTML = '';
+        teams.forEach(team => {
+            const option = document.createElement('option');
+            option.value = team;
+            option.textContent = team;
+            option.selected = this.filters.teams.includes(team);
+            this.teamSelect.appendChild(option);
+        });
+        this.filters.teams = this.filters.teams.filter(team => teams.includes(team));
+
+        const maxPlateAppearances = Math.max(0, ...players.map(player => player.plateAppearances || player.atBats));
+        this.paSlider.max = Math.ceil(maxPlateAppearances / 10) * 10;
+        if (this.filters.minPlateAppearances > this.paSlider.max) {
+            this.filters.minPlateAppearances = 0;
+            this.paSlider.value = 0;
+            this.paOutput.textContent = '0';
+        }
+    }
+
+    /**
+     * Get the current filter state
+     * @returns {Object} - Filter state (see DEFAULT_FILTERS)
+     */
+    getFilters() {
+        return { ...this.filters };
+    }
+
+    /**
+     * Replace the filter state (e.g. restored from a link) without notifying the listener
+     * Teams not in the current dataset stay selected until the next setPlayers call
+     * @param {Object} filters - Filter state (see DEFAULT_FILTERS); missing fields are cleared
+     */
+    setFilters(filters) {
+        this.filters = { ...DEFAULT_FILTERS, ...filters };
+
+        this.searchInput.value = this.filters.search;
+        Array.from(this.teamSelect.options).forEach(option => {
+            option.selected = this.filters.teams.includes(option.value);
+        });
+        this.container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = this.filters[checkbox.dataset.filter].includes(checkbox.value);
+        });
+        this.paSlider.value = this.filters.minPlateAppearances;
+        this.paOutput.textContent = String(this.filters.minPlateAppearances);
+    }
+
+    /**
+     * Merge changes into the filter state and notify the listener
+     * @param {Object} changes - Changed filter fields
+     */
+    update(changes) {
+        this.filters = { ...this.filters, ...changes };
+        this.onChange(this.getFilters());
+    }
+
+    /**
+     * Clear every filter
+     */
+    reset() {
+        this.searchInput.value = '';
+        Array.from(this.teamSelect.options).forEach(option => { option.selected = false; });
+        this.container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => { checkbox.checked = false; });
+        this.paSlider.value = 0;
+        this.paOutput.textContent = '0';
+
+        this.filters = { ...DEFAULT_FILTERS };
+        this.onChange(this.getFilters());
+    }
+}
+
+// Export as global variables
+window.DEFAULT_FILTERS = DEFAULT_FILTERS;
+window.matchesPlayerSearch = matchesPlayerSearch;
+window.applyPlayerFilters = applyPlayerFilters;
+window.FilterBar = FilterBar;
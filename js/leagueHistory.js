@@ -0,0 +1,126 @@
+/**
+ * League History module
+ * The list of seasons offered, league-wide batting lines for each season and the eras
+ * marked on the league history chart
+ */
+
+// First season of the two-league (American and National League) era, the earliest offered
+const FIRST_SEASON = 1901;
+
+// Eras shaded on the league history chart (`end: null` for an era still going)
+const ERA_BANDS = [
+    { key: 'deadball', label: 'Deadball', start: 1901, end: 1919 },
+    { key: 'integration', label: 'Integration', start: 1947, end: 1960 },
+    { key: 'expansion', label: 'Expansion', start: 1961, end: 1976 },
+    { key: 'steroid', label: 'Steroid', start: 1994, end: 2005 },
+    { key: 'pitchClock', label: 'Pitch clock', start: 2023, end: null }
+];
+
+// Stats drawn as lines on the league history chart
+const LEAGUE_HISTORY_METRICS = ['avg', 'obp', 'slg'];
+
+// Columns of the league history export (in the form of the player table's columns)
+const LEAGUE_HISTORY_COLUMNS = [
+    { key: 'season', label: 'Season' },
+    { key: 'avg', label: 'AVG' },
+    { key: 'obp', label: 'OBP' },
+    { key: 'slg', label: 'SLG' },
+    { key: 'ops', label: 'OPS' },
+    { key: 'plateAppearances', label: 'PA' }
+];
+
+// Team hitting totals summed into a league line; the live request asks for just these fields
+const LEAGUE_TOTAL_FIELDS = ['plateAppearances', 'atBats', 'hits', 'baseOnBalls', 'hitByPitch', 'sacFlies', 'totalBases'];
+
+/**
+ * Get the era a season belongs to
+ * @param {number} season - MLB season year
+ * @returns {Object|null} - Entry of ERA_BANDS, or null for seasons between the marked eras
+ */
+function getEra(season) {
+    return ERA_BANDS.find(era => season >= era.start && (era.end === null || season <= era.end)) || null;
+}
+
+/**
+ * List every season since FIRST_SEASON
+ * @returns {Array<number>} - Seasons from FIRST_SEASON to the current season, newest first
+ */
+function getAllSeasons() {
+    const seasons = [];
+    for (let season = DataSourceManager.getCurrentSeason(); season >= FIRST_SEASON; season--) {
+        seasons.push(season);
+    }
+    return seasons;
+}
+
+/**
+ * Extract the season list from a seasons response
+ * @param {Object} data - Stats API `seasons` response, bundled file or mock data
+ *                        (`{ seasons: [{ seasonId }] }`)
+ * @returns {Array<number>} - Seasons from FIRST_SEASON to the current season, newest first
+ */
+function extractSeasons(data) {
+    const currentSeason = DataSourceManager.getCurrentSeason();
+    const seasons = ((data && data.seasons) || [])
+        .map(season => parseInt(season.seasonId, 10))
+        .filter(season => season >= FIRST_SEASON && season <= currentSeason);
+
+    return [...new Set(seasons)].sort((a, b) => b - a);
+}
+
+/**
+ * Sum every team's hitting totals into the league's totals for a season
+ * @param {Object} data - Stats API `teams/stats` response for one season
+ * @param {number} season - MLB season year
+ * @returns {Object|null} - `{ season, ...LEAGUE_TOTAL_FIELDS }`, or null if the response has no teams
+ */
+function sumLeagueTotals(data, season) {
+    const splits = data && data.stats && data.stats[0] ? data.stats[0].splits || [] : [];
+    if (splits.length === 0) return null;
+
+    const totals = { season };
+    LEAGUE_TOTAL_FIELDS.forEach(field => {
+        totals[field] = splits.reduce((sum, split) => sum + (parseInt(split.stat && split.stat[field], 10) || 0), 0);
+    });
+    return totals;
+}
+
+/**
+ * Extract league batting lines from league totals
+ * @param {Object} data - `{ leagueHistory: [{ season, atBats, hits, ... }] }` (see sumLeagueTotals)
+ * @returns {Array<Object>} - `{ season, plateAppearances, avg, obp, slg, ops }`, oldest season first;
+ *                            seasons without at-bats are left out
+ */
+function extractLeagueHistory(data) {
+    const rows = (data && data.leagueHistory) || [];
+
+    return rows
+        .filter(row => row.atBats > 0)
+        .map(row => {
+            const onBaseChances = row.atBats + row.baseOnBalls + (row.hitByPitch || 0) + (row.sacFlies || 0);
+            const avg = row.hits / row.atBats;
+            const obp = onBaseChances > 0 ? (row.hits + row.baseOnBalls + (row.hitByPitch || 0)) / onBaseChances : 0;
+            const slg = row.totalBases / row.atBats;
+            return {
+                season: parseInt(row.season, 10),
+                plateAppearances: row.plateAppearances || onBaseChances,
+                avg,
+                obp,
+                slg,
+                ops: obp + slg
+            };
+        })
+        .sort((a, b) => a.season - b.season);
+}
+
+// Export as global variables
+window.FIRST_SEASON = FIRST_SEASON;
+window.ERA_BANDS = ERA_BANDS;
+window.LEAGUE_HISTORY_METRICS = LEAGUE_HISTORY_METRICS;
+window.LEAGUE_HISTORY_COLUMNS = LEAGUE_HISTORY_COLUMNS;
+window.LEAGUE_TOTAL_FIELDS = LEAGUE_TOTAL_FIELDS;
+window.getEra = getEra;
+window.getAllSeasons = getAllSeasons;
+window.extractSeasons = extractSeasons;
+window.sumLeagueTotals = sumLeagueTotals;
+window.extractLeagueHistory = extractLeagueHistory;
@@ -0,0 +1,408 @@
+/**
+ * Batting Metrics module
+ * Describes the batting and pitching statistics that can be charted and how to query,
+ * scale and format them
+ */
+
+const BATTING_METRICS = {
+    avg: {
+        key: 'avg',
+        label: 'Batting Average',
+        shortLabel: 'AVG',
+        apiSort: 'battingAverage',
+        type: 'rate'
+    },
+    obp: {
+        key: 'obp',
+        label: 'On-Base Percentage',
+        shortLabel: 'OBP',
+        apiSort: 'onBasePercentage',
+        type: 'rate'
+    },
+    slg: {
+        key: 'slg',
+        label: 'Slugging Percentage',
+        shortLabel: 'SLG',
+        apiSort: 'sluggingPercentage',
+        type: 'rate'
+    },
+    ops: {
+        key: 'ops',
+        label: 'On-Base Plus Slugging',
+        shortLabel: 'OPS',
+        apiSort: 'onBasePlusSlugging',
+        type: 'rate'
+    },
+    homeRuns: {
+        key: 'homeRuns',
+        label: 'Home Runs',
+        shortLabel: 'HR',
+        apiSort: 'homeRuns',
+        type: 'count'
+    },
+    rbi: {
+        key: 'rbi',
+        label: 'Runs Batted In',
+        shortLabel: 'RBI',
+        apiSort: 'runsBattedIn',
+        type: 'count'
+    },
+    hits: {
+        key: 'hits',
+        label: 'Hits',
+        shortLabel: 'H',
+        apiSort: 'hits',
+        type: 'count'
+    },
+    doubles: {
+        key: 'doubles',
+        label: 'Doubles',
+        shortLabel: '2B',
+        apiSort: 'doubles',
+        type: 'count'
+    },
+    triples: {
+        key: 'triples',
+        label: 'Triples',
+        shortLabel: '3B',
+        apiSort: 'triples',
+        type: 'count'
+    },
+    baseOnBalls: {
+        key: 'baseOnBalls',
+        label: 'Walks',
+        shortLabel: 'BB',
+        apiSort: 'baseOnBalls',
+        type: 'count'
+    },
+    strikeOuts: {
+        key: 'strikeOuts',
+        label: 'Strikeouts',
+        shortLabel: 'K',
+        apiSort: 'strikeOuts',
+        type: 'count'
+    },
+    stolenBases: {
+        key: 'stolenBases',
+        label: 'Stolen Bases',
+        shortLabel: 'SB',
+        apiSort: 'stolenBases',
+        type: 'count'
+    },
+
+    // Derived stats (see sabermetrics.js). The API can't rank by these, so leaderboards
+    // request the whole pool (sorted by a related stat) and rank it locally before trimming.
+    iso: {
+        key: 'iso',
+        label: 'Isolated Power',
+        shortLabel: 'ISO',
+        apiSort: 'sluggingPercentage',
+        type: 'rate',
+        derived: true
+    },
+    babip: {
+        key: 'babip',
+        label: 'Batting Average on Balls in Play',
+        shortLabel: 'BABIP',
+        apiSort: 'battingAverage',
+        type: 'rate',
+        derived: true
+    },
+    walkRate: {
+        key: 'walkRate',
+        label: 'Walk Rate',
+        shortLabel: 'BB%',
+        apiSort: 'onBasePercentage',
+        type: 'percent',
+        derived: true
+    },
+    strikeoutRate: {
+        key: 'strikeoutRate',
+        label: 'Strikeout Rate',
+        shortLabel: 'K%',
+        apiSort: 'strikeOuts',
+        type: 'percent',
+        derived: true
+    },
+    woba: {
+        key: 'woba',
+        label: 'Weighted On-Base Average',
+        shortLabel: 'wOBA',
+        apiSort: 'onBasePlusSlugging',
+        type: 'rate',
+        derived: true
+    },
+    runsCreated: {
+        key: 'runsCreated',
+        label: 'Runs Created',
+        shortLabel: 'RC',
+        apiSort: 'onBasePlusSlugging',
+        type: 'count',
+        derived: true
+    },
+
+    // Indexed stats (see adjustedStats.js): 100 is the season's league average, optionally
+    // park-adjusted. Ranked by the raw stat in the request and re-sorted locally.
+    avgPlus: {
+        key: 'avgPlus',
+        label: 'Adjusted Batting Average',
+        shortLabel: 'AVG+',
+        apiSort: 'battingAverage',
+        type: 'index',
+        derived: true
+    },
+    obpPlus: {
+        key: 'obpPlus',
+        label: 'Adjusted On-Base Percentage',
+        shortLabel: 'OBP+',
+        apiSort: 'onBasePercentage',
+        type: 'index',
+        derived: true
+    },
+    slgPlus: {
+        key: 'slgPlus',
+        label: 'Adjusted Slugging Percentage',
+        shortLabel: 'SLG+',
+        apiSort: 'sluggingPercentage',
+        type: 'index',
+        derived: true
+    },
+    opsPlus: {
+        key: 'opsPlus',
+        label: 'Adjusted OPS',
+        shortLabel: 'OPS+',
+        apiSort: 'onBasePlusSlugging',
+        type: 'index',
+        derived: true
+    }
+};
+
+const DEFAULT_METRIC = 'avg';
+
+// Batting rates that are a share of trials (hits per at-bat, ...), as [successes, trials] from a
+// player's counts, matching sabermetrics.js. These get confidence intervals; SLG, OPS, ISO and
+// wOBA can exceed one per trial, so they aren't proportions and don't
+const PROPORTION_COUNTS = {
+    avg: player => [player.hits, player.atBats],
+    obp: player => {
+        const onBase = player.hits + player.baseOnBalls + (player.hitByPitch || 0);
+        return [onBase, player.atBats + player.baseOnBalls + (player.hitByPitch || 0) + (player.sacFlies || 0)];
+    },
+    babip: player => [player.hits - player.homeRuns,
+        player.atBats - player.strikeOuts - player.homeRuns + (player.sacFlies || 0)],
+    walkRate: player => [player.baseOnBalls, getPlateAppearances(player)],
+    strikeoutRate: player => [player.strikeOuts, getPlateAppearances(player)]
+};
+
+// Pitching stats. `lowerIsBetter` metrics rank from the lowest value; `decimals` overrides the
+// three decimals of a rate stat. Strikeouts and walks share their keys with the batting stats.
+const PITCHING_METRICS = {
+    era: {
+        key: 'era',
+        label: 'Earned Run Average',
+        shortLabel: 'ERA',
+        apiSort: 'earnedRunAverage',
+        type: 'rate',
+        decimals: 2,
+        lowerIsBetter: true
+    },
+    whip: {
+        key: 'whip',
+        label: 'Walks and Hits per Inning',
+        shortLabel: 'WHIP',
+        apiSort: 'walksAndHitsPerInningPitched',
+        type: 'rate',
+        decimals: 2,
+        lowerIsBetter: true
+    },
+    inningsPitched: {
+        key: 'inningsPitched',
+        label: 'Innings Pitched',
+        shortLabel: 'IP',
+        apiSort: 'inningsPitched',
+        type: 'innings'
+    },
+    strikeOuts: {
+        key: 'strikeOuts',
+        label: 'Strikeouts',
+        shortLabel: 'K',
+        apiSort: 'strikeOuts',
+        type: 'count'
+    },
+    baseOnBalls: {
+        key: 'baseOnBalls',
+        label: 'Walks',
+        shortLabel: 'BB',
+        apiSort: 'baseOnBalls',
+        type: 'count'
+    },
+    strikeoutsPer9: {
+        key: 'strikeoutsPer9',
+        label: 'Strikeouts per 9 Innings',
+        shortLabel: 'K/9',
+        apiSort: 'strikeoutsPer9Inn',
+        type: 'rate',
+        decimals: 2
+    },
+    saves: {
+        key: 'saves',
+        label: 'Saves',
+        shortLabel: 'SV',
+        apiSort: 'saves',
+        type: 'count'
+    },
+
+    // Derived (see sabermetrics.js); the whole pool is requested (sorted by ERA) and ranked locally
+    fip: {
+        key: 'fip',
+        label: 'Fielding Independent Pitching',
+        shortLabel: 'FIP',
+        apiSort: 'earnedRunAverage',
+        type: 'rate',
+        decimals: 2,
+        lowerIsBetter: true,
+        derived: true
+    }
+};
+
+const DEFAULT_PITCHING_METRIC = 'era';
+
+// Stat groups offered by the Hitting/Pitching switch (keys match the Stats API `group` parameter)
+const STAT_GROUPS = {
+    hitting: { label: 'Hitting', metrics: BATTING_METRICS, defaultMetric: DEFAULT_METRIC },
+    pitching: { label: 'Pitching', metrics: PITCHING_METRICS, defaultMetric: DEFAULT_PITCHING_METRIC }
+};
+
+/**
+ * Look up a metric definition
+ * @param {string} key - Metric key (e.g. 'ops' or 'era')
+ * @returns {Object} - Metric definition, or batting average if the key is unknown
+ */
+function getMetric(key) {
+    return BATTING_METRICS[key] || PITCHING_METRICS[key] || BATTING_METRICS[DEFAULT_METRIC];
+}
+
+/**
+ * Get a player's plate appearances, falling back to their components if the source didn't report them
+ * @param {Object} player - Player record
+ * @returns {number} - Plate appearances
+ */
+function getPlateAppearances(player) {
+    return player.plateAppearances ||
+        (player.atBats + player.baseOnBalls + (player.hitByPitch || 0) + (player.sacFlies || 0));
+}
+
+/**
+ * Get the 95% confidence interval of a player's rate
+ * @param {Object} metric - Metric definition
+ * @param {Object} player - Player record with raw counts
+ * @returns {Object|null} - Wilson score interval (`lower`, `upper`; see wilsonInterval), or null
+ *                          if the metric isn't a proportion (see PROPORTION_COUNTS) or has no trials
+ */
+function getMetricInterval(metric, player) {
+    const counts = PROPORTION_COUNTS[metric.key];
+    return counts ? wilsonInterval(...counts(player)) : null;
+}
+
+/**
+ * Get the direction that ranks a metric best first
+ * @param {Object} metric - Metric definition
+ * @returns {string} - 'asc' for lower-is-better stats such as ERA, otherwise 'desc'
+ */
+function getMetricSortDirection(metric) {
+    return metric.lowerIsBetter ? 'asc' : 'desc';
+}
+
+/**
+ * Format a metric value for display
+ * Rate stats use three decimals (.312) unless the metric sets `decimals` (ERA 3.45),
+ * percentages one decimal (23.4%), innings in thirds (180.1 for 180 1/3),
+ * counting stats and indexes (OPS+ 135) are whole numbers
+ * @param {Object} metric - Metric definition
+ * @param {number} value - Raw value
+ * @returns {string} - Formatted value
+ */
+function formatMetricValue(metric, value) {
+    if (value === null || value === undefined || isNaN(value)) {
+        return '-';
+    }
+
+    if (metric.type === 'rate') {
+        return value.toFixed(metric.decimals || 3);
+    }
+
+    if (metric.type === 'innings') {
+        const outs = Math.round(value * 3);
+        return `${Math.floor(outs / 3)}.${outs % 3}`;
+    }
+
+    if (metric.type === 'percent') {
+        return `${(value * 100).toFixed(1)}%`;
+    }
+
+    return String(Math.round(value));
+}
+
+/**
+ * Format a change in a metric value, always signed (+.012, -1.5%, +4)
+ * @param {Object} metric - Metric definition
+ * @param {number} value - Difference between two values
+ * @returns {string} - Formatted difference
+ */
+function formatMetricDelta(metric, value) {
+    if (value === null || value === undefined || isNaN(value)) {
+        return '-';
+    }
+
+    const sign = value > 0 ? '+' : (value < 0 ? '-' : '±');
+    return sign + formatMetricValue(metric, Math.abs(value));
+}
+
+/**
+ * Compute a y-axis range that fits a set of metric values
+ * Rate and percentage stats get a padded window around the data, indexes a window that includes
+ * league average (100), counting stats and innings start at zero
+ * @param {Object} metric - Metric definition
+ * @param {Array<number>} values - Values being charted
+ * @returns {Object} - Object with `min` and `max` (undefined lets Chart.js decide)
+ */
+function getMetricScale(metric, values) {
+    const finite = values.filter(value => Number.isFinite(value));
+
+    if (metric.type === 'count' || metric.type === 'innings' || finite.length === 0) {
+        return { min: 0, max: undefined };
+    }
+
+    const low = Math.min(...finite);
+    const high = Math.max(...finite);
+
+    // Round outward to the nearest 10, keeping league average in view
+    if (metric.type === 'index') {
+        return {
+            min: Math.max(0, Math.floor((Math.min(low, 100) - 5) / 10) * 10),
+            max: Math.ceil((Math.max(high, 100) + 5) / 10) * 10
+        };
+    }
+
+    const padding = Math.max((high - low) * 0.15, 0.010);
+
+    // Round outward to the nearest .010 so the ticks land on readable values
+    return {
+        min: Math.max(0, Math.floor((low - padding) * 100) / 100),
+        max: Math.ceil((high + padding) * 100) / 100
+    };
+}
+
+// Export as global variables
+window.BATTING_METRICS = BATTING_METRICS;
+window.DEFAULT_METRIC = DEFAULT_METRIC;
+window.PROPORTION_COUNTS = PROPORTION_COUNTS;
+window.PITCHING_METRICS = PITCHING_METRICS;
+window.DEFAULT_PITCHING_METRIC = DEFAULT_PITCHING_METRIC;
+window.STAT_GROUPS = STAT_GROUPS;
+window.getMetric = getMetric;
+window.getMetricInterval = getMetricInterval;
+window.getMetricSortDirection = getMetricSortDirection;
+window.formatMetricValue = formatMetricValue;
+window.formatMetricDelta = formatMetricDelta;
+window.getMetricScale = getMetricScale;
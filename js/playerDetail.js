@@ -0,0 +1,394 @@
+/**
+ * Player Detail module
+ * Drill-down panel with a player's game log: cumulative and rolling batting average
+ * over the season, plus the player's biggest games
+ */
+
+const ROLLING_WINDOW = 15;
+
+/**
+ * Compute cumulative and rolling batting average after each game
+ * @param {Array} games - Games in date order (from MlbStatsClient.extractGameLog)
+ * @param {number} windowSize - Number of games in the rolling window
+ * @returns {Array} - One entry per game: { date, cumulativeAvg, rollingAvg }
+ *                    (rollingAvg is null until the window is full)
+ */
+function computeRollingAverages(games, windowSize = ROLLING_WINDOW) {
+    let totalHits = 0;
+    let totalAtBats = 0;
+
+    return games.map((game, index) => {
+        totalHits += game.hits;
+        totalAtBats += game.atBats;
+
+        let rollingAvg = null;
+        if (index >= windowSize - 1) {
+            const window = games.slice(index - windowSize + 1, index + 1);
+            const windowAtBats = window.reduce((sum, item) => sum + item.atBats, 0);
+            const windowHits = window.reduce((sum, item) => sum + item.hits, 0);
+            rollingAvg = windowAtBats > 0 ? windowHits / windowAtBats : null;
+        }
+
+        return {
+            date: game.date,
+            cumulativeAvg: totalAtBats > 0 ? totalHits / totalAtBats : null,
+            rollingAvg: rollingAvg
+        };
+    });
+}
+
+/**
+ * Score a single game: total bases plus RBI plus walks
+ * @param {Object} game - Game record
+ * @returns {number} - Game score
+ */
+function scoreGame(game) {
+    const singles = game.hits - game.doubles - game.triples - game.homeRuns;
+    const totalBases = singles + 2 * game.doubles + 3 * game.triples + 4 * game.homeRuns;
+    return totalBases + game.rbi + game.baseOnBalls;
+}
+
+/**
+ * Find a player's biggest games
+ * @param {Array} games - Game records
+ * @param {number} count - Number of games to return
+ * @returns {Array} - Highest-scoring games (see scoreGame), most hits first on ties
+ */
+function findBiggestGames(games, count = 5) {
+    return [...games]
+        .sort((a, b) => (scoreGame(b) - scoreGame(a)) || (b.hits - a.hits))
+        .slice(0, count);
+}
+
+class PlayerDetailPanel {
+    /**
+     * @param {string} containerId - Element to render the panel in
+     * @param {MlbStatsClient} client - Client used to fetch game logs
+     * @param {Object} options - Panel options
+     * @param {Function} options.onClose - Called when the user closes the panel
+     */
+    constructor(containerId, client, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.client = client;
+        this.onClose = options.onClose || (() => {});
+        this.chart = null;
+
+        // Player and season shown, or null while the panel is closed
+        this.player = null;
+        this.season = null;
+
+        // Controller for the game log request in flight; a new player (or closing the panel)
+        // cancels it so a slow response can't replace a newer one
+        this.abortController = null;
+    }
+
+    /**
+     * Open the panel for a player and load their game log
+     * @param {Object} player - Player record (needs `id` and `name`)
+     * @param {number} season - MLB season year
+     */
+    async show(player, season) {
+        this.player = player;
+        this.season = season;
+        this.container.classList.remove('hidden');
+        this.renderMessage(player, season, 'Loading game log...');
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        return this.load(player, season);
+    }
+
+    /**
+     * Whether the panel is open on a player's game log for a season
+     * @param {number} playerId - Player ID
+     * @param {number} season - MLB season year
+     * @returns {boolean} - True if that game log is shown (or loading)
+     */
+    isShowing(playerId, season) {
+        return this.player !== null && this.player.id === playerId && this.season === season;
+    }
+
+    /**
+     * Redraw the open game log in place (e.g. after its cached copy has been refreshed)
+     */
+    async refresh() {
+        if (this.player === null) return;
+        return this.load(this.player, this.season);
+    }
+
+    /**
+     * Load a player's game log and render it into the open panel
+     * @param {Object} player - Player record
+     * @param {number} season - MLB season year
+     */
+    async load(player, season) {
+        this.abort();
+        const controller = new AbortController();
+        this.abortController = controller;
+
+        try {
+            const response = await this.client.getPlayerGameLog(player, season, { signal: controller.signal });
+            if (controller.signal.aborted) return;
+
+            const games = this.client.extractGameLog(response);
+            if (games.length === 0) {
+                this.renderMessage(player, season, 'No games found for this season.');
+                return;
+            }
+
+            this.render(player, season, games, this.client.getGameLogProvenance(player, season));
+        } catch (error) {
+            if (controller.signal.aborted) return;
+
+            console.error('Error loading game log:', error);
+            this.renderMessage(player, season, `Error loading game log: ${error.message}`);
+        }
+    }
+
+    /**
+     * Close the panel
+     */
+    hide() {
+        this.abort();
+        this.player = null;
+        this.season = null;
+        this.destroyChart();
+        this.container.classList.add('hidden');
+        this.container.innerHTML = '';
+    }
+
+    /**
+     * Cancel the game log request in flight, if any
+     */
+    abort() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+
+    /**
+     * Destroy the game log chart if there is one
+     */
+    destroyChart() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+
+    /**
+     * Build the panel header (player name, team and close button)
+     * @param {Object} player - Player record
+     * @param {number} season - MLB season year
+     * @returns {HTMLElement} - Header element
+     */
+    createHeader(player, season) {
+        const header = document.createElement('div');
+        header.className = 'player-detail-header';
+
+        const title = document.createElement('h2');
+        title.textContent = `${player.name} - ${season} Game Log`;
+
+        const team = document.createElement('span');
+        team.className = 'player-detail-team';
+        team.textContent = player.team;
+        team.style.backgroundColor = resolveTeam(player.teamId, player.team).colors.primary;
+        team.style.color = pickTextColor(resolveTeam(player.teamId, player.team).colors.primary);
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'secondary';
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', () => {
+            this.hide();
+            this.onClose();
+        });
+
+        header.append(title, team, closeButton);
+        return header;
+    }
+
+    /**
+     * Describe where the game log came from, with a warning for sample data
+     * @param {Object} provenance - Provenance from DataSourceManager.load
+     * @returns {HTMLElement} - Source line
+     */
+    createSource(provenance) {
+        const source = document.createElement('p');
+        source.className = 'player-detail-source';
+        source.classList.toggle('fictional', isFictionalData(provenance));
+        source.textContent = isFictionalData(provenance)
+            ? 'Sample game log: these games are generated from the season totals, not real results.'
+            : `Source: ${describeProvenance(provenance)}`;
+        source.title = describeFallbacks(provenance).join('\n');
+        return source;
+    }
+
+    /**
+     * Show a status message in the panel
+     * @param {Object} player - Player record
+     * @param {number} season - MLB season year
+     * @param {string} message - Message text
+     */
+    renderMessage(player, season, message) {
+        this.destroyChart();
+        this.container.innerHTML = '';
+
+        const text = document.createElement('p');
+        text.className = 'player-detail-message';
+        text.textContent = message;
+
+        this.container.append(this.createHeader(player, season), text);
+    }
+
+    /**
+     * Render the game log chart and biggest games
+     * @param {Object} player - Player record
+     * @param {number} season - MLB season year
+     * @param {Array} games - Games in date order
+     * @param {Object} provenance - Where the game log came from (see DataSourceManager.load)
+     */
+    render(player, season, games, provenance) {
+        this.destroyChart();
+        this.container.innerHTML = '';
+
+        const averages = computeRollingAverages(games);
+        const totals = games.reduce((sum, game) => ({
+            hits: sum.hits + game.hits,
+            atBats: sum.atBats + game.atBats,
+            homeRuns: sum.homeRuns + game.homeRuns
+        }), { hits: 0, atBats: 0, homeRuns: 0 });
+
+        const summary = document.createElement('p');
+        summary.className = 'player-detail-summary';
+        summary.textContent = `${games.length} games, ${totals.hits}/${totals.atBats}, ` +
+            `${totals.homeRuns} HR, ${(totals.atBats > 0 ? totals.hits / totals.atBats : 0).toFixed(3)} AVG`;
+
+        const chartWrapper = document.createElement('div');
+        chartWrapper.className = 'player-detail-chart';
+        const canvas = document.createElement('canvas');
+        chartWrapper.appendChild(canvas);
+
+        this.container.append(this.createHeader(player, season), summary);
+        if (provenance) {
+            this.container.appendChild(this.createSource(provenance));
+        }
+        this.container.append(chartWrapper, this.createBiggestGames(games));
+
+        // Team-colored lines, adjusted to stand out against the panel in either theme
+        const teamColors = resolveTeam(player.teamId, player.team).colors;
+        const panel = getThemeColors(this.container).surface;
+        const primary = ensureContrast(teamColors.primary, panel);
+        const secondary = ensureContrast(teamColors.secondary, panel);
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: averages.map(point => point.date),
+                datasets: [{
+                    label: 'Season AVG (cumulative)',
+                    data: averages.map(point => point.cumulativeAvg),
+                    borderColor: primary,
+                    backgroundColor: primary,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    tension: 0.2
+                }, {
+                    label: `${ROLLING_WINDOW}-game rolling AVG`,
+                    data: averages.map(point => point.rollingAvg),
+                    borderColor: secondary,
+                    backgroundColor: secondary,
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    tension: 0.2,
+                    spanGaps: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            afterTitle: (tooltipItems) => {
+                                if (tooltipItems.length === 0) return '';
+                                const game = games[tooltipItems[0].dataIndex];
+                                return `${game.isHome ? 'vs' : '@'} ${game.opponent}: ${game.hits}-for-${game.atBats}` +
+                                    (game.homeRuns > 0 ? `, ${game.homeRuns} HR` : '');
+                            },
+                            label: (tooltipItem) => {
+                                const value = tooltipItem.raw;
+                                return `${tooltipItem.dataset.label}: ${value === null ? '-' : value.toFixed(3)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        ticks: {
+                            callback: value => value.toFixed(3)
+                        },
+                        title: {
+                            display: true,
+                            text: 'Batting Average'
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            maxTicksLimit: 12
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Build the biggest games table
+     * @param {Array} games - Game records
+     * @returns {HTMLElement} - Section element
+     */
+    createBiggestGames(games) {
+        const section = document.createElement('div');
+        section.className = 'player-detail-games';
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Biggest Games';
+
+        const table = document.createElement('table');
+        table.innerHTML = '<thead><tr><th>Date</th><th>Opponent</th><th>H/AB</th><th>2B</th><th>3B</th><th>HR</th><th>RBI</th><th>BB</th></tr></thead>';
+
+        const tbody = document.createElement('tbody');
+        findBiggestGames(games).forEach(game => {
+            const row = document.createElement('tr');
+            [
+                game.date,
+                `${game.isHome ? 'vs' : '@'} ${game.opponent}`,
+                `${game.hits}/${game.atBats}`,
+                game.doubles,
+                game.triples,
+                game.homeRuns,
+                game.rbi,
+                game.baseOnBalls
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+
+        section.append(heading, table);
+        return section;
+    }
+}
+
+// Export as global variables
+window.computeRollingAverages = computeRollingAverages;
+window.findBiggestGames = findBiggestGames;
+window.PlayerDetailPanel = PlayerDetailPanel;
@@ -0,0 +1,512 @@
+/**
+ * Player Table module
+ * Sortable (multi-column), paginated player table with selectable columns
+ */
+
+// Columns shown until the user picks their own, for hitters and for pitchers
+const DEFAULT_TABLE_COLUMNS = ['rank', 'name', 'team', 'atBats', 'hits', 'avg', 'obp', 'slg', 'ops', 'opsPlus', 'iso', 'woba', 'homeRuns', 'rbi'];
+const DEFAULT_PITCHING_TABLE_COLUMNS = ['rank', 'name', 'team', 'gamesPlayed', 'gamesStarted', 'inningsPitched', 'era', 'whip', 'fip', 'strikeOuts', 'baseOnBalls', 'strikeoutsPer9', 'saves'];
+
+const TABLE_PAGE_SIZES = [25, 50, 100];
+
+class PlayerTable {
+    /**
+     * @param {Object} options - Table options
+     * @param {string} options.id - Id for the table container element
+     * @param {Function} options.onSortChange - Called with the new sort keys when the user re-sorts
+     */
+    constructor(options = {}) {
+        this.onSortChange = options.onSortChange || (() => {});
+        this.players = [];
+        this.page = 0;
+        this.pageSize = TABLE_PAGE_SIZES[0];
+        this.visibleColumns = [...DEFAULT_TABLE_COLUMNS];
+        
+        // 'hitting' or 'pitching' (see setStatGroup)
+        this.statGroup = 'hitting';
+
+        // Mode-specific columns (e.g. season comparison), always shown after the team
+        this.extraColumns = [];
+
+        // Sort keys in priority order, each { key, direction: 'asc' | 'desc' }
+        this.sortKeys = [{ key: DEFAULT_METRIC, direction: 'desc' }];
+
+        this.columns = this.buildColumns();
+
+        this.element = document.createElement('div');
+        this.element.id = options.id || 'players-table';
+        this.element.className = 'players-table';
+    }
+
+    /**
+     * Build the list of available columns: player info, any extra columns, then every metric
+     * of the stat group (batting or pitching)
+     * @returns {Array<Object>} - Column definitions with key, label and type
+     */
+    buildColumns() {
+        const countColumns = this.statGroup === 'pitching'
+            ? [
+                { key: 'gamesPlayed', label: 'G', title: 'Games', type: 'count', sortable: true },
+                { key: 'gamesStarted', label: 'GS', title: 'Games Started', type: 'count', sortable: true },
+                { key: 'wins', label: 'W', title: 'Wins', type: 'count', sortable: true },
+                { key: 'losses', label: 'L', title: 'Losses', type: 'count', sortable: true },
+                { key: 'plateAppearances', label: 'BF', title: 'Batters Faced', type: 'count', sortable: true }
+            ]
+            : [
+                { key: 'plateAppearances', label: 'PA', type: 'count', sortable: true },
+                { key: 'atBats', label: 'AB', type: 'count', sortable: true },
+                { key: 'parkFactor', label: 'PF', title: 'Park Factor used by the + stats (100 = neutral)', type: 'count', sortable: true }
+            ];
+
+        return [
+            { key: 'rank', label: 'Rank', type: 'rank', sortable: false },
+            { key: 'name', label: 'Player', type: 'text', sortable: true },
+            { key: 'team', label: 'Team', type: 'team', sortable: true },
+            ...this.extraColumns.map(column => ({ ...column, extra: true, sortable: true })),
+            ...countColumns,
+            ...Object.values(STAT_GROUPS[this.statGroup].metrics).map(metric => ({
+                key: metric.key,
+                label: metric.shortLabel,
+                title: metric.label,
+                type: 'metric',
+                metric: metric,
+                sortable: true
+            }))
+        ];
+    }
+
+    /**
+     * Switch between batting and pitching columns
+     * Resets the shown columns to the group's defaults and sorts by its default metric
+     * @param {string} group - 'hitting' or 'pitching'
+     */
+    setStatGroup(group) {
+        if (!STAT_GROUPS[group] || group === this.statGroup) return;
+
+        this.statGroup = group;
+        this.columns = this.buildColumns();
+        this.visibleColumns = [...(group === 'pitching' ? DEFAULT_PITCHING_TABLE_COLUMNS : DEFAULT_TABLE_COLUMNS)];
+
+        const metric = getMetric(STAT_GROUPS[group].defaultMetric);
+        this.sortKeys = [{ key: metric.key, direction: getMetricSortDirection(metric) }];
+        this.page = 0;
+    }
+
+    /**
+     * Get the current sort keys
+     * @returns {Array<Object>} - Sort keys in priority order
+     */
+    getSortKeys() {
+        return this.sortKeys.map(sortKey => ({ ...sortKey }));
+    }
+
+    /**
+     * Replace the sort keys without notifying the listener
+     * @param {Array<Object>} sortKeys - Sort keys in priority order
+     */
+    setSortKeys(sortKeys) {
+        const known = sortKeys.filter(sortKey => this.columns.some(column => column.key === sortKey.key && column.sortable));
+        if (known.length > 0) {
+            this.sortKeys = known.map(sortKey => ({ key: sortKey.key, direction: sortKey.direction === 'asc' ? 'asc' : 'desc' }));
+            this.page = 0;
+        }
+    }
+
+    /**
+     * Choose which columns are shown
+     * @param {Array<string>} keys - Column keys
+     */
+    setVisibleColumns(keys) {
+        this.visibleColumns = this.columns
+            .map(column => column.key)
+            .filter(key => keys.includes(key));
+        this.render();
+    }
+
+    /**
+     * Replace the mode-specific columns
+     * @param {Array<Object>} columns - Column definitions with key, label, title, type
+     *                                  ('metric', 'delta' or 'percentile') and metric
+     */
+    setExtraColumns(columns) {
+        this.extraColumns = columns;
+        this.columns = this.buildColumns();
+
+        // Drop sort keys on columns that no longer exist
+        const keys = this.columns.map(column => column.key);
+        this.sortKeys = this.sortKeys.filter(sortKey => keys.includes(sortKey.key));
+        if (this.sortKeys.length === 0) {
+            const metric = getMetric(STAT_GROUPS[this.statGroup].defaultMetric);
+            this.sortKeys = [{ key: metric.key, direction: getMetricSortDirection(metric) }];
+        }
+    }
+
+    /**
+     * Make sure a column is shown (e.g. the charted metric)
+     * @param {string} key - Column key
+     */
+    showColumn(key) {
+        if (!this.visibleColumns.includes(key)) {
+            this.setVisibleColumns([...this.visibleColumns, key]);
+        }
+    }
+
+    /**
+     * Compare two players by the current sort keys
+     * Text columns sort alphabetically; missing numbers always sort last
+     * @param {Object} a - Player record
+     * @param {Object} b - Player record
+     * @returns {number} - Negative if a comes first
+     */
+    compare(a, b) {
+        for (const { key, direction } of this.sortKeys) {
+            const valueA = a[key];
+            const valueB = b[key];
+            const missingA = valueA === null || valueA === undefined;
+            const missingB = valueB === null || valueB === undefined;
+
+            if (missingA || missingB) {
+                if (missingA !== missingB) return missingA ? 1 : -1;
+                continue;
+            }
+
+            const result = typeof valueA === 'string'
+                ? valueA.localeCompare(valueB)
+                : valueA - valueB;
+
+            if (result !== 0) {
+                return direction === 'asc' ? result : -result;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Sort players by the current sort keys
+     * @param {Array} players - Player records
+     * @returns {Array} - New sorted array
+     */
+    sortPlayers(players) {
+        return [...players].sort((a, b) => this.compare(a, b));
+    }
+
+    /**
+     * Handle a header click
+     * A plain click sorts by the column alone; shift-click adds it as a further sort key.
+     * Clicking a column that is already sorted flips its direction.
+     * @param {string} key - Column key
+     * @param {boolean} addToSort - True to keep the existing sort keys
+     */
+    toggleSort(key, addToSort) {
+        const existing = this.sortKeys.find(sortKey => sortKey.key === key);
+        const column = this.columns.find(item => item.key === key);
+
+        // Text columns start A-Z, numbers start with the best (highest, or lowest for stats like ERA)
+        const firstDirection = (column.type === 'text' || column.type === 'team' || (column.metric && column.metric.lowerIsBetter))
+            ? 'asc'
+            : 'desc';
+        const direction = existing
+            ? (existing.direction === 'asc' ? 'desc' : 'asc')
+            : firstDirection;
+
+        if (addToSort) {
+            if (existing) {
+                existing.direction = direction;
+            } else {
+                this.sortKeys.push({ key, direction });
+            }
+        } else {
+            this.sortKeys = [{ key, direction }];
+        }
+
+        this.page = 0;
+        this.render();
+        this.onSortChange(this.getSortKeys());
+    }
+
+    /**
+     * Get the columns currently shown
+     * @returns {Array<Object>} - Column definitions in display order
+     */
+    getShownColumns() {
+        return this.columns.filter(column => column.extra || this.visibleColumns.includes(column.key));
+    }
+
+    /**
+     * Get every player in the table in display order (all pages)
+     * @returns {Array} - Sorted player records
+     */
+    getSortedPlayers() {
+        return this.sortPlayers(this.players);
+    }
+
+    /**
+     * Show a new set of players
+     * @param {Array} players - Player records
+     * @param {string} heading - Table heading
+     * @param {Object} notes - Notes keyed by column key (e.g. why a column is blank), shown
+     *                         under the heading while that column is
+     */
+    setPlayers(players, heading, notes = {}) {
+        this.players = players;
+        this.heading = heading;
+        this.notes = notes;
+
+        const pageCount = Math.max(1, Math.ceil(players.length / this.pageSize));
+        this.page = Math.min(this.page, pageCount - 1);
+
+        this.render();
+    }
+
+    /**
+     * Build the table for the current page
+     */
+    render() {
+        this.element.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'players-table-header';
+
+        const tableHeading = document.createElement('h3');
+        tableHeading.textContent = this.heading || '';
+        header.appendChild(tableHeading);
+        header.appendChild(this.createColumnPicker());
+        this.element.appendChild(header);
+
+        const columns = this.getShownColumns();
+        columns.filter(column => this.notes && this.notes[column.key]).forEach(column => {
+            const note = document.createElement('p');
+            note.className = 'players-table-note';
+            note.textContent = this.notes[column.key];
+            this.element.appendChild(note);
+        });
+        const sortedPlayers = this.getSortedPlayers();
+        const start = this.page * this.pageSize;
+        const pagePlayers = sortedPlayers.slice(start, start + this.pageSize);
+
+        const scroller = document.createElement('div');
+        scroller.className = 'players-table-scroll';
+
+        const table = document.createElement('table');
+        table.appendChild(this.createHead(columns));
+
+        const tbody = document.createElement('tbody');
+        pagePlayers.forEach((player, index) => {
+            tbody.appendChild(this.createRow(player, start + index + 1, columns));
+        });
+        table.appendChild(tbody);
+
+        scroller.appendChild(table);
+        this.element.appendChild(scroller);
+        this.element.appendChild(this.createPagination(sortedPlayers.length));
+    }
+
+    /**
+     * Create the header row with sort indicators
+     * @param {Array<Object>} columns - Visible columns
+     * @returns {HTMLElement} - thead element
+     */
+    createHead(columns) {
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+            if (column.title) {
+                th.title = column.title;
+            }
+
+            if (column.sortable) {
+                const sortIndex = this.sortKeys.findIndex(sortKey => sortKey.key === column.key);
+                th.className = 'sortable';
+                th.tabIndex = 0;
+                th.setAttribute('aria-sort', 'none');
+
+                if (sortIndex !== -1) {
+                    const { direction } = this.sortKeys[sortIndex];
+                    const indicator = document.createElement('span');
+                    indicator.className = 'sort-indicator';
+                    indicator.textContent = (direction === 'asc' ? ' ▲' : ' ▼') +
+                        (this.sortKeys.length > 1 ? sortIndex + 1 : '');
+                    th.appendChild(indicator);
+                    th.classList.add('sorted');
+                    if (sortIndex === 0) {
+                        th.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : 'descending');
+                    }
+                }
+
+                th.addEventListener('click', event => this.toggleSort(column.key, event.shiftKey));
+                th.addEventListener('keydown', event => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        this.toggleSort(column.key, event.shiftKey);
+                    }
+                });
+            }
+
+            headerRow.appendChild(th);
+        });
+
+        thead.appendChild(headerRow);
+        return thead;
+    }
+
+    /**
+     * Create a row for a player
+     * @param {Object} player - Player record
+     * @param {number} rank - Position in the current sort order
+     * @param {Array<Object>} columns - Visible columns
+     * @returns {HTMLElement} - tr element
+     */
+    createRow(player, rank, columns) {
+        const row = document.createElement('tr');
+        const primarySortKey = this.sortKeys[0].key;
+
+        // Hitters below the qualification line are listed but set apart
+        if (player.qualified === false) {
+            row.classList.add('below-qualification');
+            row.title = describeQualification(player);
+        }
+
+        columns.forEach(column => {
+            const cell = document.createElement('td');
+
+            switch (column.type) {
+                case 'rank':
+                    cell.textContent = rank;
+                    break;
+                case 'text':
+                    cell.textContent = player[column.key];
+                    cell.className = 'player-name';
+                    break;
+                case 'team':
+                    // Team column with team color, and black or white text for contrast
+                    cell.textContent = player.team;
+                    cell.className = 'team-cell';
+                    cell.style.backgroundColor = resolveTeam(player.teamId, player.team).colors.primary;
+                    cell.style.color = pickTextColor(resolveTeam(player.teamId, player.team).colors.primary);
+                    break;
+                case 'metric':
+                    cell.textContent = formatMetricValue(column.metric, player[column.key]);
+                    break;
+                case 'delta':
+                    cell.textContent = formatMetricDelta(column.metric, player[column.key]);
+                    cell.classList.add(player[column.key] > 0 ? 'delta-up' : (player[column.key] < 0 ? 'delta-down' : 'delta-even'));
+                    break;
+                case 'percentile':
+                    cell.textContent = formatPercentile(player[column.key]);
+                    break;
+                default:
+                    cell.textContent = player[column.key] ?? '-';
+            }
+
+            if (column.type !== 'text' && column.type !== 'team') {
+                cell.classList.add('numeric');
+            }
+            if (column.key === primarySortKey) {
+                cell.classList.add('sorted');
+            }
+
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    /**
+     * Create the column chooser
+     * @returns {HTMLElement} - details element with a checkbox per column
+     */
+    createColumnPicker() {
+        const picker = document.createElement('details');
+        picker.className = 'column-picker';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Columns';
+        picker.appendChild(summary);
+
+        const list = document.createElement('div');
+        list.className = 'column-picker-list';
+
+        this.columns.filter(column => !column.extra).forEach(column => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.visibleColumns.includes(column.key);
+            checkbox.addEventListener('change', () => {
+                const keys = this.visibleColumns.filter(key => key !== column.key);
+                if (checkbox.checked) {
+                    keys.push(column.key);
+                }
+                this.setVisibleColumns(keys);
+                // Keep the chooser open while picking several columns
+                this.element.querySelector('.column-picker').open = true;
+            });
+
+            label.append(checkbox, document.createTextNode(` ${column.title || column.label}`));
+            list.appendChild(label);
+        });
+
+        picker.appendChild(list);
+        return picker;
+    }
+
+    /**
+     * Create pagination controls
+     * @param {number} total - Total number of players
+     * @returns {HTMLElement} - Pagination element
+     */
+    createPagination(total) {
+        const pageCount = Math.max(1, Math.ceil(total / this.pageSize));
+
+        const pagination = document.createElement('div');
+        pagination.className = 'pagination';
+
+        const prevButton = document.createElement('button');
+        prevButton.type = 'button';
+        prevButton.textContent = '‹ Prev';
+        prevButton.disabled = this.page === 0;
+        prevButton.addEventListener('click', () => {
+            this.page--;
+            this.render();
+        });
+
+        const nextButton = document.createElement('button');
+        nextButton.type = 'button';
+        nextButton.textContent = 'Next ›';
+        nextButton.disabled = this.page >= pageCount - 1;
+        nextButton.addEventListener('click', () => {
+            this.page++;
+            this.render();
+        });
+
+        const status = document.createElement('span');
+        const first = total === 0 ? 0 : this.page * this.pageSize + 1;
+        const last = Math.min(total, (this.page + 1) * this.pageSize);
+        status.textContent = `${first}-${last} of ${total} players`;
+
+        const sizeSelect = document.createElement('select');
+        sizeSelect.setAttribute('aria-label', 'Rows per page');
+        TABLE_PAGE_SIZES.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = `${size} per page`;
+            option.selected = size === this.pageSize;
+            sizeSelect.appendChild(option);
+        });
+        sizeSelect.addEventListener('change', () => {
+            this.pageSize = parseInt(sizeSelect.value, 10);
+            this.page = 0;
+            this.render();
+        });
+
+        pagination.append(prevButton, status, nextButton, sizeSelect);
+        return pagination;
+    }
+}
+
+// Export as global variables
+window.DEFAULT_TABLE_COLUMNS = DEFAULT_TABLE_COLUMNS;
+window.DEFAULT_PITCHING_TABLE_COLUMNS = DEFAULT_PITCHING_TABLE_COLUMNS;
+window.PlayerTable = PlayerTable;
@@ -0,0 +1,113 @@
+/**
+ * Data Provenance module
+ * Describes where a dataset came from (live API, bundled file or mock data), when it was loaded
+ * and why any preferred sources were skipped, and shows it in a badge next to the chart
+ */
+
+// Sources whose numbers are made up; their data is always flagged as fictional
+const FICTIONAL_SOURCES = ['mock'];
+
+// Short badge text per source
+const SOURCE_BADGE_LABELS = {
+    live: 'Live API',
+    local: 'Local file',
+    mock: 'Sample data (fictional)'
+};
+
+/**
+ * Check whether a dataset is fictional fallback data
+ * @param {Object} provenance - Provenance from DataSourceManager.load
+ * @returns {boolean} - True for mock data
+ */
+function isFictionalData(provenance) {
+    return !!provenance && FICTIONAL_SOURCES.includes(provenance.source);
+}
+
+/**
+ * Format a load time for display
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} - Local date and time, e.g. "Oct 19, 2026, 2:31 PM"
+ */
+function formatLoadedAt(timestamp) {
+    return new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Describe a dataset's source and load time
+ * @param {Object} provenance - Provenance from DataSourceManager.load
+ * @returns {string} - e.g. "Bundled season file, loaded Oct 19, 2026, 2:31 PM"
+ */
+function describeProvenance(provenance) {
+    return `${provenance.label}, loaded ${formatLoadedAt(provenance.loadedAt)}`;
+}
+
+/**
+ * Describe why the preferred sources weren't used
+ * @param {Object} provenance - Provenance from DataSourceManager.load
+ * @returns {Array<string>} - One line per skipped source, e.g. "MLB Stats API: Failed to fetch"
+ */
+function describeFallbacks(provenance) {
+    return (provenance.fallbacks || []).map(fallback => `${fallback.label}: ${fallback.reason}`);
+}
+
+/**
+ * Describe the seasons that failed to load
+ * @param {Object} provenance - Provenance from DataSourceManager.load, with `missingSeasons`
+ *                              for multi-season datasets
+ * @returns {string} - e.g. "No data for 1901-1903, 1950", or '' when nothing is missing
+ */
+function describeMissingSeasons(provenance) {
+    const seasons = [...(provenance.missingSeasons || [])].sort((a, b) => a - b);
+    if (seasons.length === 0) return '';
+
+    // Collapse consecutive seasons into ranges
+    const ranges = [];
+    seasons.forEach(season => {
+        const last = ranges[ranges.length - 1];
+        if (last && season === last[1] + 1) {
+            last[1] = season;
+        } else {
+            ranges.push([season, season]);
+        }
+    });
+    return `No data for ${ranges.map(([first, end]) => first === end ? first : `${first}-${end}`).join(', ')}`;
+}
+
+class ProvenanceBadge {
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.className = 'provenance-badge hidden';
+    }
+
+    /**
+     * Show where the charted data came from
+     * @param {Array<Object>} entries - `{ season, provenance }` for each season on screen
+     */
+    update(entries) {
+        this.element.innerHTML = '';
+        this.element.classList.toggle('hidden', entries.length === 0);
+
+        entries.forEach(({ season, provenance }) => {
+            const chip = document.createElement('span');
+            chip.className = 'provenance-chip';
+            chip.classList.toggle('fictional', isFictionalData(provenance));
+            chip.dataset.source = provenance.source;
+
+            // Seasons are only needed to tell two datasets apart (comparisons)
+            const label = SOURCE_BADGE_LABELS[provenance.source] || provenance.label;
+            chip.textContent = entries.length > 1 ? `${season}: ${label}` : label;
+            chip.title = [describeProvenance(provenance), ...describeFallbacks(provenance), describeMissingSeasons(provenance)]
+                .filter(Boolean).join('\n');
+
+            this.element.appendChild(chip);
+        });
+    }
+}
+
+// Export as global variables
+window.isFictionalData = isFictionalData;
+window.formatLoadedAt = formatLoadedAt;
+window.describeProvenance = describeProvenance;
+window.describeFallbacks = describeFallbacks;
+window.describeMissingSeasons = describeMissingSeasons;
+window.ProvenanceBadge = ProvenanceBadge;
@@ -0,0 +1,103 @@
+/**
+ * Qualification module
+ * The rate-stat qualification line (3.1 plate appearances per team game) and the player pool
+ * choices (qualified, all or rookie hitters)
+ */
+
+// Plate appearances per team game needed to qualify for the batting title
+const PA_PER_TEAM_GAME = 3.1;
+
+// Regular season length, used for teams without a games-played count
+const FULL_SEASON_GAMES = 162;
+
+// Player pools offered in the pool selector (values match the Stats API `playerPool` parameter)
+const PLAYER_POOLS = {
+    qualified: 'Qualified hitters',
+    all: 'All hitters',
+    rookies: 'Rookies'
+};
+
+/**
+ * Get the plate appearances needed to qualify after a number of team games
+ * @param {number} teamGames - Games the player's team has played
+ * @returns {number} - Qualifying plate appearances (502 for a full 162-game season)
+ */
+function getQualifyingPlateAppearances(teamGames) {
+    return Math.round(teamGames * PA_PER_TEAM_GAME);
+}
+
+/**
+ * Extract each team's games played from a team stats response
+ * @param {Object} data - Stats API team stats response, or a bundled/mock file
+ *                        (`{ teamGames: [{ teamId, team, gamesPlayed }] }`)
+ * @returns {Object} - Games played keyed by registry team ID
+ */
+function extractTeamGames(data) {
+    const rows = data && data.stats && data.stats[0]
+        ? (data.stats[0].splits || []).map(split => ({
+            teamId: split.team && split.team.id,
+            team: split.team && split.team.name,
+            gamesPlayed: split.stat && split.stat.gamesPlayed
+        }))
+        : (data && data.teamGames) || [];
+
+    const teamGames = {};
+    rows.forEach(row => {
+        const team = resolveTeam(row.teamId, row.team);
+        const games = parseInt(row.gamesPlayed, 10);
+        if (team.id !== null && games > 0) {
+            teamGames[team.id] = games;
+        }
+    });
+    return teamGames;
+}
+
+/**
+ * Mark each player as above or below the qualification line
+ * @param {Array} players - Player records
+ * @param {Object|null} qualification - How to draw the line, or null when the data source
+ *                                      already limited the players to qualified hitters
+ * @param {number|null} qualification.minPlateAppearances - Custom threshold for every player
+ *                                                          (null for 3.1 PA per team game)
+ * @param {Object} qualification.teamGames - Games played keyed by team ID (see extractTeamGames);
+ *                                           teams missing from it use the most games any team has played
+ * @returns {Array} - Copies of the players with `qualified` (boolean) and
+ *                    `qualifyingPlateAppearances` (the player's line, or null)
+ */
+function markQualification(players, qualification) {
+    if (!qualification) {
+        return players.map(player => ({ ...player, qualified: true, qualifyingPlateAppearances: null }));
+    }
+
+    const teamGames = qualification.teamGames || {};
+    const mostGames = Math.max(0, ...Object.values(teamGames)) || FULL_SEASON_GAMES;
+
+    return players.map(player => {
+        const line = qualification.minPlateAppearances !== null && qualification.minPlateAppearances !== undefined
+            ? qualification.minPlateAppearances
+            : getQualifyingPlateAppearances(teamGames[player.teamId] || mostGames);
+
+        // Older data without plate appearances falls back to at-bats
+        const plateAppearances = player.plateAppearances || player.atBats;
+        return { ...player, qualified: plateAppearances >= line, qualifyingPlateAppearances: line };
+    });
+}
+
+/**
+ * Describe why a player is below the qualification line
+ * @param {Object} player - Player record marked by markQualification
+ * @returns {string} - e.g. "Below the qualification line (312 of 446 PA)", or '' for qualified players
+ */
+function describeQualification(player) {
+    if (player.qualified !== false) return '';
+    return `Below the qualification line (${player.plateAppearances || player.atBats} of ${player.qualifyingPlateAppearances} PA)`;
+}
+
+// Export as global variables
+window.PA_PER_TEAM_GAME = PA_PER_TEAM_GAME;
+window.FULL_SEASON_GAMES = FULL_SEASON_GAMES;
+window.PLAYER_POOLS = PLAYER_POOLS;
+window.getQualifyingPlateAppearances = getQualifyingPlateAppearances;
+window.extractTeamGames = extractTeamGames;
+window.markQualification = markQualification;
+window.describeQualification = describeQualification;
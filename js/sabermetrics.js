@@ -0,0 +1,158 @@
+/**
+ * Sabermetrics module
+ * Derives advanced batting stats (ISO, BABIP, BB%, K%, wOBA, runs created) and
+ * pitching stats (FIP) from the raw counts on each player record
+ */
+
+// wOBA linear weights and league wOBA by season, from the FanGraphs "Guts!" table.
+// Seasons without an entry borrow the latest season's weights (see describeBorrowedWeights).
+const WOBA_WEIGHTS = {
+    2019: { wBB: 0.690, wHBP: 0.719, w1B: 0.870, w2B: 1.217, w3B: 1.529, wHR: 1.940, leagueWoba: 0.320 },
+    2020: { wBB: 0.699, wHBP: 0.728, w1B: 0.883, w2B: 1.238, w3B: 1.558, wHR: 1.979, leagueWoba: 0.320 },
+    2021: { wBB: 0.692, wHBP: 0.722, w1B: 0.879, w2B: 1.242, w3B: 1.568, wHR: 2.007, leagueWoba: 0.314 },
+    2022: { wBB: 0.689, wHBP: 0.720, w1B: 0.884, w2B: 1.261, w3B: 1.601, wHR: 2.072, leagueWoba: 0.310 },
+    2023: { wBB: 0.696, wHBP: 0.726, w1B: 0.883, w2B: 1.244, w3B: 1.569, wHR: 2.004, leagueWoba: 0.318 },
+    2024: { wBB: 0.689, wHBP: 0.720, w1B: 0.882, w2B: 1.254, w3B: 1.590, wHR: 2.050, leagueWoba: 0.310 },
+    2025: { wBB: 0.691, wHBP: 0.722, w1B: 0.882, w2B: 1.252, w3B: 1.584, wHR: 2.037, leagueWoba: 0.313 }
+};
+
+// FIP constant by season (puts FIP on the league ERA scale), from the same table; seasons
+// without an entry borrow the latest season's
+const FIP_CONSTANTS = {
+    2019: 3.214,
+    2020: 3.191,
+    2021: 3.170,
+    2022: 3.112,
+    2023: 3.255,
+    2024: 3.166,
+    2025: 3.135
+};
+
+/**
+ * Find the season whose entry a table uses for a season
+ * @param {Object} table - Values keyed by season year
+ * @param {number} season - MLB season year
+ * @returns {number} - The season itself, or the latest season in the table if it isn't there
+ */
+function getTableSeason(table, season) {
+    const year = parseInt(season, 10);
+    return table[year] !== undefined ? year : Math.max(...Object.keys(table).map(Number));
+}
+
+/**
+ * Get the wOBA weights for a season
+ * @param {number} season - MLB season year
+ * @returns {Object} - Linear weights for the season, or the latest season's if WOBA_WEIGHTS doesn't have it
+ */
+function getWobaWeights(season) {
+    return WOBA_WEIGHTS[getTableSeason(WOBA_WEIGHTS, season)];
+}
+
+/**
+ * Note that a season's wOBA (hitting) or FIP (pitching) uses another season's weights
+ * @param {number} season - MLB season year
+ * @param {string} statGroup - 'hitting' or 'pitching'
+ * @returns {string} - e.g. "wOBA for 2026 uses 2025 weights (tabled for 2019-2025)",
+ *                     or '' if the season is in the table
+ */
+function describeBorrowedWeights(season, statGroup) {
+    const [table, stat, values] = statGroup === 'pitching'
+        ? [FIP_CONSTANTS, 'FIP', 'constant']
+        : [WOBA_WEIGHTS, 'wOBA', 'weights'];
+    const tableSeason = getTableSeason(table, season);
+    if (tableSeason === parseInt(season, 10)) return '';
+
+    const seasons = Object.keys(table).map(Number);
+    return `${stat} for ${season} uses ${tableSeason} ${values} (tabled for ${Math.min(...seasons)}-${Math.max(...seasons)})`;
+}
+
+/**
+ * Divide, returning null instead of NaN/Infinity for an empty denominator
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number|null} - Quotient or null
+ */
+function safeRatio(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Compute derived stats for a player
+ * @param {Object} player - Player record with raw counts (see MlbStatsClient.parseBattingNumbers)
+ * @param {number} season - MLB season year (selects the wOBA weights)
+ * @returns {Object} - Derived fields: iso, babip, walkRate, strikeoutRate, woba, runsCreated
+ */
+function computeSabermetrics(player, season) {
+    const {
+        atBats, hits, doubles, triples, homeRuns,
+        baseOnBalls, intentionalWalks = 0, hitByPitch = 0, sacFlies = 0, strikeOuts
+    } = player;
+
+    const singles = hits - doubles - triples - homeRuns;
+    const totalBases = singles + 2 * doubles + 3 * triples + 4 * homeRuns;
+    const unintentionalWalks = baseOnBalls - intentionalWalks;
+
+    // Fall back to the PA components if the source didn't report plate appearances
+    const plateAppearances = player.plateAppearances || (atBats + baseOnBalls + hitByPitch + sacFlies);
+
+    const weights = getWobaWeights(season);
+    const wobaNumerator =
+        weights.wBB * unintentionalWalks +
+        weights.wHBP * hitByPitch +
+        weights.w1B * singles +
+        weights.w2B * doubles +
+        weights.w3B * triples +
+        weights.wHR * homeRuns;
+
+    return {
+        // Isolated power: extra bases per at-bat
+        iso: safeRatio(totalBases - hits, atBats),
+        // Batting average on balls in play
+        babip: safeRatio(hits - homeRuns, atBats - strikeOuts - homeRuns + sacFlies),
+        walkRate: safeRatio(baseOnBalls, plateAppearances),
+        strikeoutRate: safeRatio(strikeOuts, plateAppearances),
+        woba: safeRatio(wobaNumerator, atBats + unintentionalWalks + sacFlies + hitByPitch),
+        // Bill James' basic runs created
+        runsCreated: safeRatio((hits + baseOnBalls) * totalBases, atBats + baseOnBalls)
+    };
+}
+
+/**
+ * Add derived stats to a player record
+ * @param {Object} player - Player record with raw counts
+ * @param {number} season - MLB season year
+ * @returns {Object} - New record with the derived fields merged in
+ */
+function withSabermetrics(player, season) {
+    return {
+        ...player,
+        ...computeSabermetrics(player, season)
+    };
+}
+
+/**
+ * Add derived pitching stats to a pitcher record
+ * @param {Object} pitcher - Pitcher record with raw counts (see MlbStatsClient.parsePitchingNumbers)
+ * @param {number} season - MLB season year (selects the FIP constant)
+ * @returns {Object} - New record with `fip` merged in
+ */
+function withPitchingSabermetrics(pitcher, season) {
+    const { homeRuns, baseOnBalls, hitByPitch = 0, strikeOuts, inningsPitched } = pitcher;
+    const fipRuns = safeRatio(13 * homeRuns + 3 * (baseOnBalls + hitByPitch) - 2 * strikeOuts, inningsPitched);
+    const fipConstant = FIP_CONSTANTS[getTableSeason(FIP_CONSTANTS, season)];
+
+    return {
+        ...pitcher,
+        // Fielding independent pitching: runs charged only for what the defense can't affect
+        fip: fipRuns === null ? null : fipRuns + fipConstant
+    };
+}
+
+// Export as global variables
+window.WOBA_WEIGHTS = WOBA_WEIGHTS;
+window.FIP_CONSTANTS = FIP_CONSTANTS;
+window.getWobaWeights = getWobaWeights;
+window.describeBorrowedWeights = describeBorrowedWeights;
+window.computeSabermetrics = computeSabermetrics;
+window.withSabermetrics = withSabermetrics;
+window.withPitchingSabermetrics = withPitchingSabermetrics;
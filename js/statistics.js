@@ -0,0 +1,191 @@
+/**
+ * Statistics module
+ * Small numeric helpers (regression, quantiles, histograms, percentile ranks, confidence intervals)
+ * used by the chart views
+ */
+
+/**
+ * Fit a least-squares line through a set of points
+ * @param {Array<Object>} points - Points with numeric `x` and `y`; non-finite points are ignored
+ * @returns {Object|null} - `slope`, `intercept` and `r2` (coefficient of determination),
+ *                          or null with fewer than two points or no spread in x
+ */
+function linearRegression(points) {
+    const usable = points.filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+    const n = usable.length;
+    if (n < 2) return null;
+
+    const meanX = usable.reduce((sum, point) => sum + point.x, 0) / n;
+    const meanY = usable.reduce((sum, point) => sum + point.y, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    usable.forEach(point => {
+        const dx = point.x - meanX;
+        const dy = point.y - meanY;
+        sxx += dx * dx;
+        sxy += dx * dy;
+        syy += dy * dy;
+    });
+
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    return {
+        slope: slope,
+        intercept: meanY - slope * meanX,
+        // A flat y has nothing to explain; report it as no fit rather than dividing by zero
+        r2: syy === 0 ? 0 : (sxy * sxy) / (sxx * syy)
+    };
+}
+
+/**
+ * Interpolated quantile of sorted values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Quantile between 0 and 1 (0.5 is the median)
+ * @returns {number|null} - Quantile, or null for an empty list
+ */
+function quantile(sorted, p) {
+    if (sorted.length === 0) return null;
+
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Five-number summary for a box plot
+ * Whiskers reach the furthest values within 1.5 IQR of the box; anything beyond is an outlier
+ * @param {Array<number>} values - Values in any order; non-finite values are ignored
+ * @returns {Object|null} - count, mean, min, q1, median, q3, max, lowerWhisker, upperWhisker
+ *                          and outliers, or null if there are no values
+ */
+function summarizeDistribution(values) {
+    const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const fence = 1.5 * (q3 - q1);
+    const inside = sorted.filter(value => value >= q1 - fence && value <= q3 + fence);
+
+    return {
+        count: sorted.length,
+        mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+        min: sorted[0],
+        q1: q1,
+        median: quantile(sorted, 0.5),
+        q3: q3,
+        max: sorted[sorted.length - 1],
+        lowerWhisker: inside[0],
+        upperWhisker: inside[inside.length - 1],
+        outliers: sorted.filter(value => value < q1 - fence || value > q3 + fence)
+    };
+}
+
+/**
+ * Split values into equal-width bins
+ * @param {Array<number>} values - Values in any order; non-finite values are ignored
+ * @param {number} binCount - Number of bins
+ * @returns {Array<Object>} - Bins with `start`, `end` and `count`; the last bin includes its end
+ */
+function buildHistogram(values, binCount) {
+    const finite = values.filter(value => Number.isFinite(value));
+    if (finite.length === 0) return [];
+
+    const low = Math.min(...finite);
+    const high = Math.max(...finite);
+    const count = Math.max(1, Math.round(binCount));
+    const width = (high - low) / count || 1;
+
+    const bins = Array.from({ length: count }, (_, index) => ({
+        start: low + index * width,
+        end: low + (index + 1) * width,
+        count: 0
+    }));
+
+    finite.forEach(value => {
+        const index = Math.min(count - 1, Math.floor((value - low) / width));
+        bins[index].count++;
+    });
+
+    return bins;
+}
+
+/**
+ * Percentile rank of a value within a set of values
+ * Counts values below it plus half of the ties, so the middle of the pack is the 50th
+ * @param {Array<number>} values - Values in any order; non-finite values are ignored
+ * @param {number} value - Value to rank
+ * @returns {number|null} - Percentile rank from 0 to 100, or null if it can't be ranked
+ */
+function percentileRank(values, value) {
+    const finite = values.filter(item => Number.isFinite(item));
+    if (finite.length === 0 || !Number.isFinite(value)) return null;
+
+    const below = finite.filter(item => item < value).length;
+    const equal = finite.filter(item => item === value).length;
+    return 100 * (below + equal / 2) / finite.length;
+}
+
+/**
+ * Format a percentile rank as an ordinal ("1st", "52nd", "99th")
+ * @param {number} percentile - Percentile rank from 0 to 100
+ * @returns {string} - Ordinal, or '-' if missing
+ */
+function formatPercentile(percentile) {
+    if (percentile === null || percentile === undefined || isNaN(percentile)) {
+        return '-';
+    }
+
+    // Clamp to 1-99 so the extremes read as "1st" and "99th"
+    const rounded = Math.min(99, Math.max(1, Math.round(percentile)));
+    const lastTwo = rounded % 100;
+    const suffix = (lastTwo >= 11 && lastTwo <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[rounded % 10] || 'th');
+    return `${rounded}${suffix}`;
+}
+
+/**
+ * Wilson score interval for a proportion
+ * Unlike the textbook p ± z·√(p(1-p)/n), it stays within 0-1 and holds up for small samples
+ * and rates near 0 or 1
+ * @param {number} successes - Successes (e.g. hits)
+ * @param {number} trials - Trials (e.g. at-bats)
+ * @param {number} z - Standard normal quantile for the confidence level (default 1.96, 95%)
+ * @returns {Object|null} - `lower` and `upper` bounds, or null without any trials
+ */
+function wilsonInterval(successes, trials, z = 1.96) {
+    if (!(trials > 0) || !Number.isFinite(successes)) return null;
+
+    const p = Math.min(1, Math.max(0, successes / trials));
+    const z2 = z * z;
+    const center = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+    const margin = (z / (1 + z2 / trials)) * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials));
+    return {
+        lower: Math.max(0, center - margin),
+        upper: Math.min(1, center + margin)
+    };
+}
+
+/**
+ * Whether two intervals share any values
+ * Used as a rough test that two rates aren't distinguishable from each other
+ * @param {Object} a - Interval with `lower` and `upper`
+ * @param {Object} b - Interval with `lower` and `upper`
+ * @returns {boolean} - True if they overlap; false if either is missing
+ */
+function intervalsOverlap(a, b) {
+    return Boolean(a && b) && a.lower <= b.upper && b.lower <= a.upper;
+}
+
+// Export as global variables
+window.linearRegression = linearRegression;
+window.quantile = quantile;
+window.summarizeDistribution = summarizeDistribution;
+window.buildHistogram = buildHistogram;
+window.percentileRank = percentileRank;
+window.formatPercentile = formatPercentile;
+window.wilsonInterval = wilsonInterval;
+window.intervalsOverlap = intervalsOverlap;
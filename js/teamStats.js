@@ -0,0 +1,68 @@
+/**
+ * Team Stats module
+ * Aggregates individual hitters into team batting lines
+ */
+
+// Counting stats summed across a team's hitters; rate stats are recomputed from the totals
+const TEAM_COUNT_FIELDS = [
+    'plateAppearances', 'atBats', 'hits', 'doubles', 'triples', 'homeRuns', 'rbi',
+    'baseOnBalls', 'intentionalWalks', 'hitByPitch', 'sacFlies', 'strikeOuts', 'stolenBases'
+];
+
+/**
+ * Combine one team's hitters into a single batting line
+ * @param {string} teamName - Team name
+ * @param {Array} players - The team's player records
+ * @param {number} season - MLB season year (selects the wOBA weights)
+ * @returns {Object} - Team record shaped like a player record (`name` is the team name),
+ *                     plus `players` (contributors, best first by PA) and `playerCount`.
+ *                     Indexed stats are added when the hitters have them (see adjustPlayers)
+ */
+function aggregateTeamBatting(teamName, players, season) {
+    const totals = {};
+    TEAM_COUNT_FIELDS.forEach(field => {
+        totals[field] = players.reduce((sum, player) => sum + (player[field] || 0), 0);
+    });
+
+    const { atBats, hits, doubles, triples, homeRuns, baseOnBalls, hitByPitch, sacFlies } = totals;
+    const totalBases = hits + doubles + 2 * triples + 3 * homeRuns;
+    const onBaseDenominator = atBats + baseOnBalls + hitByPitch + sacFlies;
+
+    const avg = atBats > 0 ? hits / atBats : 0;
+    const obp = onBaseDenominator > 0 ? (hits + baseOnBalls + hitByPitch) / onBaseDenominator : 0;
+    const slg = atBats > 0 ? totalBases / atBats : 0;
+
+    const line = withSabermetrics({
+        id: teamName,
+        name: teamName,
+        team: teamName,
+        teamId: players.length > 0 ? players[0].teamId : null,
+        ...totals,
+        avg: avg,
+        obp: obp,
+        slg: slg,
+        ops: obp + slg,
+        playerCount: players.length,
+        players: [...players].sort((a, b) => (b.plateAppearances || b.atBats) - (a.plateAppearances || a.atBats))
+    }, season);
+
+    // Indexed stats use the league line (and home park) the hitters were measured against
+    const [first] = players;
+    return first && first.leagueAverages ? withAdjustedStats(line, first.leagueAverages, first.parkFactor) : line;
+}
+
+/**
+ * Build team batting lines from grouped players
+ * @param {Object} playersByTeam - Team names mapped to player arrays (see BattingVisualizer.groupPlayersByTeam)
+ * @param {number} season - MLB season year
+ * @returns {Array} - One team record per team (see aggregateTeamBatting)
+ */
+function aggregateTeams(playersByTeam, season) {
+    return Object.keys(playersByTeam).map(teamName =>
+        aggregateTeamBatting(teamName, playersByTeam[teamName], season));
+}
+
+// Export as global variables
+window.TEAM_COUNT_FIELDS = TEAM_COUNT_FIELDS;
+window.aggregateTeamBatting = aggregateTeamBatting;
+window.aggregateTeams = aggregateTeams;
@@ -0,0 +1,233 @@
+/**
+ * MLB Teams
+ * Team registry keyed by MLB Stats API team ID, with league, division, venue,
+ * historical names/aliases and colors, plus lookups by ID, name or abbreviation
+ */
+
+const MLB_TEAMS = {
+    // American League East
+    110: {
+        id: 110, name: "Baltimore Orioles", abbreviation: "BAL", league: "AL", division: "AL East",
+        venue: "Oriole Park at Camden Yards", aliases: ["Orioles"],
+        colors: { primary: "#DF4601", secondary: "#000000" }
+    },
+    111: {
+        id: 111, name: "Boston Red Sox", abbreviation: "BOS", league: "AL", division: "AL East",
+        venue: "Fenway Park", aliases: ["Red Sox"],
+        colors: { primary: "#BD3039", secondary: "#0C2340" }
+    },
+    147: {
+        id: 147, name: "New York Yankees", abbreviation: "NYY", league: "AL", division: "AL East",
+        venue: "Yankee Stadium", aliases: ["Yankees"],
+        colors: { primary: "#0C2340", secondary: "#FFFFFF" }
+    },
+    139: {
+        id: 139, name: "Tampa Bay Rays", abbreviation: "TB", league: "AL", division: "AL East",
+        venue: "Tropicana Field", aliases: ["Rays", "Tampa Bay Devil Rays", "TBR"],
+        colors: { primary: "#092C5C", secondary: "#8FBCE6" }
+    },
+    141: {
+        id: 141, name: "Toronto Blue Jays", abbreviation: "TOR", league: "AL", division: "AL East",
+        venue: "Rogers Centre", aliases: ["Blue Jays"],
+        colors: { primary: "#134A8E", secondary: "#1D2D5C" }
+    },
+
+    // American League Central
+    145: {
+        id: 145, name: "Chicago White Sox", abbreviation: "CWS", league: "AL", division: "AL Central",
+        venue: "Rate Field", aliases: ["White Sox", "CHW"],
+        colors: { primary: "#27251F", secondary: "#C4CED4" }
+    },
+    114: {
+        id: 114, name: "Cleveland Guardians", abbreviation: "CLE", league: "AL", division: "AL Central",
+        venue: "Progressive Field", aliases: ["Guardians", "Cleveland Indians", "Indians"],
+        colors: { primary: "#00385D", secondary: "#E50022" }
+    },
+    116: {
+        id: 116, name: "Detroit Tigers", abbreviation: "DET", league: "AL", division: "AL Central",
+        venue: "Comerica Park", aliases: ["Tigers"],
+        colors: { primary: "#0C2340", secondary: "#FA4616" }
+    },
+    118: {
+        id: 118, name: "Kansas City Royals", abbreviation: "KC", league: "AL", division: "AL Central",
+        venue: "Kauffman Stadium", aliases: ["Royals", "KCR"],
+        colors: { primary: "#004687", secondary: "#BD9B60" }
+    },
+    142: {
+        id: 142, name: "Minnesota Twins", abbreviation: "MIN", league: "AL", division: "AL Central",
+        venue: "Target Field", aliases: ["Twins"],
+        colors: { primary: "#002B5C", secondary: "#D31145" }
+    },
+
+    // American League West
+    117: {
+        id: 117, name: "Houston Astros", abbreviation: "HOU", league: "AL", division: "AL West",
+        venue: "Daikin Park", aliases: ["Astros"],
+        colors: { primary: "#002D62", secondary: "#EB6E1F" }
+    },
+    108: {
+        id: 108, name: "Los Angeles Angels", abbreviation: "LAA", league: "AL", division: "AL West",
+        venue: "Angel Stadium", aliases: ["Angels", "Los Angeles Angels of Anaheim", "Anaheim Angels", "California Angels", "ANA"],
+        colors: { primary: "#BA0021", secondary: "#003263" }
+    },
+    133: {
+        id: 133, name: "Athletics", abbreviation: "ATH", league: "AL", division: "AL West",
+        venue: "Sutter Health Park", aliases: ["Oakland Athletics", "A's", "Oakland A's", "OAK"],
+        colors: { primary: "#003831", secondary: "#EFB21E" }
+    },
+    136: {
+        id: 136, name: "Seattle Mariners", abbreviation: "SEA", league: "AL", division: "AL West",
+        venue: "T-Mobile Park", aliases: ["Mariners"],
+        colors: { primary: "#0C2C56", secondary: "#005C5C" }
+    },
+    140: {
+        id: 140, name: "Texas Rangers", abbreviation: "TEX", league: "AL", division: "AL West",
+        venue: "Globe Life Field", aliases: ["Rangers"],
+        colors: { primary: "#003278", secondary: "#C0111F" }
+    },
+
+    // National League East
+    144: {
+        id: 144, name: "Atlanta Braves", abbreviation: "ATL", league: "NL", division: "NL East",
+        venue: "Truist Park", aliases: ["Braves"],
+        colors: { primary: "#CE1141", secondary: "#13274F" }
+    },
+    146: {
+        id: 146, name: "Miami Marlins", abbreviation: "MIA", league: "NL", division: "NL East",
+        venue: "loanDepot park", aliases: ["Marlins", "Florida Marlins", "FLA"],
+        colors: { primary: "#00A3E0", secondary: "#FF6600" }
+    },
+    121: {
+        id: 121, name: "New York Mets", abbreviation: "NYM", league: "NL", division: "NL East",
+        venue: "Citi Field", aliases: ["Mets"],
+        colors: { primary: "#002D72", secondary: "#FF5910" }
+    },
+    143: {
+        id: 143, name: "Philadelphia Phillies", abbreviation: "PHI", league: "NL", division: "NL East",
+        venue: "Citizens Bank Park", aliases: ["Phillies"],
+        colors: { primary: "#E81828", secondary: "#002D72" }
+    },
+    120: {
+        id: 120, name: "Washington Nationals", abbreviation: "WSH", league: "NL", division: "NL East",
+        venue: "Nationals Park", aliases: ["Nationals", "Montreal Expos", "WSN"],
+        colors: { primary: "#AB0003", secondary: "#14225A" }
+    },
+
+    // National League Central
+    112: {
+        id: 112, name: "Chicago Cubs", abbreviation: "CHC", league: "NL", division: "NL Central",
+        venue: "Wrigley Field", aliases: ["Cubs"],
+        colors: { primary: "#0E3386", secondary: "#CC3433" }
+    },
+    113: {
+        id: 113, name: "Cincinnati Reds", abbreviation: "CIN", league: "NL", division: "NL Central",
+        venue: "Great American Ball Park", aliases: ["Reds"],
+        colors: { primary: "#C6011F", secondary: "#000000" }
+    },
+    158: {
+        id: 158, name: "Milwaukee Brewers", abbreviation: "MIL", league: "NL", division: "NL Central",
+        venue: "American Family Field", aliases: ["Brewers"],
+        colors: { primary: "#0A2351", secondary: "#B6922E" }
+    },
+    134: {
+        id: 134, name: "Pittsburgh Pirates", abbreviation: "PIT", league: "NL", division: "NL Central",
+        venue: "PNC Park", aliases: ["Pirates"],
+        colors: { primary: "#27251F", secondary: "#FDB827" }
+    },
+    138: {
+        id: 138, name: "St. Louis Cardinals", abbreviation: "STL", league: "NL", division: "NL Central",
+        venue: "Busch Stadium", aliases: ["Cardinals", "Saint Louis Cardinals"],
+        colors: { primary: "#C41E3A", secondary: "#0C2340" }
+    },
+
+    // National League West
+    109: {
+        id: 109, name: "Arizona Diamondbacks", abbreviation: "AZ", league: "NL", division: "NL West",
+        venue: "Chase Field", aliases: ["Diamondbacks", "D-backs", "ARI"],
+        colors: { primary: "#A71930", secondary: "#E3D4AD" }
+    },
+    115: {
+        id: 115, name: "Colorado Rockies", abbreviation: "COL", league: "NL", division: "NL West",
+        venue: "Coors Field", aliases: ["Rockies"],
+        colors: { primary: "#33006F", secondary: "#C4CED4" }
+    },
+    119: {
+        id: 119, name: "Los Angeles Dodgers", abbreviation: "LAD", league: "NL", division: "NL West",
+        venue: "Dodger Stadium", aliases: ["Dodgers"],
+        colors: { primary: "#005A9C", secondary: "#FFFFFF" }
+    },
+    135: {
+        id: 135, name: "San Diego Padres", abbreviation: "SD", league: "NL", division: "NL West",
+        venue: "Petco Park", aliases: ["Padres", "SDP"],
+        colors: { primary: "#2F241D", secondary: "#FFC425" }
+    },
+    137: {
+        id: 137, name: "San Francisco Giants", abbreviation: "SF", league: "NL", division: "NL West",
+        venue: "Oracle Park", aliases: ["Giants", "SFG"],
+        colors: { primary: "#FD5A1E", secondary: "#27251F" }
+    }
+};
+
+// Returned for any team the registry doesn't know
+const UNKNOWN_TEAM = {
+    id: null, name: "Unknown Team", abbreviation: "", league: null, division: null,
+    venue: null, aliases: [],
+    colors: { primary: "#666666", secondary: "#CCCCCC" }
+};
+
+// Teams in each division, derived from the registry (object keys are IDs, so
+// iteration order is numeric; the division order is listed explicitly)
+const MLB_DIVISIONS = {};
+['AL East', 'AL Central', 'AL West', 'NL East', 'NL Central', 'NL West'].forEach(division => {
+    MLB_DIVISIONS[division] = Object.values(MLB_TEAMS)
+        .filter(team => team.division === division)
+        .map(team => team.name)
+        .sort();
+});
+
+/**
+ * Normalize a team name or abbreviation for lookup
+ * @param {string} text - Team name, alias or abbreviation
+ * @returns {string} - Lowercase letters and digits only ("Oakland A's" -> "oaklandas")
+ */
+function normalizeTeamKey(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Lookup table from every name, alias and abbreviation to its team
+const TEAM_LOOKUP = new Map();
+Object.values(MLB_TEAMS).forEach(team => {
+    [team.name, team.abbreviation, ...team.aliases].forEach(key => {
+        TEAM_LOOKUP.set(normalizeTeamKey(key), team);
+    });
+});
+
+/**
+ * Resolve a team through the registry
+ * Accepts Stats API team IDs, current or historical names, aliases and abbreviations.
+ * Several references can be passed (e.g. an ID and a name); the first one that resolves wins.
+ * @param {...(number|string)} refs - Team references
+ * @returns {Object} - Registry entry, or UNKNOWN_TEAM if nothing matches
+ */
+function resolveTeam(...refs) {
+    for (const ref of refs) {
+        if (ref === undefined || ref === null || ref === '') continue;
+
+        if (Object.prototype.hasOwnProperty.call(MLB_TEAMS, ref)) {
+            return MLB_TEAMS[ref];
+        }
+
+        const team = TEAM_LOOKUP.get(normalizeTeamKey(ref));
+        if (team) {
+            return team;
+        }
+    }
+
+    return UNKNOWN_TEAM;
+}
+
+// Export as global variables
+window.MLB_TEAMS = MLB_TEAMS;
+window.UNKNOWN_TEAM = UNKNOWN_TEAM;
+window.MLB_DIVISIONS = MLB_DIVISIONS;
+window.resolveTeam = resolveTeam;
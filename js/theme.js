@@ -0,0 +1,176 @@
+/**
+ * Theme and Contrast module
+ * Reads the active light/dark theme colors and picks legible text and border colors
+ * for team colors against them (WCAG AA contrast)
+ */
+
+// WCAG AA minimum contrast ratios: normal text, and graphical objects such as bar outlines
+const TEXT_CONTRAST_RATIO = 4.5;
+const GRAPHIC_CONTRAST_RATIO = 3;
+
+// Light theme colors, used where the stylesheet's custom properties can't be read
+const DEFAULT_THEME = {
+    background: '#f8f8f8',
+    surface: '#ffffff',
+    text: '#333333',
+    grid: 'rgba(0, 0, 0, 0.1)',
+    accent: '#041e42',
+    error: '#d32f2f',
+    positive: '#2e7d32',
+    negative: '#c62828'
+};
+
+// Custom property for each theme color (see the top of css/styles.css)
+const THEME_PROPERTIES = {
+    background: '--chart-background',
+    surface: '--surface',
+    text: '--text',
+    grid: '--chart-grid',
+    accent: '--chart-accent',
+    error: '--error',
+    positive: '--positive',
+    negative: '--negative'
+};
+
+/**
+ * Parse a CSS color
+ * @param {string} color - Hex (#rgb or #rrggbb) or rgb()/rgba() color
+ * @returns {Object|null} - `{ r, g, b, a }` with channels 0-255 and alpha 0-1, or null if unrecognized
+ */
+function parseColor(color) {
+    const value = String(color || '').trim();
+
+    if (value.startsWith('#')) {
+        const hex = value.length === 4
+            ? value.slice(1).split('').map(digit => digit + digit).join('')
+            : value.slice(1, 7);
+        const channel = offset => parseInt(hex.slice(offset, offset + 2), 16);
+        return { r: channel(0), g: channel(2), b: channel(4), a: 1 };
+    }
+
+    const match = value.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+        const [r, g, b, a] = match[1].split(',').map(part => parseFloat(part));
+        return { r, g, b, a: Number.isFinite(a) ? a : 1 };
+    }
+
+    return null;
+}
+
+/**
+ * Format color channels as a hex color
+ * @param {Object} rgb - `{ r, g, b }` with channels 0-255
+ * @returns {string} - #rrggbb
+ */
+function toHexColor({ r, g, b }) {
+    return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Relative luminance of a color, as defined by WCAG
+ * @param {string} color - CSS color (alpha is ignored)
+ * @returns {number} - Luminance from 0 (black) to 1 (white)
+ */
+function relativeLuminance(color) {
+    const rgb = parseColor(color) || { r: 0, g: 0, b: 0 };
+    const linear = channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * linear(rgb.r) + 0.7152 * linear(rgb.g) + 0.0722 * linear(rgb.b);
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} first - CSS color
+ * @param {string} second - CSS color
+ * @returns {number} - Ratio from 1 (no contrast) to 21 (black on white)
+ */
+function contrastRatio(first, second) {
+    const a = relativeLuminance(first);
+    const b = relativeLuminance(second);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * Pick black or white text for a background, whichever contrasts more
+ * Either one always reaches the AA ratio for normal text (4.5:1)
+ * @param {string} background - Background color
+ * @returns {string} - '#000000' or '#ffffff'
+ */
+function pickTextColor(background) {
+    return contrastRatio(background, '#000000') >= contrastRatio(background, '#ffffff') ? '#000000' : '#ffffff';
+}
+
+/**
+ * Adjust a color until it stands out against a background
+ * The color is mixed towards black or white (whichever the background contrasts with more)
+ * in small steps, so it stays as close to the original as possible
+ * @param {string} color - Color to adjust (e.g. a team's secondary color)
+ * @param {string} background - Background it's drawn on
+ * @param {number} minRatio - Contrast ratio to reach (default: 3:1 for graphical objects)
+ * @returns {string} - The original color if it already contrasts enough, otherwise a #rrggbb color
+ */
+function ensureContrast(color, background, minRatio = GRAPHIC_CONTRAST_RATIO) {
+    const rgb = parseColor(color);
+    if (!rgb || contrastRatio(color, background) >= minRatio) {
+        return color;
+    }
+
+    const target = pickTextColor(background) === '#000000' ? 0 : 255;
+    for (let step = 1; step <= 20; step++) {
+        const mix = step / 20;
+        const candidate = toHexColor({
+            r: rgb.r + (target - rgb.r) * mix,
+            g: rgb.g + (target - rgb.g) * mix,
+            b: rgb.b + (target - rgb.b) * mix
+        });
+        if (contrastRatio(candidate, background) >= minRatio) {
+            return candidate;
+        }
+    }
+    return toHexColor({ r: target, g: target, b: target });
+}
+
+/**
+ * Read the active theme colors from the stylesheet
+ * @param {HTMLElement} element - Element whose theme applies (default: the page)
+ * @returns {Object} - Colors keyed like DEFAULT_THEME
+ */
+function getThemeColors(element = document.documentElement) {
+    const style = window.getComputedStyle ? window.getComputedStyle(element) : null;
+    const theme = {};
+
+    Object.entries(THEME_PROPERTIES).forEach(([key, property]) => {
+        const value = style ? style.getPropertyValue(property).trim() : '';
+        theme[key] = value || DEFAULT_THEME[key];
+    });
+
+    return theme;
+}
+
+/**
+ * Call a function whenever the system switches between light and dark mode
+ * @param {Function} listener - Called with no arguments
+ */
+function onThemeChange(listener) {
+    if (!window.matchMedia) return;
+
+    const query = window.matchMedia('(prefers-color-scheme: dark)');
+    if (query.addEventListener) {
+        query.addEventListener('change', listener);
+    } else if (query.addListener) {
+        query.addListener(listener);
+    }
+}
+
+// Export as global variables
+window.TEXT_CONTRAST_RATIO = TEXT_CONTRAST_RATIO;
+window.GRAPHIC_CONTRAST_RATIO = GRAPHIC_CONTRAST_RATIO;
+window.parseColor = parseColor;
+window.relativeLuminance = relativeLuminance;
+window.contrastRatio = contrastRatio;
+window.pickTextColor = pickTextColor;
+window.ensureContrast = ensureContrast;
+window.getThemeColors = getThemeColors;
+window.onThemeChange = onThemeChange;
@@ -0,0 +1,127 @@
+/**
+ * URL State module
+ * Encodes the view state (season, stat group, metric, view, filters, sort, selected player, view options)
+ * in the query string so a link reopens the same chart
+ */
+
+/**
+ * Encode a view state as a query string
+ * Empty filters and unset options are left out to keep links short
+ * @param {Object} state - View state (see decodeViewState for the fields)
+ * @returns {string} - Query string without the leading "?"
+ */
+function encodeViewState(state) {
+    const params = new URLSearchParams();
+    const setIf = (name, value) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.set(name, value);
+        }
+    };
+
+    setIf('season', state.season);
+    setIf('stats', state.stats);
+    setIf('metric', state.metric);
+    setIf('view', state.view);
+    setIf('top', state.top);
+    setIf('pool', state.pool);
+    setIf('qualPA', state.qualifyingPa);
+    setIf('compare', state.compare);
+    setIf('display', state.compare ? state.display : null);
+
+    const filters = state.filters || {};
+    setIf('q', filters.search ? filters.search.trim() : '');
+    // Teams are written as abbreviations (NYY,LAD) rather than full names
+    setIf('teams', (filters.teams || []).map(team => resolveTeam(team).abbreviation || team).join(','));
+    setIf('leagues', (filters.leagues || []).join(','));
+    setIf('divisions', (filters.divisions || []).join(','));
+    setIf('minPA', filters.minPlateAppearances > 0 ? filters.minPlateAppearances : null);
+
+    setIf('sort', (state.sort || []).map(sortKey => `${sortKey.key}:${sortKey.direction}`).join(','));
+    setIf('player', state.player);
+
+    setIf('x', state.x);
+    setIf('size', state.size);
+    setIf('trend', state.trend ? 1 : null);
+    setIf('bins', state.bins);
+    setIf('group', state.group);
+    setIf('ci', state.ci ? 1 : null);
+    setIf('park', state.park ? 1 : null);
+
+    return params.toString();
+}
+
+/**
+ * Decode a query string into a (partial) view state
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object} - Only the fields present in the query string: season, stats (stat group,
+ *                     'hitting' or 'pitching'), metric, view, top (leaderboard size), pool
+ *                     (player pool), qualifyingPa (custom qualification threshold), compare,
+ *                     display, filters (search, teams, leagues, divisions, minPlateAppearances),
+ *                     sort ([{ key, direction }]), player (id), x, size, trend, bins, group,
+ *                     ci (error bars), park (park-adjusted + stats)
+ */
+function decodeViewState(search) {
+    const params = new URLSearchParams(search);
+    const list = name => (params.get(name) || '').split(',').filter(item => item !== '');
+    const state = {};
+
+    ['season', 'stats', 'metric', 'view', 'top', 'pool', 'compare', 'display', 'x', 'size', 'group'].forEach(name => {
+        if (params.has(name)) {
+            state[name] = params.get(name);
+        }
+    });
+
+    if (params.has('trend')) {
+        state.trend = params.get('trend') === '1';
+    }
+
+    if (params.has('ci')) {
+        state.ci = params.get('ci') === '1';
+    }
+
+    if (params.has('park')) {
+        state.park = params.get('park') === '1';
+    }
+
+    const bins = parseInt(params.get('bins'), 10);
+    if (Number.isFinite(bins)) {
+        state.bins = bins;
+    }
+
+    const qualifyingPa = parseInt(params.get('qualPA'), 10);
+    if (qualifyingPa > 0) {
+        state.qualifyingPa = qualifyingPa;
+    }
+
+    const player = parseInt(params.get('player'), 10);
+    if (Number.isFinite(player)) {
+        state.player = player;
+    }
+
+    if (['q', 'teams', 'leagues', 'divisions', 'minPA'].some(name => params.has(name))) {
+        state.filters = {
+            ...DEFAULT_FILTERS,
+            search: params.get('q') || '',
+            teams: list('teams').map(team => {
+                const registryTeam = resolveTeam(team);
+                return registryTeam.id !== null ? registryTeam.name : team;
+            }),
+            leagues: list('leagues'),
+            divisions: list('divisions'),
+            minPlateAppearances: parseInt(params.get('minPA'), 10) || 0
+        };
+    }
+
+    if (params.has('sort')) {
+        state.sort = list('sort').map(item => {
+            const [key, direction] = item.split(':');
+            return { key, direction: direction === 'asc' ? 'asc' : 'desc' };
+        });
+    }
+
+    return state;
+}
+
+// Export as global variables
+window.encodeViewState = encodeViewState;
+window.decodeViewState = decodeViewState;
@@ -3,240 +3,1906 @@
  * Creates and manages 2D visualization of batting statistics
  */
 
+// Bar charts with more bars than this switch to horizontal bars in a scrolling area
+const HORIZONTAL_BAR_THRESHOLD = 40;
+
+// Height of each bar's row (px) in the horizontal layout
+const HORIZONTAL_BAR_HEIGHT = 22;
+
+// Chart title format; {title} is the view's own title (e.g. "MLB Batting Average")
+const DEFAULT_TITLE_TEMPLATE = '{title} ({season})';
+
+/**
+ * Batting chart and player table, rendered into a container element
+ * Several visualizers can share a page: element ids are prefixed with the container id and
+ * the theme can be set per container. Events are dispatched on the container element:
+ * - `playerselect` when a bar or point is clicked (`detail.player`)
+ * - `teamhover` when the hovered team changes (`detail.team` and `detail.teamId`, null when the pointer leaves)
+ * - `render` after every chart is drawn (`detail.view`, `detail.season`, `detail.metric` and `detail.count`)
+ */
 class BattingVisualizer {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - Element to render the chart and table in
+     * @param {Object} options - Visualizer options
+     * @param {number} options.season - Season shown in titles when a render doesn't pass one,
+     *                                  and loaded by load() (default: the current season)
+     * @param {string} options.statGroup - 'hitting' (default) or 'pitching' (see setStatGroup)
+     * @param {string} options.metric - Metric charted when a render doesn't pass one
+     *                                  (default: the stat group's default metric)
+     * @param {number} options.limit - Most bars to chart in the players and comparison views;
+     *                                 the table still lists every player (default: no limit)
+     * @param {string|Function} options.titleTemplate - Chart title, with {title}, {metric} and {season}
+     *                                                  placeholders, or a function of those values
+     *                                                  (default: '{title} ({season})')
+     * @param {string} options.theme - 'auto' (default) to follow the page, or 'light' / 'dark'
+     *                                 for this container only
+     * @param {string} options.idPrefix - Prefix for the ids of generated elements (default: containerId)
+     * @param {Function} options.onPlayerSelect - Called with the player record when a bar is clicked
+     * @param {Function} options.getExportMetadata - Returns metadata (season, source, ...) for exports
+     * @param {Function} options.onSortChange - Called with the new sort keys when the user re-sorts the table
+     * @param {string} options.palette - 'team' (default) for team colors, 'colorblind' for a
+     *                                   colorblind-safe palette with patterned fills
+     */
+    constructor(containerId, options = {}) {
         this.containerId = containerId;
         this.container = document.getElementById(containerId);
         this.data = null;
         this.chart = null;
+        this.onPlayerSelect = options.onPlayerSelect || null;
+        this.onSortChange = options.onSortChange || (() => {});
+        
+        // Defaults for renders that don't say which season, metric or how many bars
+        this.season = options.season || DataSourceManager.getCurrentSeason();
+        this.defaultMetric = options.metric || STAT_GROUPS[options.statGroup === 'pitching' ? 'pitching' : 'hitting'].defaultMetric;
+        this.limit = options.limit || null;
+        this.titleTemplate = options.titleTemplate || DEFAULT_TITLE_TEMPLATE;
+        this.idPrefix = options.idPrefix || containerId;
         
-        // Create canvas element for Chart.js
+        // Team currently highlighted by hovering (see hoverTeam)
+        this.hoveredTeam = null;
+        
+        if (options.theme === 'light' || options.theme === 'dark') {
+            this.container.dataset.theme = options.theme;
+        }
+        
+        // Export menu for the chart and table, kept above the chart
+        this.exportMenu = new ExportMenu({
+            getChart: () => this.chart,
+            getRows: () => this.mode === 'history'
+                ? { players: this.data, columns: LEAGUE_HISTORY_COLUMNS }
+                : { players: this.playerTable.getSortedPlayers(), columns: this.playerTable.getShownColumns() },
+            getMetadata: options.getExportMetadata || (() => ({}))
+        });
+        this.container.appendChild(this.exportMenu.element);
+        
+        // Where the charted data came from, kept next to the chart title
+        this.provenanceBadge = new ProvenanceBadge();
+        this.container.appendChild(this.provenanceBadge.element);
+        
+        // Create canvas element for Chart.js, inside a sizer that grows with the bar count in the
+        // horizontal layout and a chart area that scrolls when it does
         this.canvas = document.createElement('canvas');
-        this.container.appendChild(this.canvas);
+        this.chartSizer = document.createElement('div');
+        this.chartSizer.className = 'chart-sizer';
+        this.chartSizer.appendChild(this.canvas);
+        this.chartArea = document.createElement('div');
+        this.chartArea.className = 'chart-area';
+        this.chartArea.appendChild(this.chartSizer);
+        this.container.appendChild(this.chartArea);
         
-        // Team color functions
-        this.getTeamColor = (teamName) => {
-            const colors = getTeamColors(teamName);
-            return colors ? colors.primary : '#666666';
-        };
+        // Screen-reader description of the chart: a live region announcing the dataset and the
+        // keyboard-focused bar, and a visually hidden table of the charted data
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.container.appendChild(this.liveRegion);
         
-        this.getTeamSecondaryColor = (teamName) => {
-            const colors = getTeamColors(teamName);
-            return colors ? colors.secondary : '#CCCCCC';
-        };
+        this.dataTableContainer = document.createElement('div');
+        this.container.appendChild(this.dataTableContainer);
+        
+        this.keyboardNavigator = new ChartKeyboardNavigator(this.canvas, {
+            getChart: () => this.chart,
+            announce: text => this.announce(text)
+        });
+        
+        // Light or dark theme colors; chart text, grid lines and team color contrast follow them
+        this.applyTheme();
+        onThemeChange(() => {
+            this.applyTheme();
+            this.refresh();
+        });
+        
+        // Team color functions (see setPalette) and the records behind the current chart's bars
+        this.chartRecords = [];
+        this.setPalette(options.palette || 'team');
+        
+        // Current view: 'players', 'teams', 'scatter', 'distribution', 'comparison' or 'history'
+        this.mode = null;
+        
+        // Second chart used by the distribution view for box plots
+        this.boxPlotChart = null;
+        
+        // Team whose contributors are shown in the teams view, or null
+        this.expandedTeam = null;
+        
+        // Sortable player table; the chart follows its sort order
+        this.playerTable = new PlayerTable({
+            id: this.elementId('players-table'),
+            onSortChange: sortKeys => {
+                this.refresh();
+                this.onSortChange(sortKeys);
+            }
+        });
+        
+        this.setStatGroup(options.statGroup);
         
         // Handle window resize
         window.addEventListener('resize', this.onWindowResize.bind(this));
+        
+        // Reset colors when the mouse leaves the chart
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoverTeam(null, []);
+        });
+    }
+    
+    /**
+     * Get the id of a generated element, scoped to this visualizer
+     * @param {string} name - Element name (e.g. 'team-legend')
+     * @returns {string} - e.g. 'visualization-container-team-legend'
+     */
+    elementId(name) {
+        return `${this.idPrefix}-${name}`;
+    }
+    
+    /**
+     * Dispatch an event on the container
+     * @param {string} type - 'playerselect', 'teamhover' or 'render'
+     * @param {Object} detail - Event detail
+     */
+    emit(type, detail) {
+        this.container.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+    
+    /**
+     * Build a chart title from the title template
+     * @param {string} title - The view's own title (e.g. "MLB Team Batting Average")
+     * @param {Object} metric - Metric definition
+     * @param {number|string} season - Season (or seasons) shown
+     * @returns {string} - Chart title
+     */
+    formatTitle(title, metric, season) {
+        const values = { title, metric: metric.label, season };
+        if (typeof this.titleTemplate === 'function') {
+            return this.titleTemplate(values);
+        }
+        return this.titleTemplate.replace(/\{(\w+)\}/g, (match, key) => key in values ? String(values[key]) : match);
+    }
+    
+    /**
+     * Load the season's qualified hitters and chart them, for visualizers embedded without the app
+     * Uses the season, metric and limit options
+     * @param {Object} options - Load options
+     * @param {MlbStatsClient} options.client - Client to load with (default: the page's mlbStatsClient)
+     * @param {AbortSignal} options.signal - Cancels the load (optional)
+     * @param {boolean} options.parkAdjusted - Park-adjust hitters' indexed "+" stats (optional)
+     * @param {boolean} options.intervals - Draw confidence intervals (optional, see updateVisualization)
+     * @returns {Promise<Array>} - The charted players
+     */
+    async load(options = {}) {
+        const client = options.client || mlbStatsClient;
+        const metric = this.defaultMetric;
+        
+        // The source ranks derived stats (BABIP, FIP, ...) by a stand-in stat, so those start from
+        // the whole pool
+        const rankedLocally = Boolean(getMetric(metric).derived);
+        const request = { metric, limit: rankedLocally ? null : this.limit, signal: options.signal };
+        
+        this.showLoading();
+        let extracted;
+        if (this.statGroup === 'pitching') {
+            extracted = client.extractPitchingData(await client.getPlayerPitchingStats(this.season, request), metric, this.season);
+        } else {
+            const [response, league] = await Promise.all([
+                client.getPlayerBattingStats(this.season, request),
+                client.getLeagueAverages(this.season, { signal: options.signal })
+            ]);
+            extracted = adjustPlayers(client.extractBattingData(response, metric, this.season), league,
+                { season: this.season, parkAdjusted: Boolean(options.parkAdjusted) });
+            // Indexed metrics are ranked by their raw stat at the source
+            if (INDEXED_METRICS[metric]) {
+                extracted.sort((a, b) => b[metric] - a[metric]);
+            }
+        }
+        // Bundled files and mock data aren't paged, so trim them to the limit too
+        const players = markQualification(extracted, null).slice(0, this.limit || undefined);
+        
+        this.setProvenance([{ season: this.season, provenance: client.provenanceBySeason[this.season] }]);
+        this.updateVisualization(players, metric, { season: this.season, intervals: Boolean(options.intervals) });
+        return players;
+    }
+    
+    /**
+     * Re-render the current view with its current data (e.g. after the table is re-sorted)
+     */
+    refresh() {
+        if (this.mode === 'comparison') {
+            this.updateComparison(this.data, this.metric.key, this.options);
+        } else if (this.mode === 'teams') {
+            this.updateTeams(this.data, this.metric.key, this.options);
+        } else if (this.mode === 'scatter') {
+            this.updateScatter(this.data, this.options);
+        } else if (this.mode === 'distribution') {
+            this.updateDistribution(this.data, this.metric.key, this.options);
+        } else if (this.mode === 'players') {
+            this.updateVisualization(this.data, this.metric.key, this.options);
+        } else if (this.mode === 'history') {
+            this.updateHistory(this.data, this.options);
+        }
+    }
+    
+    /**
+     * Get the table sort keys
+     * @returns {Array<Object>} - Sort keys ({ key, direction }) in priority order
+     */
+    getSortKeys() {
+        return this.playerTable.getSortKeys();
+    }
+    
+    /**
+     * Apply table sort keys (e.g. restored from a link) and re-render
+     * Keys for columns the current view doesn't have are ignored
+     * @param {Array<Object>} sortKeys - Sort keys in priority order
+     */
+    setSortKeys(sortKeys) {
+        this.playerTable.setSortKeys(sortKeys);
+        this.refresh();
+    }
+    
+    /**
+     * Switch between hitters and pitchers
+     * Sets the table's columns; call before rendering the new group's data
+     * @param {string} group - 'hitting' (default) or 'pitching'
+     */
+    setStatGroup(group) {
+        this.statGroup = group === 'pitching' ? 'pitching' : 'hitting';
+        this.playerTable.setStatGroup(this.statGroup);
+    }
+    
+    /**
+     * Show where the charted data came from
+     * @param {Array<Object>} entries - `{ season, provenance }` for each season on screen
+     */
+    setProvenance(entries) {
+        this.provenanceBadge.update(entries);
+    }
+    
+    /**
+     * Switch between team colors and the colorblind-safe palette, and re-render
+     * @param {string} palette - 'team' or 'colorblind'
+     */
+    setPalette(palette) {
+        this.palette = palette === 'colorblind' ? 'colorblind' : 'team';
+        
+        // Color functions, resolved through the team registry from a player or team record.
+        // Bar outlines are adjusted to stand out against the chart background
+        if (this.palette === 'colorblind') {
+            this.getTeamColor = (record) => getColorblindStyle(resolveTeam(record.teamId, record.team)).color;
+            this.getTeamSecondaryColor = () => this.theme.text;
+        } else {
+            this.getTeamColor = (record) => resolveTeam(record.teamId, record.team).colors.primary;
+            this.getTeamSecondaryColor = (record) =>
+                ensureContrast(resolveTeam(record.teamId, record.team).colors.secondary, this.theme.background);
+        }
+        
+        this.refresh();
+    }
+    
+    /**
+     * Read the active theme's colors for this container
+     * Call refresh() afterwards to redraw the current chart
+     */
+    applyTheme() {
+        this.theme = getThemeColors(this.container);
+        
+        // Charts outside the visualizer (e.g. the player drill-down) follow the page's theme
+        const pageTheme = getThemeColors();
+        Chart.defaults.color = pageTheme.text;
+        Chart.defaults.borderColor = pageTheme.grid;
+    }
+    
+    /**
+     * Create a chart with this container's theme colors
+     * Text and grid colors are set on the chart rather than in Chart.defaults, so visualizers
+     * with different themes can share a page
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {Object} config - Chart.js configuration; its options are filled in with theme colors
+     * @returns {Chart} - The new chart
+     */
+    createChart(canvas, config) {
+        const { text, grid } = this.theme;
+        const options = config.options;
+        
+        options.scales = { x: {}, y: {}, ...options.scales };
+        Object.values(options.scales).forEach(scale => {
+            scale.ticks = { color: text, ...scale.ticks };
+            scale.grid = { color: grid, ...scale.grid };
+            scale.title = { color: text, ...scale.title };
+        });
+        
+        const plugins = options.plugins || {};
+        plugins.title = { color: text, ...plugins.title };
+        plugins.subtitle = { color: text, ...plugins.subtitle };
+        plugins.legend = { ...plugins.legend, labels: { color: text, ...(plugins.legend || {}).labels } };
+        options.plugins = plugins;
+        
+        return new Chart(canvas.getContext('2d'), config);
+    }
+    
+    /**
+     * Announce text to screen readers through the live region
+     * @param {string} text - Text to announce
+     */
+    announce(text) {
+        this.liveRegion.textContent = text;
+    }
+    
+    /**
+     * Describe the chart for screen readers and keyboard users
+     * Announces a summary, lists the charted data in a visually hidden table and lets the
+     * arrow keys step through the bars (or points)
+     * @param {string} summary - One-sentence description of the chart
+     * @param {Array<string>} headers - Data table headers; the first is the label column
+     * @param {Array<Array<string>>} rows - Cells for each chart element, in chart order
+     */
+    describeChart(summary, headers, rows) {
+        const items = rows.map(cells => ({
+            label: cells[0],
+            description: headers.slice(1).map((header, index) => `${header} ${cells[index + 1]}`).join(', ')
+        }));
+        
+        this.keyboardNavigator.setItems(items, summary);
+        this.announce(summary);
+        this.dataTableContainer.innerHTML = '';
+        this.dataTableContainer.appendChild(createDataTable(summary, headers, rows));
+    }
+    
+    /**
+     * Describe the range of a metric across charted records
+     * @param {Array} records - Charted records
+     * @param {Object} metric - Metric definition
+     * @param {Function} valueOf - Returns a record's value
+     * @returns {string} - e.g. "from .342 (Juan Soto) down to .280 (Luis Arraez)"
+     */
+    describeRange(records, metric, valueOf) {
+        if (records.length === 0) return '';
+        
+        const ordered = [...records].sort((a, b) => valueOf(b) - valueOf(a));
+        const top = ordered[0];
+        const bottom = ordered[ordered.length - 1];
+        return `from ${formatMetricValue(metric, valueOf(top))} (${top.name}) down to ${formatMetricValue(metric, valueOf(bottom))} (${bottom.name})`;
+    }
+    
+    /**
+     * Choose between vertical bars and the scrolling horizontal layout for a bar chart
+     * @param {number} barCount - Number of bars (players) to chart; 0 for charts that aren't bar charts
+     * @returns {boolean} - True if the bars should be horizontal
+     */
+    applyBarLayout(barCount) {
+        const horizontal = barCount > HORIZONTAL_BAR_THRESHOLD;
+        this.chartArea.classList.toggle('scrollable', horizontal);
+        this.chartSizer.style.height = horizontal ? `${barCount * HORIZONTAL_BAR_HEIGHT + 100}px` : '';
+        return horizontal;
+    }
+    
+    /**
+     * Build bar chart scales for either orientation
+     * @param {boolean} horizontal - Whether the bars are horizontal (see applyBarLayout)
+     * @param {Object} valueScale - Chart.js scale options for the value axis
+     * @param {string} categoryTitle - Title for the category (player) axis
+     * @returns {Object} - Chart.js `scales` option
+     */
+    getBarScales(horizontal, valueScale, categoryTitle) {
+        const categoryScale = {
+            ticks: horizontal
+                ? { autoSkip: false }
+                : { autoSkip: false, maxRotation: 90, minRotation: 45 },
+            title: {
+                display: true,
+                text: categoryTitle
+            }
+        };
+        
+        return horizontal
+            ? { x: valueScale, y: categoryScale }
+            : { y: valueScale, x: categoryScale };
+    }
+    
+    /**
+     * Handle window resize
+     */
+    onWindowResize() {
+        if (this.chart) {
+            this.chart.resize();
+        }
+    }
+    
+    /**
+     * Group players by team
+     * @param {Array} data - Player data
+     * @returns {Object} - Object with team names as keys and arrays of players as values
+     */
+    groupPlayersByTeam(data) {
+        const teams = {};
+        
+        data.forEach(player => {
+            if (!teams[player.team]) {
+                teams[player.team] = [];
+            }
+            teams[player.team].push(player);
+        });
+        
+        return teams;
+    }
+    
+    /**
+     * Update visualization with new data
+     * @param {Array} data - Batting data to visualize
+     * @param {string} metricKey - Metric to chart (see BATTING_METRICS)
+     * @param {Object} options - Display options
+     * @param {number} options.season - Season the data is from (default: the season option)
+     * @param {Function} options.highlight - Predicate for players to emphasize; others are faded
+     *                                       in the chart and left out of the table
+     * @param {boolean} options.intervals - Draw 95% confidence intervals as error bars and mark
+     *                                      neighbours whose intervals overlap (proportion stats only,
+     *                                      see PROPORTION_COUNTS)
+     */
+    updateVisualization(data, metricKey = this.defaultMetric, options = {}) {
+        const metric = getMetric(metricKey);
+        
+        // A new metric or view resets the table (and so the chart) to rank by that metric
+        if (this.mode !== 'players' || this.metric.key !== metric.key) {
+            this.playerTable.setExtraColumns([]);
+            this.playerTable.setSortKeys([{ key: metric.key, direction: getMetricSortDirection(metric) }]);
+            this.playerTable.showColumn(metric.key);
+        }
+        
+        // Store data reference
+        this.mode = 'players';
+        this.data = data;
+        this.metric = metric;
+        this.options = options;
+        const season = options.season || this.season;
+        
+        // Chart the players on the leaderboard (up to the limit option), ordered the same way as the table
+        const sorted = [...data].sort((a, b) => this.playerTable.compare(a, b));
+        const visData = this.limit ? sorted.slice(0, this.limit) : sorted;
+        const horizontal = this.applyBarLayout(visData.length);
+        
+        // Prepare data for Chart.js
+        const labels = visData.map(player => player.name);
+        const metricValues = visData.map(player => player[metric.key]);
+        
+        // Confidence intervals, and whether each player's overlaps the next player's (so the
+        // two can't be told apart at this sample size)
+        const intervals = options.intervals ? visData.map(player => getMetricInterval(metric, player)) : [];
+        const showIntervals = intervals.some(interval => interval !== null);
+        const overlapsNext = intervals.map((interval, index) => intervalsOverlap(interval, intervals[index + 1]));
+        const neighbours = index => [index - 1, index + 1]
+            .filter(other => overlapsNext[Math.min(index, other)] && visData[other])
+            .map(other => visData[other].name);
+        
+        const scale = getMetricScale(metric, [
+            ...metricValues,
+            ...intervals.filter(interval => interval !== null).flatMap(interval => [interval.lower, interval.upper])
+        ]);
+        
+        // Highlighted players (e.g. search matches) keep full color and get a heavier border;
+        // hitters below the qualification line are drawn lighter
+        const highlight = options.highlight || null;
+        const isFaded = player => highlight !== null && !highlight(player);
+        const belowLine = visData.some(player => player.qualified === false);
+        const backgroundColors = visData.map(player => {
+            const teamColor = this.getTeamColor(player);
+            const color = player.qualified === false ? this.withAlpha(teamColor, 0.45) : teamColor;
+            return isFaded(player) ? this.fadeColor(color) : color;
+        });
+        const borderColors = visData.map(player => {
+            const color = this.getTeamSecondaryColor(player);
+            return isFaded(player) ? this.fadeColor(color) : color;
+        });
+        const borderWidths = visData.map(player => (highlight && highlight(player)) ? 3 : 1);
+        const subtitle = [
+            metric.type === 'index' ? this.describeIndexBaseline(visData, season) : '',
+            metric.key === 'woba' || metric.key === 'fip' ? describeBorrowedWeights(season, this.statGroup) : '',
+            showIntervals ? 'Error bars: 95% Wilson score intervals, ≈ where neighbours overlap' : '',
+            belowLine ? 'Lighter bars: below the qualification line' : ''
+        ].filter(text => text !== '').join(' · ');
+        
+        // Create team-based legend data
+        const teams = {};
+        visData.forEach(player => {
+            teams[player.team] = this.getTeamColor(player);
+        });
+        
+        // If we already have a chart, destroy it before creating a new one
+        if (this.chart) {
+            this.chart.destroy();
+        }
+        this.destroyBoxPlot();
+        
+        // Create the chart
+        this.chart = this.createChart(this.canvas, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: metric.label,
+                    data: metricValues,
+                    backgroundColor: backgroundColors,
+                    borderColor: borderColors,
+                    borderWidth: borderWidths
+                }]
+            },
+            plugins: showIntervals ? [this.createErrorBarPlugin(intervals, overlapsNext, horizontal)] : [],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                indexAxis: horizontal ? 'y' : 'x',
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.formatTitle(`MLB ${metric.label}`, metric, season),
+                        font: {
+                            size: 18
+                        }
+                    },
+                    subtitle: {
+                        display: subtitle !== '',
+                        text: subtitle
+                    },
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        filter: (tooltipItem) => {
+                            // Get the team of the hovered player
+                            const hoveredIndex = tooltipItem.dataIndex;
+                            const hoveredTeam = visData[hoveredIndex].team;
+                            
+                            // Only show tooltips for players on the same team
+                            return visData[tooltipItem.dataIndex].team === hoveredTeam;
+                        },
+                        callbacks: {
+                            title: (tooltipItems) => {
+                                if (tooltipItems.length === 0) return '';
+                                const playerIndex = tooltipItems[0].dataIndex;
+                                const player = visData[playerIndex];
+                                const teamName = player.team;
+                                
+                                // Return the team name as the title
+                                return `Team: ${teamName}`;
+                            },
+                            label: (tooltipItem) => {
+                                const playerIndex = tooltipItem.dataIndex;
+                                const player = visData[playerIndex];
+                                const value = formatMetricValue(metric, player[metric.key]);
+                                return `${player.name}: ${value} ${metric.shortLabel}`;
+                            },
+                            afterLabel: (tooltipItem) => {
+                                const playerIndex = tooltipItem.dataIndex;
+                                const player = visData[playerIndex];
+                                if (this.statGroup === 'pitching') {
+                                    return this.getPitchingTooltipLines(player, season);
+                                }
+                                const interval = intervals[playerIndex];
+                                const alike = neighbours(playerIndex);
+                                return [
+                                    interval ? `95% interval: ${formatMetricValue(metric, interval.lower)}-${formatMetricValue(metric, interval.upper)}` +
+                                        ` (width ${formatMetricValue(metric, interval.upper - interval.lower)})` : '',
+                                    alike.length > 0 ? `Indistinguishable from ${alike.join(' and ')}` : '',
+                                    `AVG/OBP/SLG: ${player.avg.toFixed(3)}/${player.obp.toFixed(3)}/${player.slg.toFixed(3)}`,
+                                    `wOBA: ${formatMetricValue(BATTING_METRICS.woba, player.woba)}${describeBorrowedWeights(season, 'hitting') === '' ? '' : ' (borrowed weights)'}` +
+                                        `  ISO: ${formatMetricValue(BATTING_METRICS.iso, player.iso)}`,
+                                    player.opsPlus === undefined ? '' : `OPS+: ${formatMetricValue(BATTING_METRICS.opsPlus, player.opsPlus)}` +
+                                        (player.parkFactor === null ? '' : ` (park factor ${player.parkFactor})`),
+                                    `H/AB: ${player.hits}/${player.atBats} (${player.plateAppearances} PA)`,
+                                    `HR: ${player.homeRuns}  RBI: ${player.rbi}  SB: ${player.stolenBases}`,
+                                    describeQualification(player)
+                                ].filter(line => line !== '');
+                            }
+                        },
+                        ...this.getTooltipStyle(visData)
+                    }
+                },
+                onHover: (event, activeElements) => {
+                    // Highlight bars from the hovered player's team, fade others
+                    const hovered = activeElements && activeElements.length > 0 ? visData[activeElements[0].index] : null;
+                    this.hoverTeam(hovered, visData);
+                },
+                onClick: (event, activeElements) => {
+                    this.selectPlayer(activeElements, visData);
+                },
+                scales: this.getBarScales(horizontal, {
+                    beginAtZero: metric.type === 'count' || metric.type === 'innings',
+                    // Rate stats get a window fitted to the data, counting stats start at zero
+                    min: scale.min,
+                    max: scale.max,
+                    ticks: {
+                        precision: metric.type === 'count' ? 0 : undefined,
+                        callback: function(value) {
+                            return formatMetricValue(metric, value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: metric.lowerIsBetter ? `${metric.label} (lower is better)` : metric.label
+                    }
+                }, 'Player')
+            }
+        });
+        
+        // Store the original colors for restoring after hover
+        this.storeOriginalColors(visData);
+        
+        // Add custom team legend
+        this.addTeamLegend(teams);
+        
+        const describeInterval = index => intervals[index]
+            ? `${formatMetricValue(metric, intervals[index].lower)} to ${formatMetricValue(metric, intervals[index].upper)}`
+            : '-';
+        this.describeChart(
+            `Bar chart of ${metric.label} for ${visData.length} players, ${this.describeRange(visData, metric, player => player[metric.key])}`,
+            ['Player', 'Team', metric.label, ...(showIntervals ? ['95% interval'] : [])],
+            visData.map((player, index) => [player.name, player.team, formatMetricValue(metric, player[metric.key]),
+                ...(showIntervals ? [describeInterval(index)] : [])])
+        );
+        
+        // Add players table below chart, listing every player rather than just the charted ones
+        this.addPlayerTable(highlight ? data.filter(highlight) : data, season);
+        this.emit('render', { view: this.mode, season, metric: metric.key, count: visData.length });
+    }
+    
+    /**
+     * Update visualization with team totals
+     * Clicking a team's bar expands it into its individual contributors
+     * @param {Array} data - Batting data for every hitter (playerPool=all)
+     * @param {string} metricKey - Metric to chart (see BATTING_METRICS)
+     * @param {Object} options - Display options
+     * @param {number} options.season - Season the data is from (selects the wOBA weights)
+     * @param {Function} options.highlight - Predicate for players to emphasize; teams without a match are faded
+     */
+    updateTeams(data, metricKey = this.defaultMetric, options = {}) {
+        const metric = getMetric(metricKey);
+        
+        if (this.mode !== 'teams' || this.metric.key !== metric.key) {
+            this.playerTable.setExtraColumns([]);
+            this.playerTable.setSortKeys([{ key: metric.key, direction: getMetricSortDirection(metric) }]);
+            this.playerTable.showColumn(metric.key);
+        }
+        
+        if (this.mode !== 'teams') {
+            this.expandedTeam = null;
+        }
+        
+        this.mode = 'teams';
+        this.data = data;
+        this.metric = metric;
+        this.options = options;
+        const season = options.season || this.season;
+        
+        const teams = aggregateTeams(this.groupPlayersByTeam(data), season)
+            .sort((a, b) => b[metric.key] - a[metric.key]);
+        const expanded = teams.find(team => team.team === this.expandedTeam) || null;
+        this.expandedTeam = expanded ? expanded.team : null;
+        
+        // One bar per team, with the expanded team's contributors right after it
+        const bars = [];
+        teams.forEach(team => {
+            bars.push(team);
+            if (team === expanded) {
+                [...team.players]
+                    .sort((a, b) => b[metric.key] - a[metric.key])
+                    .forEach(player => bars.push(player));
+            }
+        });
+        const isTeam = bar => teams.includes(bar);
+        
+        const values = bars.map(bar => bar[metric.key]);
+        const scale = getMetricScale(metric, values);
+        
+        // Teams with a highlighted player keep full color; contributors are drawn lighter than teams
+        const highlight = options.highlight || null;
+        const isHighlighted = bar => highlight !== null &&
+            (isTeam(bar) ? bar.players.some(highlight) : highlight(bar));
+        const isFaded = bar => highlight !== null && !isHighlighted(bar);
+        const barColor = (bar, color) => {
+            const base = isTeam(bar) ? color : this.withAlpha(color, 0.6);
+            return isFaded(bar) ? this.fadeColor(base) : base;
+        };
+        
+        if (this.chart) {
+            this.chart.destroy();
+        }
+        this.destroyBoxPlot();
+        this.applyBarLayout(0);
+        
+        this.chart = this.createChart(this.canvas, {
+            type: 'bar',
+            data: {
+                labels: bars.map(bar => isTeam(bar)
+                    ? `${bar.name}${bar === expanded ? ' ▾' : ''}`
+                    : `  ${bar.name}`),
+                datasets: [{
+                    label: metric.label,
+                    data: values,
+                    backgroundColor: bars.map(bar => barColor(bar, this.getTeamColor(bar))),
+                    borderColor: bars.map(bar => barColor(bar, this.getTeamSecondaryColor(bar))),
+                    borderWidth: bars.map(bar => isHighlighted(bar) ? 3 : 1)
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.formatTitle(`MLB Team ${metric.label}`, metric, season),
+                        font: {
+                            size: 18
+                        }
+                    },
+                    subtitle: {
+                        display: true,
+                        text: expanded
+                            ? `${expanded.name}: ${expanded.playerCount} hitters. Click the team again to collapse`
+                            : 'Click a team to see its hitters'
+                    },
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: (tooltipItems) => {
+                                if (tooltipItems.length === 0) return '';
+                                const bar = bars[tooltipItems[0].dataIndex];
+                                return isTeam(bar) ? bar.name : `${bar.name} (${bar.team})`;
+                            },
+                            label: (tooltipItem) => {
+                                const bar = bars[tooltipItem.dataIndex];
+                                return [
+                                    `${metric.label}: ${formatMetricValue(metric, bar[metric.key])}`,
+                                    isTeam(bar)
+                                        ? `Hitters: ${bar.playerCount}`
+                                        : `Plate Appearances: ${bar.plateAppearances || bar.atBats}`
+                                ];
+                            }
+                        },
+                        ...this.getTooltipStyle(bars)
+                    }
+                },
+                onHover: (event, activeElements) => {
+                    this.hoverTeam(activeElements && activeElements.length > 0 ? bars[activeElements[0].index] : null, bars);
+                },
+                onClick: (event, activeElements) => {
+                    if (!activeElements || activeElements.length === 0) return;
+                    
+                    const bar = bars[activeElements[0].index];
+                    if (isTeam(bar)) {
+                        this.expandedTeam = bar === expanded ? null : bar.team;
+                        this.refresh();
+                    } else {
+                        this.selectPlayer(activeElements, bars);
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: metric.type === 'count' || metric.type === 'innings',
+                        min: scale.min,
+                        max: scale.max,
+                        ticks: {
+                            precision: metric.type === 'count' ? 0 : undefined,
+                            callback: function(value) {
+                                return formatMetricValue(metric, value);
+                            }
+                        },
+                        title: {
+                            display: true,
+                            text: metric.label
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            autoSkip: false,
+                            maxRotation: 90,
+                            minRotation: 45
+                        },
+                        title: {
+                            display: true,
+                            text: 'Team'
+                        }
+                    }
+                }
+            }
+        });
+        
+        this.storeOriginalColors(bars);
+        
+        this.describeChart(
+            `Bar chart of team ${metric.label} for ${teams.length} teams, ${this.describeRange(teams, metric, team => team[metric.key])}` +
+                (expanded ? `, with ${expanded.name}'s ${expanded.playerCount} hitters expanded` : ''),
+            ['Team or hitter', metric.label],
+            bars.map(bar => [isTeam(bar) ? bar.name : `${bar.name} (${bar.team})`, formatMetricValue(metric, bar[metric.key])])
+        );
+        
+        // Bars are labelled with team names, so the team legend isn't needed
+        const existingLegend = document.getElementById(this.elementId('team-legend'));
+        if (existingLegend) {
+            existingLegend.remove();
+        }
+        
+        // The table lists the expanded team's hitters, or every hitter
+        const tablePlayers = expanded ? expanded.players : data;
+        this.addPlayerTable(highlight ? tablePlayers.filter(highlight) : tablePlayers, season);
+        this.emit('render', { view: this.mode, season, metric: metric.key, count: teams.length });
+    }
+    
+    /**
+     * Update visualization with a scatter (or bubble) chart of two stats
+     * @param {Array} data - Batting data to plot
+     * @param {Object} options - Display options
+     * @param {string} options.xMetric - Metric on the x axis (see BATTING_METRICS)
+     * @param {string} options.yMetric - Metric on the y axis
+     * @param {string} options.sizeMetric - Metric that sets the bubble size (optional)
+     * @param {boolean} options.trendLine - Add a least-squares trend line with its r²
+     * @param {number} options.season - Season the data is from
+     * @param {Function} options.highlight - Predicate for players to emphasize; others are faded
+     */
+    updateScatter(data, options = {}) {
+        const xMetric = getMetric(options.xMetric);
+        const yMetric = getMetric(options.yMetric);
+        const sizeMetric = options.sizeMetric ? getMetric(options.sizeMetric) : null;
+        
+        if (this.mode !== 'scatter' || this.metric.key !== yMetric.key) {
+            this.playerTable.setExtraColumns([]);
+            this.playerTable.setSortKeys([{ key: yMetric.key, direction: getMetricSortDirection(yMetric) }]);
+        }
+        this.playerTable.showColumn(xMetric.key);
+        this.playerTable.showColumn(yMetric.key);
+        if (sizeMetric) {
+            this.playerTable.showColumn(sizeMetric.key);
+        }
+        
+        this.mode = 'scatter';
+        this.data = data;
+        this.metric = yMetric;
+        this.options = options;
+        const season = options.season || this.season;
+        
+        const players = data.filter(player =>
+            Number.isFinite(player[xMetric.key]) && Number.isFinite(player[yMetric.key]));
+        
+        // Bubble radius from 4px to 20px, scaled by area so big values don't dominate
+        let radius = () => 5;
+        if (sizeMetric) {
+            const sizes = players.map(player => player[sizeMetric.key]).filter(value => Number.isFinite(value));
+            const low = Math.min(...sizes);
+            const high = Math.max(...sizes);
+            radius = player => {
+                const value = player[sizeMetric.key];
+                if (!Number.isFinite(value) || high === low) return 8;
+                return 4 + 16 * Math.sqrt((value - low) / (high - low));
+            };
+        }
+        
+        const points = players.map(player => ({
+            x: player[xMetric.key],
+            y: player[yMetric.key],
+            r: radius(player)
+        }));
+        
+        const highlight = options.highlight || null;
+        const isFaded = player => highlight !== null && !highlight(player);
+        
+        const datasets = [{
+            type: sizeMetric ? 'bubble' : 'scatter',
+            label: `${yMetric.shortLabel} vs ${xMetric.shortLabel}`,
+            data: points,
+            // Hitters below the qualification line are drawn lighter
+            backgroundColor: players.map(player => {
+                const color = this.withAlpha(this.getTeamColor(player), player.qualified === false ? 0.3 : 0.75);
+                return isFaded(player) ? this.fadeColor(color) : color;
+            }),
+            borderColor: players.map(player => {
+                const color = this.getTeamSecondaryColor(player);
+                return isFaded(player) ? this.fadeColor(color) : color;
+            }),
+            borderWidth: players.map(player => (highlight && highlight(player)) ? 3 : 1),
+            pointRadius: points.map(point => point.r),
+            pointHoverRadius: points.map(point => point.r + 2)
+        }];
+        
+        // Least-squares fit across the plotted range
+        const fit = options.trendLine ? linearRegression(points) : null;
+        if (fit) {
+            const xs = points.map(point => point.x);
+            const minX = Math.min(...xs);
+            const maxX = Math.max(...xs);
+            datasets.push({
+                type: 'line',
+                label: `Trend (r² = ${fit.r2.toFixed(3)})`,
+                data: [
+                    { x: minX, y: fit.intercept + fit.slope * minX },
+                    { x: maxX, y: fit.intercept + fit.slope * maxX }
+                ],
+                borderColor: this.theme.text,
+                backgroundColor: this.theme.text,
+                borderDash: [6, 4],
+                borderWidth: 2,
+                pointRadius: 0,
+                pointHoverRadius: 0
+            });
+        }
+        
+        const subtitle = [
+            sizeMetric ? `Bubble size: ${sizeMetric.label}` : '',
+            players.some(player => player.qualified === false) ? 'Lighter points: below the qualification line' : ''
+        ].filter(text => text !== '').join(' · ');
+        
+        const xScale = getMetricScale(xMetric, points.map(point => point.x));
+        const yScale = getMetricScale(yMetric, points.map(point => point.y));
+        
+        // Create team-based legend data
+        const teams = {};
+        players.forEach(player => {
+            teams[player.team] = this.getTeamColor(player);
+        });
+        
+        if (this.chart) {
+            this.chart.destroy();
+        }
+        this.destroyBoxPlot();
+        this.applyBarLayout(0);
+        
+        this.chart = this.createChart(this.canvas, {
+            type: sizeMetric ? 'bubble' : 'scatter',
+            data: {
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'nearest',
+                    intersect: true
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.formatTitle(`MLB ${yMetric.label} vs ${xMetric.label}`, yMetric, season),
+                        font: {
+                            size: 18
+                        }
+                    },
+                    subtitle: {
+                        display: subtitle !== '',
+                        text: subtitle
+                    },
+                    legend: {
+                        // Only the trend line gets a legend entry; teams use the custom legend
+                        display: !!fit,
+                        labels: {
+                            filter: item => item.datasetIndex === 1
+                        }
+                    },
+                    tooltip: {
+                        filter: tooltipItem => tooltipItem.datasetIndex === 0,
+                        callbacks: {
+                            title: (tooltipItems) => {
+                                if (tooltipItems.length === 0) return '';
+                                const player = players[tooltipItems[0].dataIndex];
+                                return `${player.name} (${player.team})`;
+                            },
+                            label: (tooltipItem) => {
+                                const player = players[tooltipItem.dataIndex];
+                                const lines = [
+                                    `${xMetric.label}: ${formatMetricValue(xMetric, player[xMetric.key])}`,
+                                    `${yMetric.label}: ${formatMetricValue(yMetric, player[yMetric.key])}`
+                                ];
+                                if (sizeMetric) {
+                                    lines.push(`${sizeMetric.label}: ${formatMetricValue(sizeMetric, player[sizeMetric.key])}`);
+                                }
+                                if (player.qualified === false) {
+                                    lines.push(describeQualification(player));
+                                }
+                                return lines;
+                            }
+                        },
+                        ...this.getTooltipStyle(players)
+                    }
+                },
+                onHover: (event, activeElements) => {
+                    const active = (activeElements || []).filter(element => element.datasetIndex === 0);
+                    this.hoverTeam(active.length > 0 ? players[active[0].index] : null, players);
+                },
+                onClick: (event, activeElements) => {
+                    this.selectPlayer((activeElements || []).filter(element => element.datasetIndex === 0), players);
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: xScale.min,
+                        max: xScale.max,
+                        ticks: {
+                            precision: xMetric.type === 'count' ? 0 : undefined,
+                            callback: value => formatMetricValue(xMetric, value)
+                        },
+                        title: {
+                            display: true,
+                            text: xMetric.label
+                        }
+                    },
+                    y: {
+                        min: yScale.min,
+                        max: yScale.max,
+                        ticks: {
+                            precision: yMetric.type === 'count' ? 0 : undefined,
+                            callback: value => formatMetricValue(yMetric, value)
+                        },
+                        title: {
+                            display: true,
+                            text: yMetric.label
+                        }
+                    }
+                }
+            }
+        });
+        
+        this.storeOriginalColors(players);
+        this.addTeamLegend(teams);
+        
+        const metrics = [xMetric, yMetric, sizeMetric].filter(Boolean);
+        this.describeChart(
+            `Scatter plot of ${yMetric.label} against ${xMetric.label} for ${players.length} players` +
+                (fit ? `, trend line r squared ${fit.r2.toFixed(3)}` : ''),
+            ['Player', 'Team', ...metrics.map(metric => metric.label)],
+            players.map(player => [player.name, player.team, ...metrics.map(metric => formatMetricValue(metric, player[metric.key]))])
+        );
+        
+        this.addPlayerTable(highlight ? data.filter(highlight) : data, season);
+        this.emit('render', { view: this.mode, season, metric: yMetric.key, count: players.length });
+    }
+    
+    /**
+     * Update visualization with the distribution of a metric
+     * Shows a histogram, box plots per league or division, and each player's percentile rank
+     * @param {Array} data - Batting data to summarize
+     * @param {string} metricKey - Metric to summarize (see BATTING_METRICS)
+     * @param {Object} options - Display options
+     * @param {number} options.bins - Number of histogram bins (default 20)
+     * @param {string} options.groupBy - 'league' (default) or 'division' for the box plots
+     * @param {number} options.season - Season the data is from
+     * @param {Function} options.highlight - Predicate for players to emphasize; their bins are outlined
+     */
+    updateDistribution(data, metricKey = this.defaultMetric, options = {}) {
+        const metric = getMetric(metricKey);
+        
+        if (this.mode !== 'distribution' || this.metric.key !== metric.key) {
+            this.playerTable.setExtraColumns([{
+                key: 'percentile',
+                label: 'Pctl',
+                title: `${metric.label} percentile rank`,
+                type: 'percentile',
+                metric: metric
+            }]);
+            this.playerTable.setSortKeys([{ key: metric.key, direction: getMetricSortDirection(metric) }]);
+            this.playerTable.showColumn(metric.key);
+        }
+        
+        this.mode = 'distribution';
+        this.data = data;
+        this.metric = metric;
+        this.options = options;
+        const season = options.season || this.season;
+        
+        // Percentile rank of every player among the players shown
+        const values = data.map(player => player[metric.key]).filter(value => Number.isFinite(value));
+        const ranked = data.map(player => ({
+            ...player,
+            percentile: percentileRank(values, player[metric.key])
+        }));
+        
+        const bins = buildHistogram(values, options.bins || 20);
+        const binPlayers = bins.map((bin, index) => ranked.filter(player => {
+            const value = player[metric.key];
+            return value >= bin.start && (value < bin.end || (index === bins.length - 1 && value <= bin.end));
+        }));
+        
+        const highlight = options.highlight || null;
+        const hasHighlight = players => highlight !== null && players.some(highlight);
+        
+        if (this.chart) {
+            this.chart.destroy();
+        }
+        this.destroyBoxPlot();
+        this.applyBarLayout(0);
+        
+        this.chart = this.createChart(this.canvas, {
+            type: 'bar',
+            data: {
+                labels: bins.map(bin => `${formatMetricValue(metric, bin.start)}–${formatMetricValue(metric, bin.end)}`),
+                datasets: [{
+                    label: 'Players',
+                    data: bins.map(bin => bin.count),
+                    backgroundColor: binPlayers.map(players =>
+                        (highlight === null || hasHighlight(players)) ? this.theme.accent : this.fadeColor(this.theme.accent)),
+                    borderColor: binPlayers.map(players => hasHighlight(players) ? this.theme.error : this.theme.accent),
+                    borderWidth: binPlayers.map(players => hasHighlight(players) ? 3 : 1),
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.formatTitle(`Distribution of ${metric.label}`, metric, season),
+                        font: {
+                            size: 18
+                        }
+                    },
+                    subtitle: {
+                        display: true,
+                        text: `${values.length} players`
+                    },
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: (tooltipItems) => {
+                                if (tooltipItems.length === 0) return '';
+                                return `${metric.label}: ${tooltipItems[0].label}`;
+                            },
+                            label: (tooltipItem) => {
+                                const players = binPlayers[tooltipItem.dataIndex];
+                                return `${players.length} players`;
+                            },
+                            afterBody: (tooltipItems) => {
+                                if (tooltipItems.length === 0) return [];
+                                
+                                // Best players in the bin with their percentile ranks
+                                const players = [...binPlayers[tooltipItems[0].dataIndex]]
+                                    .sort((a, b) => b[metric.key] - a[metric.key]);
+                                const lines = players.slice(0, 8).map(player =>
+                                    `${player.name}: ${formatMetricValue(metric, player[metric.key])} (${formatPercentile(player.percentile)} percentile)`);
+                                if (players.length > 8) {
+                                    lines.push(`and ${players.length - 8} more`);
+                                }
+                                return lines;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            precision: 0
+                        },
+                        title: {
+                            display: true,
+                            text: 'Players'
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            maxRotation: 90,
+                            minRotation: 45
+                        },
+                        title: {
+                            display: true,
+                            text: metric.label
+                        }
+                    }
+                }
+            }
+        });
+        this.originalColors = null;
+        this.chartRecords = [];
+        
+        const existingLegend = document.getElementById(this.elementId('team-legend'));
+        if (existingLegend) {
+            existingLegend.remove();
+        }
+        
+        const summary = summarizeDistribution(values);
+        this.describeChart(
+            `Histogram of ${metric.label} for ${values.length} players in ${bins.length} bins` +
+                (summary ? `, median ${formatMetricValue(metric, summary.median)}` : ''),
+            [metric.label, 'Players'],
+            bins.map(bin => [`${formatMetricValue(metric, bin.start)} to ${formatMetricValue(metric, bin.end)}`, String(bin.count)])
+        );
+        
+        this.addBoxPlot(ranked, metric, options.groupBy || 'league');
+        this.addPlayerTable(highlight ? ranked.filter(highlight) : ranked, season);
+        this.emit('render', { view: this.mode, season, metric: metric.key, count: values.length });
+    }
+    
+    /**
+     * Add box plots of a metric per league or division below the histogram
+     * Each box is drawn as two floating bars (Q1 to median, median to Q3) so the median
+     * shows as the edge between them, with a thin floating bar for the whiskers
+     * @param {Array} players - Player records
+     * @param {Object} metric - Metric definition
+     * @param {string} groupBy - 'league' or 'division'
+     */
+    addBoxPlot(players, metric, groupBy) {
+        const groups = groupBy === 'division' ? Object.keys(MLB_DIVISIONS) : ['AL', 'NL'];
+        const groupOf = player => resolveTeam(player.teamId, player.team)[groupBy === 'division' ? 'division' : 'league'];
+        
+        const rows = [{ label: 'All MLB', summary: summarizeDistribution(players.map(player => player[metric.key])) }]
+            .concat(groups.map(group => ({
+                label: group,
+                summary: summarizeDistribution(players
+                    .filter(player => groupOf(player) === group)
+                    .map(player => player[metric.key]))
+            })))
+            .filter(row => row.summary !== null);
+        
+        const panel = document.createElement('div');
+        panel.id = this.elementId('box-plot-panel');
+        panel.className = 'box-plot-panel';
+        const canvas = document.createElement('canvas');
+        panel.appendChild(canvas);
+        this.container.insertBefore(panel, this.chartArea.nextSibling);
+        
+        const box = (low, high) => rows.map(row => [row.summary[low], row.summary[high]]);
+        const boxStyle = {
+            backgroundColor: this.withAlpha(this.theme.accent, 0.35),
+            borderColor: this.theme.accent,
+            borderWidth: 1,
+            borderSkipped: false,
+            grouped: false,
+            barThickness: 22
+        };
+        
+        this.boxPlotChart = this.createChart(canvas, {
+            type: 'bar',
+            data: {
+                labels: rows.map(row => `${row.label} (${row.summary.count})`),
+                datasets: [{
+                    label: 'Whiskers',
+                    data: box('lowerWhisker', 'upperWhisker'),
+                    backgroundColor: this.theme.accent,
+                    grouped: false,
+                    barThickness: 2
+                }, {
+                    label: 'Q1 to median',
+                    data: box('q1', 'median'),
+                    ...boxStyle
+                }, {
+                    label: 'Median to Q3',
+                    data: box('median', 'q3'),
+                    ...boxStyle
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: `${metric.label} by ${groupBy === 'division' ? 'Division' : 'League'}`
+                    },
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        // One tooltip per row rather than one per bar segment
+                        filter: tooltipItem => tooltipItem.datasetIndex === 0,
+                        callbacks: {
+                            label: (tooltipItem) => {
+                                const { summary } = rows[tooltipItem.dataIndex];
+                                const format = value => formatMetricValue(metric, value);
+                                return [
+                                    `Median: ${format(summary.median)} (mean ${format(summary.mean)})`,
+                                    `Middle half: ${format(summary.q1)} to ${format(summary.q3)}`,
+                                    `Range: ${format(summary.min)} to ${format(summary.max)}`,
+                                    `Outliers: ${summary.outliers.length}`
+                                ];
+                            }
+                        }
+                    }
+                },
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                scales: {
+                    x: {
+                        ticks: {
+                            callback: value => formatMetricValue(metric, value)
+                        },
+                        title: {
+                            display: true,
+                            text: metric.label
+                        }
+                    }
+                }
+            }
+        });
     }
     
     /**
-     * Handle window resize
+     * Remove the distribution view's box plots
      */
-    onWindowResize() {
-        if (this.chart) {
-            this.chart.resize();
+    destroyBoxPlot() {
+        if (this.boxPlotChart) {
+            this.boxPlotChart.destroy();
+            this.boxPlotChart = null;
+        }
+        
+        const panel = document.getElementById(this.elementId('box-plot-panel'));
+        if (panel) {
+            panel.remove();
         }
     }
     
     /**
-     * Group players by team
-     * @param {Array} data - Player data
-     * @returns {Object} - Object with team names as keys and arrays of players as values
+     * Update visualization with the league's AVG, OBP and SLG for every season as lines,
+     * with the eras in ERA_BANDS shaded behind them
+     * @param {Array} history - League lines from getLeagueHistory, oldest season first
+     * @param {Object} options - Display options
+     * @param {number} options.season - Season to mark on the lines (optional)
      */
-    groupPlayersByTeam(data) {
-        const teams = {};
+    updateHistory(history, options = {}) {
+        this.mode = 'history';
+        this.data = history;
+        this.options = options;
         
-        data.forEach(player => {
-            if (!teams[player.team]) {
-                teams[player.team] = [];
+        const metrics = LEAGUE_HISTORY_METRICS.map(key => getMetric(key));
+        const selectedSeason = parseInt(options.season, 10);
+        const firstSeason = history.length > 0 ? history[0].season : null;
+        const lastSeason = history.length > 0 ? history[history.length - 1].season : null;
+        
+        // Okabe-Ito colors and distinct dashes, so the lines can be told apart without color
+        const lineStyles = [
+            { color: '#0072B2', dash: [] },
+            { color: '#D55E00', dash: [8, 4] },
+            { color: '#009E73', dash: [2, 3] }
+        ];
+        const datasets = metrics.map((metric, index) => {
+            const color = ensureContrast(lineStyles[index].color, this.theme.background);
+            return {
+                label: metric.shortLabel,
+                data: history.map(line => ({ x: line.season, y: line[metric.key] })),
+                borderColor: color,
+                backgroundColor: color,
+                borderDash: lineStyles[index].dash,
+                borderWidth: 2,
+                tension: 0.2,
+                pointRadius: history.map(line => line.season === selectedSeason ? 5 : 0),
+                pointHoverRadius: 5
+            };
+        });
+        
+        // Shade each era behind the lines and label it along the top
+        const bandColor = this.theme.text;
+        const eraBands = {
+            id: 'eraBands',
+            beforeDatasetsDraw: chart => {
+                const { ctx, chartArea, scales } = chart;
+                ctx.save();
+                ERA_BANDS.forEach((era, index) => {
+                    const left = Math.max(scales.x.getPixelForValue(era.start - 0.5), chartArea.left);
+                    const right = Math.min(scales.x.getPixelForValue((era.end === null ? lastSeason : era.end) + 0.5), chartArea.right);
+                    if (right <= left) return;
+                    
+                    ctx.fillStyle = this.withAlpha(bandColor, index % 2 === 0 ? 0.10 : 0.06);
+                    ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+                    ctx.fillStyle = bandColor;
+                    ctx.font = '12px Arial';
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'top';
+                    ctx.fillText(era.label, (left + right) / 2, chartArea.top + 4);
+                });
+                ctx.restore();
+            }
+        };
+        
+        const scale = getMetricScale(metrics[0], history.flatMap(line => metrics.map(metric => line[metric.key])));
+        
+        if (this.chart) {
+            this.chart.destroy();
+        }
+        this.destroyBoxPlot();
+        this.applyBarLayout(0);
+        
+        // The history has no players, so the team legend and player table are taken down
+        const existingLegend = document.getElementById(this.elementId('team-legend'));
+        if (existingLegend) {
+            existingLegend.remove();
+        }
+        if (this.container.contains(this.playerTable.element)) {
+            this.playerTable.element.remove();
+        }
+        
+        this.chart = this.createChart(this.canvas, {
+            type: 'line',
+            data: {
+                datasets: datasets
+            },
+            plugins: [eraBands],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.formatTitle('MLB League Batting', { label: metrics.map(metric => metric.shortLabel).join('/') },
+                            history.length > 0 ? `${firstSeason}-${lastSeason}` : ''),
+                        font: {
+                            size: 18
+                        }
+                    },
+                    subtitle: {
+                        display: true,
+                        text: `Shaded: ${ERA_BANDS.map(era => `${era.label} era (${era.start}-${era.end === null ? 'present' : era.end})`).join(', ')}`
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: (tooltipItems) => {
+                                if (tooltipItems.length === 0) return '';
+                                const line = history[tooltipItems[0].dataIndex];
+                                const era = getEra(line.season);
+                                return era ? `${line.season} (${era.label} era)` : String(line.season);
+                            },
+                            label: (tooltipItem) => {
+                                const metric = metrics[tooltipItem.datasetIndex];
+                                return `${metric.shortLabel}: ${formatMetricValue(metric, tooltipItem.parsed.y)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: firstSeason,
+                        max: lastSeason,
+                        ticks: {
+                            precision: 0,
+                            // Plain years, without a thousands separator
+                            callback: value => String(value)
+                        },
+                        title: {
+                            display: true,
+                            text: 'Season'
+                        }
+                    },
+                    y: {
+                        min: scale.min,
+                        max: scale.max,
+                        ticks: {
+                            callback: value => formatMetricValue(metrics[0], value)
+                        },
+                        title: {
+                            display: true,
+                            text: 'League rate'
+                        }
+                    }
+                }
             }
-            teams[player.team].push(player);
         });
         
-        return teams;
+        this.describeChart(
+            `Line chart of the league's ${metrics.map(metric => metric.shortLabel).join(', ')} for ${history.length} seasons` +
+                (history.length > 0 ? `, ${firstSeason} to ${lastSeason}` : ''),
+            ['Season', ...metrics.map(metric => metric.label), 'Era'],
+            history.map(line => {
+                const era = getEra(line.season);
+                return [String(line.season), ...metrics.map(metric => formatMetricValue(metric, line[metric.key])), era ? era.label : ''];
+            })
+        );
+        
+        this.emit('render', { view: this.mode, season: [firstSeason, lastSeason], metric: null, count: history.length });
     }
     
     /**
-     * Update visualization with new data
-     * @param {Array} data - Batting average data to visualize
+     * Update visualization with a season-vs-season comparison
+     * @param {Array} rows - Joined rows from joinSeasons (compareOlder, compareNewer, compareDelta)
+     * @param {string} metricKey - Metric being compared (see BATTING_METRICS)
+     * @param {Object} options - Display options
+     * @param {number} options.olderSeason - Earlier season
+     * @param {number} options.newerSeason - Later season
+     * @param {string} options.display - 'grouped' for side-by-side bars, 'delta' for change bars
+     * @param {number|null} options.limit - Number of rows to chart (defaults to the visualizer's limit)
+     * @param {Function} options.highlight - Predicate for players to emphasize
      */
-    updateVisualization(data) {
-        // Store data reference
-        this.data = data;
+    updateComparison(rows, metricKey = this.defaultMetric, options = {}) {
+        const metric = getMetric(metricKey);
+        const { olderSeason, newerSeason } = options;
+        const display = options.display || 'grouped';
         
-        // Limit to top players for better visualization
-        const visData = data.slice(0, 30);
+        // Comparison columns in the table, labelled with the seasons
+        this.playerTable.setExtraColumns([
+            { key: 'compareOlder', label: `${metric.shortLabel} ${olderSeason}`, title: `${metric.label} ${olderSeason}`, type: 'metric', metric },
+            { key: 'compareNewer', label: `${metric.shortLabel} ${newerSeason}`, title: `${metric.label} ${newerSeason}`, type: 'metric', metric },
+            { key: 'compareDelta', label: `Δ ${metric.shortLabel}`, title: `Change in ${metric.label}`, type: 'delta', metric }
+        ]);
         
-        // Sort players by batting average for better visualization
-        visData.sort((a, b) => b.avg - a.avg);
+        // Entering comparison mode (or changing metric) ranks by the change
+        if (this.mode !== 'comparison' || this.metric.key !== metric.key) {
+            this.playerTable.setSortKeys([{ key: 'compareDelta', direction: 'desc' }]);
+        }
         
-        // Prepare data for Chart.js
-        const labels = visData.map(player => player.name);
-        const avgValues = visData.map(player => player.avg);
-        const backgroundColors = visData.map(player => this.getTeamColor(player.team));
-        const borderColors = visData.map(player => this.getTeamSecondaryColor(player.team));
+        this.mode = 'comparison';
+        this.data = rows;
+        this.metric = metric;
+        this.options = options;
+        
+        // Chart the players in both seasons' pools (up to the limit), ordered the same way as the table
+        const limit = options.limit || this.limit;
+        const sorted = [...rows].sort((a, b) => this.playerTable.compare(a, b));
+        const visData = limit ? sorted.slice(0, limit) : sorted;
+        const horizontal = this.applyBarLayout(visData.length);
+        
+        const highlight = options.highlight || null;
+        const isFaded = player => highlight !== null && !highlight(player);
+        const teamColor = (player, alpha) => {
+            const color = this.getTeamColor(player);
+            return isFaded(player) ? this.fadeColor(color) : this.withAlpha(color, alpha);
+        };
+        
+        let datasets;
+        let scale;
+        if (display === 'delta') {
+            const deltas = visData.map(player => player.compareDelta);
+            const extent = Math.max(...deltas.map(Math.abs), 0) * 1.1 || 1;
+            scale = { min: -extent, max: extent };
+            
+            // Green for improvement, red for decline
+            const colors = visData.map(player => {
+                const color = player.compareDelta >= 0 ? this.theme.positive : this.theme.negative;
+                return isFaded(player) ? this.fadeColor(color) : color;
+            });
+            datasets = [{
+                label: `Change in ${metric.label}`,
+                data: deltas,
+                backgroundColor: colors,
+                borderColor: visData.map(player => teamColor(player, 1)),
+                borderWidth: 2
+            }];
+        } else {
+            scale = getMetricScale(metric, visData.flatMap(player => [player.compareOlder, player.compareNewer]));
+            datasets = [{
+                label: String(olderSeason),
+                data: visData.map(player => player.compareOlder),
+                backgroundColor: visData.map(player => teamColor(player, 0.45)),
+                borderColor: visData.map(player => teamColor(player, 0.45)),
+                borderWidth: 1
+            }, {
+                label: String(newerSeason),
+                data: visData.map(player => player.compareNewer),
+                backgroundColor: visData.map(player => teamColor(player, 1)),
+                borderColor: visData.map(player => {
+                    const color = this.getTeamSecondaryColor(player);
+                    return isFaded(player) ? this.fadeColor(color) : color;
+                }),
+                borderWidth: 1
+            }];
+        }
         
-        // Create team-based legend data
         const teams = {};
         visData.forEach(player => {
-            teams[player.team] = this.getTeamColor(player.team);
+            teams[player.team] = this.getTeamColor(player);
         });
         
-        // If we already have a chart, destroy it before creating a new one
         if (this.chart) {
             this.chart.destroy();
         }
+        this.destroyBoxPlot();
         
-        // Store the original colors for restoring after hover
-        this.originalBackgroundColors = [...backgroundColors];
-        this.originalBorderColors = [...borderColors];
+        const formatTick = display === 'delta'
+            ? value => formatMetricDelta(metric, value)
+            : value => formatMetricValue(metric, value);
         
-        // Create the chart
-        const ctx = this.canvas.getContext('2d');
-        this.chart = new Chart(ctx, {
+        this.chart = this.createChart(this.canvas, {
             type: 'bar',
             data: {
-                labels: labels,
-                datasets: [{
-                    label: 'Batting Average',
-                    data: avgValues,
-                    backgroundColor: backgroundColors,
-                    borderColor: borderColors,
-                    borderWidth: 1
-                }]
+                labels: visData.map(player => player.name),
+                datasets: datasets
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                indexAxis: horizontal ? 'y' : 'x',
                 plugins: {
                     title: {
                         display: true,
-                        text: 'MLB Batting Average (2025)',
+                        text: this.formatTitle(`MLB ${metric.label}`, metric, `${olderSeason} vs ${newerSeason}`),
                         font: {
                             size: 18
                         }
                     },
                     legend: {
-                        display: false
+                        // Season legend only makes sense for grouped bars
+                        display: display !== 'delta'
                     },
                     tooltip: {
                         mode: 'index',
                         intersect: false,
-                        filter: (tooltipItem) => {
-                            // Get the team of the hovered player
-                            const hoveredIndex = tooltipItem.dataIndex;
-                            const hoveredTeam = visData[hoveredIndex].team;
-                            
-                            // Only show tooltips for players on the same team
-                            return visData[tooltipItem.dataIndex].team === hoveredTeam;
-                        },
                         callbacks: {
                             title: (tooltipItems) => {
                                 if (tooltipItems.length === 0) return '';
-                                const playerIndex = tooltipItems[0].dataIndex;
-                                const player = visData[playerIndex];
-                                const teamName = player.team;
-                                
-                                // Return the team name as the title
-                                return `Team: ${teamName}`;
+                                const player = visData[tooltipItems[0].dataIndex];
+                                return `${player.name} (${player.team})`;
                             },
                             label: (tooltipItem) => {
-                                const playerIndex = tooltipItem.dataIndex;
-                                const player = visData[playerIndex];
-                                return `${player.name}: ${player.avg.toFixed(3)} AVG (${player.hits}/${player.atBats})`;
-                            },
-                            afterLabel: (tooltipItem) => {
-                                const playerIndex = tooltipItem.dataIndex;
-                                const player = visData[playerIndex];
+                                // One summary line regardless of how many bars the player has
+                                if (tooltipItem.datasetIndex > 0) return null;
+                                const player = visData[tooltipItem.dataIndex];
                                 return [
-                                    `HR: ${player.homeRuns}`,
-                                    `RBI: ${player.rbi}`
+                                    `${olderSeason}: ${formatMetricValue(metric, player.compareOlder)} ${metric.shortLabel}`,
+                                    `${newerSeason}: ${formatMetricValue(metric, player.compareNewer)} ${metric.shortLabel}`,
+                                    `Change: ${formatMetricDelta(metric, player.compareDelta)}`
                                 ];
                             }
                         },
-                        backgroundColor: (tooltipItem) => {
-                            if (tooltipItem.tooltip.dataPoints.length > 0) {
-                                const playerIndex = tooltipItem.tooltip.dataPoints[0].dataIndex;
-                                return this.getTeamColor(visData[playerIndex].team);
-                            }
-                            return 'rgba(0, 0, 0, 0.8)';
-                        },
-                        titleColor: '#ffffff',
-                        bodyColor: '#ffffff',
-                        padding: 12,
-                        bodyFont: {
-                            weight: 'bold'
-                        },
-                        titleFont: {
-                            weight: 'bold',
-                            size: 14
-                        },
-                        bodySpacing: 6,
-                        cornerRadius: 6
+                        ...this.getTooltipStyle(visData)
                     }
                 },
                 onHover: (event, activeElements) => {
-                    // Reset all bars to original colors
-                    this.resetBarColors();
-                    
-                    if (activeElements && activeElements.length > 0) {
-                        // Get the hovered bar's index and the player's team
-                        const index = activeElements[0].index;
-                        const hoveredTeam = visData[index].team;
-                        
-                        // Highlight bars from the same team, fade others
-                        this.highlightTeam(hoveredTeam, visData);
-                    }
+                    this.hoverTeam(activeElements && activeElements.length > 0 ? visData[activeElements[0].index] : null, visData);
                 },
-                scales: {
-                    y: {
-                        beginAtZero: false,
-                        min: 0.250, // Most MLB averages are above .250
-                        max: 0.350, // Few go above .350
-                        ticks: {
-                            callback: function(value) {
-                                return value.toFixed(3);
-                            }
-                        },
-                        title: {
-                            display: true,
-                            text: 'Batting Average'
-                        }
+                onClick: (event, activeElements) => {
+                    this.selectPlayer(activeElements, visData);
+                },
+                scales: this.getBarScales(horizontal, {
+                    min: scale.min,
+                    max: scale.max,
+                    ticks: {
+                        precision: metric.type === 'count' ? 0 : undefined,
+                        callback: formatTick
                     },
-                    x: {
-                        ticks: {
-                            autoSkip: false,
-                            maxRotation: 90,
-                            minRotation: 45
-                        },
-                        title: {
-                            display: true,
-                            text: 'Player'
-                        }
+                    title: {
+                        display: true,
+                        text: display === 'delta' ? `Change in ${metric.label}` : metric.label
                     }
-                }
+                }, 'Player')
             }
         });
         
-        // Add custom team legend
+        this.storeOriginalColors(visData);
         this.addTeamLegend(teams);
         
-        // Add players table below chart
-        this.addPlayerTable(visData);
+        this.describeChart(
+            `Bar chart comparing ${metric.label} in ${olderSeason} and ${newerSeason} for ${visData.length} players`,
+            ['Player', 'Team', String(olderSeason), String(newerSeason), 'Change'],
+            visData.map(player => [player.name, player.team, formatMetricValue(metric, player.compareOlder),
+                formatMetricValue(metric, player.compareNewer), formatMetricDelta(metric, player.compareDelta)])
+        );
         
-        // Add event listener for when mouse leaves the chart to reset colors
-        this.canvas.addEventListener('mouseleave', () => {
-            this.resetBarColors();
+        this.addPlayerTable(highlight ? rows.filter(highlight) : rows, `${olderSeason} vs ${newerSeason}`);
+        this.emit('render', { view: this.mode, season: [olderSeason, newerSeason], metric: metric.key, count: visData.length });
+    }
+    
+    /**
+     * Create a chart plugin that draws error bars over the bars, and ≈ between neighbouring bars
+     * whose intervals overlap
+     * @param {Array<Object|null>} intervals - Interval (`lower`, `upper`) for each bar, in chart order
+     * @param {Array<boolean>} overlapsNext - Whether each bar's interval overlaps the next bar's
+     * @param {boolean} horizontal - Whether the bars are horizontal
+     * @returns {Object} - Chart.js plugin
+     */
+    createErrorBarPlugin(intervals, overlapsNext, horizontal) {
+        const color = this.theme.text;
+        
+        return {
+            id: 'errorBars',
+            afterDatasetsDraw: chart => {
+                const { ctx, chartArea } = chart;
+                const valueScale = chart.scales[horizontal ? 'x' : 'y'];
+                const bars = chart.getDatasetMeta(0).data;
+                // Bar centre along the category axis
+                const position = bar => horizontal ? bar.y : bar.x;
+                
+                ctx.save();
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.lineWidth = 1.5;
+                intervals.forEach((interval, index) => {
+                    const bar = bars[index];
+                    if (!interval || !bar) return;
+                    
+                    const center = position(bar);
+                    const low = valueScale.getPixelForValue(interval.lower);
+                    const high = valueScale.getPixelForValue(interval.upper);
+                    const cap = Math.min((horizontal ? bar.height : bar.width) / 4, 6);
+                    ctx.beginPath();
+                    if (horizontal) {
+                        ctx.moveTo(low, center);
+                        ctx.lineTo(high, center);
+                        [low, high].forEach(end => {
+                            ctx.moveTo(end, center - cap);
+                            ctx.lineTo(end, center + cap);
+                        });
+                    } else {
+                        ctx.moveTo(center, low);
+                        ctx.lineTo(center, high);
+                        [low, high].forEach(end => {
+                            ctx.moveTo(center - cap, end);
+                            ctx.lineTo(center + cap, end);
+                        });
+                    }
+                    ctx.stroke();
+                });
+                
+                // Mark overlapping neighbours along the far edge of the chart
+                ctx.font = '12px Arial';
+                ctx.textAlign = horizontal ? 'right' : 'center';
+                ctx.textBaseline = horizontal ? 'middle' : 'top';
+                overlapsNext.forEach((overlaps, index) => {
+                    if (!overlaps || !bars[index + 1]) return;
+                    const between = (position(bars[index]) + position(bars[index + 1])) / 2;
+                    if (horizontal) {
+                        ctx.fillText('≈', chartArea.right - 2, between);
+                    } else {
+                        ctx.fillText('≈', between, chartArea.top + 2);
+                    }
+                });
+                ctx.restore();
+            }
+        };
+    }
+    
+    /**
+     * Describe what an indexed stat's 100 stands for
+     * @param {Array} records - Charted records (see adjustPlayers)
+     * @param {number|string} season - Season shown
+     * @returns {string} - e.g. "100 = 2025 league average, park-adjusted"
+     */
+    describeIndexBaseline(records, season) {
+        const parkAdjusted = records.some(record => record.parkFactor !== null && record.parkFactor !== undefined);
+        return `100 = ${season} league average${parkAdjusted ? ', park-adjusted' : ''}`;
+    }
+    
+    /**
+     * Stat lines for a pitcher's tooltip in the players view
+     * @param {Object} pitcher - Pitcher record
+     * @param {number|string} season - Season shown (for the borrowed FIP constant note)
+     * @returns {Array<string>} - Tooltip lines
+     */
+    getPitchingTooltipLines(pitcher, season) {
+        const format = key => formatMetricValue(PITCHING_METRICS[key], pitcher[key]);
+        const borrowedFip = describeBorrowedWeights(season, 'pitching') === '' ? '' : ' (borrowed constant)';
+        return [
+            `ERA/WHIP/FIP: ${format('era')}/${format('whip')}/${format('fip')}${borrowedFip}`,
+            `IP: ${format('inningsPitched')}  K: ${pitcher.strikeOuts}  BB: ${pitcher.baseOnBalls}  K/9: ${format('strikeoutsPer9')}`,
+            `W-L: ${pitcher.wins}-${pitcher.losses}  SV: ${pitcher.saves}  GS: ${pitcher.gamesStarted}`
+        ];
+    }
+    
+    /**
+     * Tooltip styling shared by the bar charts: team-colored box with bold black or white text,
+     * whichever is more legible on the team color
+     * @param {Array} players - Players in chart order
+     * @returns {Object} - Chart.js tooltip options
+     */
+    getTooltipStyle(players) {
+        const background = (tooltipItem) => {
+            if (tooltipItem.tooltip.dataPoints.length > 0) {
+                const playerIndex = tooltipItem.tooltip.dataPoints[0].dataIndex;
+                return this.getTeamColor(players[playerIndex]);
+            }
+            return 'rgba(0, 0, 0, 0.8)';
+        };
+        
+        return {
+            backgroundColor: background,
+            titleColor: tooltipItem => pickTextColor(background(tooltipItem)),
+            bodyColor: tooltipItem => pickTextColor(background(tooltipItem)),
+            padding: 12,
+            bodyFont: {
+                weight: 'bold'
+            },
+            titleFont: {
+                weight: 'bold',
+                size: 14
+            },
+            bodySpacing: 6,
+            cornerRadius: 6
+        };
+    }
+    
+    /**
+     * Remember each dataset's colors so hover highlighting can restore them
+     * @param {Array} records - Player or team records in chart order (sets the fill patterns)
+     */
+    storeOriginalColors(records) {
+        this.chartRecords = records;
+        this.originalColors = this.chart.data.datasets.map(dataset => ({
+            background: Array.isArray(dataset.backgroundColor) ? [...dataset.backgroundColor] : null,
+            border: Array.isArray(dataset.borderColor) ? [...dataset.borderColor] : null
+        }));
+        
+        if (this.palette === 'colorblind') {
+            this.applyPatternFills();
+            this.chart.update();
+        }
+    }
+    
+    /**
+     * Replace the bar (or point) fills with each team's pattern in the colorblind palette
+     * Called after the colors are set, before the chart is updated; the stored original colors stay plain
+     */
+    applyPatternFills() {
+        if (this.palette !== 'colorblind' || !this.chart) return;
+        
+        this.chart.data.datasets.forEach(dataset => {
+            if (!Array.isArray(dataset.backgroundColor)) return;
+            dataset.backgroundColor = dataset.backgroundColor.map((color, index) => {
+                const record = this.chartRecords[index];
+                if (!record || typeof color !== 'string') return color;
+                return getPatternFill(color, getColorblindStyle(resolveTeam(record.teamId, record.team)).pattern);
+            });
         });
     }
     
+    /**
+     * Report a clicked bar's player to the onPlayerSelect option and as a `playerselect` event
+     * @param {Array} activeElements - Chart.js elements under the click
+     * @param {Array} players - Player data in chart order
+     */
+    selectPlayer(activeElements, players) {
+        if (!activeElements || activeElements.length === 0) return;
+        
+        const player = players[activeElements[0].index];
+        if (this.onPlayerSelect) {
+            this.onPlayerSelect(player);
+        }
+        this.emit('playerselect', { player });
+    }
+    
+    /**
+     * Highlight the hovered record's team and report a change of team as a `teamhover` event
+     * @param {Object|null} record - Hovered player or team record, or null when nothing is hovered
+     * @param {Array} records - Records in chart order
+     */
+    hoverTeam(record, records) {
+        this.resetBarColors();
+        if (record) {
+            this.highlightTeam(record.team, records);
+        }
+        
+        const team = record ? record.team : null;
+        if (team !== this.hoveredTeam) {
+            this.hoveredTeam = team;
+            this.emit('teamhover', { team, teamId: record ? resolveTeam(record.teamId, record.team).id : null });
+        }
+    }
+    
     /**
      * Reset all bar colors to their original state
      */
     resetBarColors() {
-        if (this.chart && this.originalBackgroundColors) {
-            this.chart.data.datasets[0].backgroundColor = [...this.originalBackgroundColors];
-            this.chart.data.datasets[0].borderColor = [...this.originalBorderColors];
+        if (this.chart && this.originalColors) {
+            this.chart.data.datasets.forEach((dataset, datasetIndex) => {
+                const original = this.originalColors[datasetIndex];
+                if (!original || !original.background) return;
+                dataset.backgroundColor = [...original.background];
+                dataset.borderColor = [...original.border];
+            });
+            this.applyPatternFills();
             this.chart.update();
         }
     }
@@ -247,28 +1913,23 @@ class BattingVisualizer {
      * @param {Array} players - Player data
      */
     highlightTeam(teamToHighlight, players) {
-        if (!this.chart || !this.originalBackgroundColors) return;
-        
-        // Create new arrays for the updated colors
-        const newBackgroundColors = [...this.originalBackgroundColors];
-        const newBorderColors = [...this.originalBorderColors];
-        
-        // Modify colors based on team
-        players.forEach((player, index) => {
-            if (player.team !== teamToHighlight) {
-                // Fade out other teams
-                newBackgroundColors[index] = this.fadeColor(this.originalBackgroundColors[index]);
-                newBorderColors[index] = this.fadeColor(this.originalBorderColors[index]);
-            } else {
-                // Highlight same team (could add a glow or brightness effect here)
-                newBackgroundColors[index] = this.originalBackgroundColors[index];
-                newBorderColors[index] = this.originalBorderColors[index];
-            }
+        if (!this.chart || !this.originalColors) return;
+        
+        this.chart.data.datasets.forEach((dataset, datasetIndex) => {
+            const original = this.originalColors[datasetIndex];
+            if (!original || !original.background) return;
+            
+            // Fade out other teams, keep the same team's original colors
+            dataset.backgroundColor = players.map((player, index) => player.team !== teamToHighlight
+                ? this.fadeColor(original.background[index])
+                : original.background[index]);
+            dataset.borderColor = players.map((player, index) => player.team !== teamToHighlight
+                ? this.fadeColor(original.border[index])
+                : original.border[index]);
         });
+        this.applyPatternFills();
         
         // Update chart colors
-        this.chart.data.datasets[0].backgroundColor = newBackgroundColors;
-        this.chart.data.datasets[0].borderColor = newBorderColors;
         this.chart.update();
     }
     
@@ -278,21 +1939,31 @@ class BattingVisualizer {
      * @returns {string} - Faded color with reduced opacity
      */
     fadeColor(color) {
+        return this.withAlpha(color, 0.2);
+    }
+    
+    /**
+     * Set a color's opacity
+     * @param {string} color - Original color (hex or rgb)
+     * @param {number} alpha - Opacity between 0 and 1
+     * @returns {string} - rgba color
+     */
+    withAlpha(color, alpha) {
         // If it's a hex color, convert to rgba
         if (color.startsWith('#')) {
             const r = parseInt(color.slice(1, 3), 16);
             const g = parseInt(color.slice(3, 5), 16);
             const b = parseInt(color.slice(5, 7), 16);
-            return `rgba(${r}, ${g}, ${b}, 0.2)`;
+            return `rgba(${r}, ${g}, ${b}, ${alpha})`;
         }
         // If it's already rgb/rgba, modify opacity
         else if (color.startsWith('rgb')) {
             if (color.startsWith('rgba')) {
                 // Replace the last opacity value
-                return color.replace(/[\d\.]+\)$/, '0.2)');
+                return color.replace(/[\d\.]+\)$/, `${alpha})`);
             } else {
                 // Convert rgb to rgba
-                return color.replace(')', ', 0.2)').replace('rgb', 'rgba');
+                return color.replace(')', `, ${alpha})`).replace('rgb', 'rgba');
             }
         }
         return color; // Return original if format not recognized
@@ -304,20 +1975,21 @@ class BattingVisualizer {
      */
     addTeamLegend(teams) {
         // Check if legend already exists, remove if it does
-        const existingLegend = document.getElementById('team-legend');
+        const existingLegend = document.getElementById(this.elementId('team-legend'));
         if (existingLegend) {
             existingLegend.remove();
         }
         
         // Create legend container
         const legendContainer = document.createElement('div');
-        legendContainer.id = 'team-legend';
+        legendContainer.id = this.elementId('team-legend');
+        legendContainer.className = 'team-legend';
         legendContainer.style.display = 'flex';
         legendContainer.style.flexWrap = 'wrap';
         legendContainer.style.justifyContent = 'center';
         legendContainer.style.margin = '10px 0';
         legendContainer.style.padding = '10px';
-        legendContainer.style.backgroundColor = 'rgba(255, 255, 255, 0.7)';
+        legendContainer.style.backgroundColor = this.withAlpha(this.theme.surface, 0.7);
         legendContainer.style.borderRadius = '5px';
         
         // Add each team to the legend
@@ -331,6 +2003,9 @@ class BattingVisualizer {
             colorBox.style.width = '12px';
             colorBox.style.height = '12px';
             colorBox.style.backgroundColor = teams[teamName];
+            if (this.palette === 'colorblind') {
+                colorBox.style.background = getPatternSwatch(teams[teamName], getColorblindStyle(resolveTeam(teamName)).pattern);
+            }
             colorBox.style.marginRight = '5px';
             
             const label = document.createElement('span');
@@ -343,157 +2018,48 @@ class BattingVisualizer {
         });
         
         // Add legend to the container after the canvas but before the player table
-        this.container.insertBefore(legendContainer, document.getElementById('players-table'));
+        const table = this.container.contains(this.playerTable.element) ? this.playerTable.element : null;
+        this.container.insertBefore(legendContainer, table);
     }
     
     /**
      * Add player table below chart
      * @param {Array} players - All players to display in the table
+     * @param {number|string} season - Season (or seasons) shown in the heading
      */
-    addPlayerTable(players) {
-        // Check if table already exists, remove if it does
-        const existingTable = document.getElementById('players-table');
-        if (existingTable) {
-            existingTable.remove();
-        }
-        
-        // Create table container and heading
-        const tableContainer = document.createElement('div');
-        tableContainer.id = 'players-table';
-        tableContainer.style.margin = '20px 0';
-        tableContainer.style.maxHeight = '250px';
-        tableContainer.style.overflowY = 'auto';
-        
-        const tableHeading = document.createElement('h3');
-        tableHeading.textContent = 'Top 30 MLB Batters (2025)';
-        tableHeading.style.textAlign = 'center';
-        tableHeading.style.marginBottom = '10px';
-        
-        // Create table
-        const table = document.createElement('table');
-        table.style.width = '100%';
-        table.style.borderCollapse = 'collapse';
-        
-        // Create table header
-        const thead = document.createElement('thead');
-        const headerRow = document.createElement('tr');
-        
-        const headers = ['Rank', 'Player', 'Team', 'AVG', 'At Bats', 'Hits', 'HR', 'RBI'];
-        headers.forEach(headerText => {
-            const th = document.createElement('th');
-            th.textContent = headerText;
-            th.style.padding = '8px';
-            th.style.backgroundColor = '#f2f2f2';
-            th.style.borderBottom = '1px solid #ddd';
-            th.style.position = 'sticky';
-            th.style.top = '0';
-            headerRow.appendChild(th);
-        });
-        thead.appendChild(headerRow);
-        table.appendChild(thead);
-        
-        // Create table body
-        const tbody = document.createElement('tbody');
-        
-        // Sort players by batting average for the table view
-        const sortedPlayers = [...players].sort((a, b) => b.avg - a.avg);
-        
-        sortedPlayers.forEach((player, index) => {
-            const row = document.createElement('tr');
-            row.style.borderBottom = '1px solid #ddd';
-            
-            // Add zebra striping
-            if (index % 2 === 0) {
-                row.style.backgroundColor = '#f9f9f9';
-            }
-            
-            // Get team colors for the row styling
-            const teamColors = getTeamColors(player.team);
-            
-            // Add rank column
-            const rankCell = document.createElement('td');
-            rankCell.textContent = (index + 1);
-            rankCell.style.padding = '8px';
-            rankCell.style.textAlign = 'center';
-            row.appendChild(rankCell);
-            
-            // Add player name column
-            const nameCell = document.createElement('td');
-            nameCell.textContent = player.name;
-            nameCell.style.padding = '8px';
-            nameCell.style.fontWeight = 'bold';
-            row.appendChild(nameCell);
-            
-            // Add team column with team color
-            const teamCell = document.createElement('td');
-            teamCell.textContent = player.team;
-            teamCell.style.padding = '8px';
-            teamCell.style.backgroundColor = teamColors.primary;
-            teamCell.style.color = 'white';
-            teamCell.style.borderRadius = '4px';
-            teamCell.style.textAlign = 'center';
-            row.appendChild(teamCell);
-            
-            // Add batting average column
-            const avgCell = document.createElement('td');
-            avgCell.textContent = player.avg.toFixed(3);
-            avgCell.style.padding = '8px';
-            avgCell.style.textAlign = 'center';
-            avgCell.style.fontWeight = 'bold';
-            row.appendChild(avgCell);
-            
-            // Add at bats column
-            const atBatsCell = document.createElement('td');
-            atBatsCell.textContent = player.atBats;
-            atBatsCell.style.padding = '8px';
-            atBatsCell.style.textAlign = 'center';
-            row.appendChild(atBatsCell);
-            
-            // Add hits column
-            const hitsCell = document.createElement('td');
-            hitsCell.textContent = player.hits;
-            hitsCell.style.padding = '8px';
-            hitsCell.style.textAlign = 'center';
-            row.appendChild(hitsCell);
-            
-            // Add home runs column
-            const hrCell = document.createElement('td');
-            hrCell.textContent = player.homeRuns;
-            hrCell.style.padding = '8px';
-            hrCell.style.textAlign = 'center';
-            row.appendChild(hrCell);
-            
-            // Add RBI column
-            const rbiCell = document.createElement('td');
-            rbiCell.textContent = player.rbi;
-            rbiCell.style.padding = '8px';
-            rbiCell.style.textAlign = 'center';
-            row.appendChild(rbiCell);
-            
-            tbody.appendChild(row);
-        });
+    addPlayerTable(players, season) {
+        const group = this.statGroup === 'pitching' ? 'Pitchers' : 'Batters';
+        // wOBA and FIP for seasons without weights use the latest season's; say so under the table
+        const borrowedWeights = describeBorrowedWeights(season, this.statGroup);
+        const notes = borrowedWeights === '' ? {} : { [this.statGroup === 'pitching' ? 'fip' : 'woba']: borrowedWeights };
+        this.playerTable.setPlayers(players, `MLB ${group} (${season}): ${players.length} players`, notes);
         
-        table.appendChild(tbody);
-        
-        // Add table to container
-        tableContainer.appendChild(tableHeading);
-        tableContainer.appendChild(table);
-        
-        // Add table to visualization container
-        this.container.appendChild(tableContainer);
+        // The table element is reused between renders, re-attach it if the container was cleared
+        if (!this.container.contains(this.playerTable.element)) {
+            this.container.appendChild(this.playerTable.element);
+        }
     }
     
     /**
      * Show loading state
      */
     showLoading() {
+        this.destroyBoxPlot();
+        
         // Clear the container
         while (this.container.firstChild) {
             this.container.removeChild(this.container.firstChild);
         }
         
-        // Add back the canvas
-        this.container.appendChild(this.canvas);
+        // Add back the export menu, data source badge, canvas and screen-reader description
+        this.container.appendChild(this.exportMenu.element);
+        this.container.appendChild(this.provenanceBadge.element);
+        this.container.appendChild(this.chartArea);
+        this.container.appendChild(this.liveRegion);
+        this.container.appendChild(this.dataTableContainer);
+        this.dataTableContainer.innerHTML = '';
+        this.keyboardNavigator.setItems([], 'Loading chart');
+        this.applyBarLayout(0);
         
         // Show loading message on the canvas
         const ctx = this.canvas.getContext('2d');
@@ -506,11 +2072,11 @@ class BattingVisualizer {
         ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
         // Draw loading message
-        ctx.fillStyle = '#333333';
+        ctx.fillStyle = this.theme.text;
         ctx.font = '20px Arial';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText('Loading batting statistics...', this.canvas.width / 2, this.canvas.height / 2);
+        ctx.fillText(`Loading ${this.statGroup} statistics...`, this.canvas.width / 2, this.canvas.height / 2);
     }
     
     /**
@@ -521,14 +2087,16 @@ class BattingVisualizer {
             this.chart.destroy();
             this.chart = null;
         }
+        this.destroyBoxPlot();
         
-        // Clear any custom legend
-        const existingLegend = document.getElementById('custom-legend');
+        // Clear the team legend
+        const existingLegend = document.getElementById(this.elementId('team-legend'));
         if (existingLegend) {
             existingLegend.remove();
         }
     }
 }
 
-// Export as global variable
+// Export as global variables
+window.DEFAULT_TITLE_TEMPLATE = DEFAULT_TITLE_TEMPLATE;
 window.BattingVisualizer = BattingVisualizer;